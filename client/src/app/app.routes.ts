@@ -2,10 +2,15 @@ import { Routes } from '@angular/router';
 import { DashboardComponent } from './components/dashboard/dashboard.component';
 import { SettingsComponent } from './components/settings/settings.component';
 import { LogViewerComponent } from './components/log-viewer/log-viewer.component';
+import { HistoryComponent } from './components/history/history.component';
+import { LoginComponent } from './components/login/login.component';
+import { authGuard } from './services/auth.guard';
 
 export const routes: Routes = [
-    { path: '', component: DashboardComponent },
-    { path: 'settings', component: SettingsComponent },
-    { path: 'logs', component: LogViewerComponent },
+    { path: 'login', component: LoginComponent },
+    { path: '', component: DashboardComponent, canActivate: [authGuard()] },
+    { path: 'settings', component: SettingsComponent, canActivate: [authGuard('admin')] },
+    { path: 'history', component: HistoryComponent, canActivate: [authGuard()] },
+    { path: 'logs', component: LogViewerComponent, canActivate: [authGuard()] },
     { path: '**', redirectTo: '' },
 ];
@@ -1,7 +1,8 @@
 import { Component, inject } from '@angular/core';
 import { CommonModule } from '@angular/common';
-import { RouterOutlet, RouterLink, RouterLinkActive } from '@angular/router';
+import { Router, RouterOutlet, RouterLink, RouterLinkActive } from '@angular/router';
 import { SocketService } from './services/socket.service';
+import { AuthService } from './services/auth.service';
 import { ToastComponent } from './components/toast/toast.component';
 import { ConfirmDialogComponent } from './components/confirm-dialog/confirm-dialog.component';
 
@@ -14,4 +15,11 @@ import { ConfirmDialogComponent } from './components/confirm-dialog/confirm-dial
 })
 export class App {
   readonly socket = inject(SocketService);
+  readonly auth = inject(AuthService);
+  private readonly router = inject(Router);
+
+  logout() {
+    this.auth.logout();
+    this.router.navigateByUrl('/login');
+  }
 }
@@ -1,7 +1,10 @@
-import { Component, inject, OnInit, signal } from '@angular/core';
+import { Component, effect, inject, OnInit, signal } from '@angular/core';
 import { CommonModule } from '@angular/common';
-import { SocketService } from '../../services/socket.service';
-import { SettingsService } from '../../services/settings.service';
+import { SocketService, PendingItem, DeadLetterItem } from '../../services/socket.service';
+import { SettingsService, QueueItem } from '../../services/settings.service';
+import { ToastService } from '../../services/toast.service';
+import { AuthService } from '../../services/auth.service';
+import { ConfirmService } from '../../services/confirm.service';
 
 @Component({
     selector: 'app-dashboard',
@@ -13,32 +16,258 @@ import { SettingsService } from '../../services/settings.service';
 export class DashboardComponent implements OnInit {
     readonly socket = inject(SocketService);
     readonly settingsService = inject(SettingsService);
+    readonly toast = inject(ToastService);
+    readonly auth = inject(AuthService);
+    readonly confirm = inject(ConfirmService);
 
     readonly stats = signal<any>(null);
+    readonly queue = signal<QueueItem[]>([]);
+
+    // ---- Moderation ----
+    readonly editingId = signal<string | null>(null);
+    readonly editText = signal('');
+    /** Image data URLs per pending item, loaded on demand */
+    readonly previews = signal<Record<string, string[]>>({});
+
+    // ---- Dead letters ----
+    /** Dead letter whose target is being changed */
+    readonly retargetId = signal<string | null>(null);
+
+    // ---- Pairing code login ----
+    readonly pairingPhone = signal('');
+    /** Session whose pairing code is being requested */
+    readonly pairingBusy = signal<string | null>(null);
+
+    constructor() {
+        // Reload the queue list whenever its size changes
+        effect(() => {
+            this.socket.queueCount();
+            this.socket.queueVersion();
+            this.loadQueue();
+        });
+    }
 
     async ngOnInit() {
         try {
             const s = await this.settingsService.getStats();
             this.stats.set(s);
+            if (!this.settingsService.settings()) await this.settingsService.load();
+        } catch { /* server may not be running */ }
+    }
+
+    async loadQueue() {
+        try {
+            this.queue.set(await this.settingsService.getQueue());
         } catch { /* server may not be running */ }
     }
 
-    getStatusLabel(): string {
+    /** Held by a delivery window / route delay (rather than waiting for WhatsApp). */
+    isHeld(item: QueueItem): boolean {
+        return !!item.notBefore && new Date(item.notBefore).getTime() > Date.now();
+    }
+
+    formatRelease(iso: string | null): string {
+        if (!iso) return '';
+        return new Date(iso).toLocaleString('he-IL', { weekday: 'short', day: 'numeric', month: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+
+    // ---- Moderation ----
+    pendingText(item: PendingItem): string {
+        const text = item.items.map((i) => i.text).find(Boolean) || '';
+        const media = item.items.filter((i) => i.mimetype).map((i) => `[${i.mimetype}]`).join(' ');
+        return [media, text].filter(Boolean).join('\n') || '—';
+    }
+
+    targetNames(groupIds: string[]): string {
+        return groupIds.map((id) => this.groupName(id)).join(', ');
+    }
+
+    hasImages(item: PendingItem): boolean {
+        return item.items.some((i) => i.mimetype?.startsWith('image/'));
+    }
+
+    async loadPreview(item: PendingItem) {
+        try {
+            const detail = await this.settingsService.getPendingItem(item.id);
+            const images = detail.payloads
+                .filter((p) => p.media?.mimetype.startsWith('image/'))
+                .map((p) => `data:${p.media!.mimetype};base64,${p.media!.data}`);
+            this.previews.update((all) => ({ ...all, [item.id]: images }));
+        } catch (err: any) {
+            this.toast.error(`שגיאה בטעינת תצוגה מקדימה: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    startEdit(item: PendingItem) {
+        this.editText.set(item.items.map((i) => i.text).find(Boolean) || '');
+        this.editingId.set(item.id);
+    }
+
+    async saveEdit(item: PendingItem) {
+        try {
+            await this.settingsService.updatePendingText(item.id, this.editText());
+            this.editingId.set(null);
+        } catch (err: any) {
+            this.toast.error(`שגיאה בעדכון ההודעה: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    async approve(item: PendingItem) {
+        try {
+            await this.settingsService.approvePending(item.id);
+            this.toast.success('ההודעה אושרה ונשלחה');
+        } catch (err: any) {
+            this.toast.error(`שגיאה באישור: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    // ---- Queue management ----
+    async toggleQueuePaused() {
+        try {
+            await this.settingsService.setQueuePaused(!this.socket.queuePaused());
+        } catch (err: any) {
+            this.toast.error(`שגיאה בעדכון התור: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    async moveToFront(item: QueueItem) {
+        try {
+            await this.settingsService.moveQueueItemToFront(item.id);
+        } catch (err: any) {
+            this.toast.error(`שגיאה בהעברה לראש התור: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    async cancelQueued(item: QueueItem) {
+        try {
+            await this.settingsService.removeQueueItem(item.id);
+            this.toast.warning('ההודעה הוסרה מהתור');
+        } catch (err: any) {
+            this.toast.error(`שגיאה בביטול ההודעה: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    async purgeGroup(chatId: string) {
+        const count = this.queue().filter((q) => q.chatId === chatId).length;
+        const confirmed = await this.confirm.confirm({
+            title: 'ניקוי תור לקבוצה',
+            message: `${count} ההודעות בתור לקבוצה "${this.groupName(chatId)}" יימחקו. להמשיך?`,
+            confirmText: 'מחק',
+            cancelText: 'ביטול',
+            danger: true,
+        });
+        if (!confirmed) return;
+        try {
+            await this.settingsService.purgeQueue(chatId);
+        } catch (err: any) {
+            this.toast.error(`שגיאה בניקוי התור: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    // ---- Dead letters ----
+    async retryDead(item?: DeadLetterItem) {
+        try {
+            const count = await this.settingsService.retryDeadLetter(item?.id);
+            this.toast.success(count === 1 ? 'ההודעה הוחזרה לתור' : `${count} הודעות הוחזרו לתור`);
+        } catch (err: any) {
+            this.toast.error(`שגיאה בשליחה חוזרת: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    async retargetDead(item: DeadLetterItem, chatId: string) {
+        this.retargetId.set(null);
+        if (!chatId || chatId === item.chatId) return;
+        try {
+            await this.settingsService.updateDeadLetterTarget(item.id, chatId);
+            this.toast.success(`היעד עודכן ל-${this.groupName(chatId)}`);
+        } catch (err: any) {
+            this.toast.error(`שגיאה בעדכון היעד: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    async discardDead(item?: DeadLetterItem) {
+        const confirmed = await this.confirm.confirm({
+            title: 'מחיקת הודעות שנכשלו',
+            message: item ? 'ההודעה תימחק ולא תישלח. להמשיך?' : `כל ${this.socket.deadLetters().length} ההודעות שנכשלו יימחקו. להמשיך?`,
+            confirmText: 'מחק',
+            cancelText: 'ביטול',
+            danger: true,
+        });
+        if (!confirmed) return;
+        try {
+            await this.settingsService.discardDeadLetter(item?.id);
+        } catch (err: any) {
+            this.toast.error(`שגיאה במחיקה: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    async reject(item: PendingItem) {
+        try {
+            await this.settingsService.rejectPending(item.id);
+            this.toast.warning('ההודעה נדחתה');
+        } catch (err: any) {
+            this.toast.error(`שגיאה בדחייה: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    async requestPairingCode(sessionId: string) {
+        this.pairingBusy.set(sessionId);
+        try {
+            const { code } = await this.settingsService.requestPairingCode(this.pairingPhone().trim(), sessionId);
+            this.toast.success(`קוד צימוד: ${code}`);
+        } catch (err: any) {
+            this.toast.error(`שגיאה בבקשת קוד צימוד: ${err.error?.error || err.message || err}`);
+        } finally {
+            this.pairingBusy.set(null);
+        }
+    }
+
+    async cancelPairing(sessionId: string) {
+        try {
+            await this.settingsService.cancelPairing(sessionId);
+        } catch (err: any) {
+            this.toast.error(`שגיאה: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    groupName(groupId: string): string {
+        const group = this.settingsService.settings()?.groups?.find((g) => g.id === groupId);
+        return group?.name || groupId;
+    }
+
+    getStatusLabel(status: string = this.socket.waStatus()): string {
         const map: Record<string, string> = {
             disconnected: 'מנותק',
             qr: 'ממתין לסריקת QR',
+            pairing: 'ממתין לקוד צימוד',
             authenticated: 'מאומת',
             ready: 'מחובר ✓',
             error: 'שגיאה',
         };
-        return map[this.socket.waStatus()] || this.socket.waStatus();
+        return map[status] || status;
     }
 
-    getStatusClass(): string {
-        const s = this.socket.waStatus();
+    getStatusClass(status: string = this.socket.waStatus()): string {
+        const s = status;
         if (s === 'ready') return 'status-ready';
         if (s === 'error') return 'status-error';
-        if (s === 'qr') return 'status-qr';
+        if (s === 'qr' || s === 'pairing') return 'status-qr';
+        return 'status-disconnected';
+    }
+
+    getBotStatusLabel(status: string): string {
+        const map: Record<string, string> = {
+            starting: 'מתחבר...',
+            running: 'פעיל ✓',
+            stopped: 'מושבת',
+            error: 'שגיאה',
+        };
+        return map[status] || status;
+    }
+
+    getBotStatusClass(status: string): string {
+        if (status === 'running') return 'status-ready';
+        if (status === 'error') return 'status-error';
         return 'status-disconnected';
     }
 }
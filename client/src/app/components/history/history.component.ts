@@ -0,0 +1,108 @@
+import { Component, inject, OnInit, signal, computed } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { SettingsService, HistoryEntry, HistoryQuery, HistoryTarget } from '../../services/settings.service';
+import { ToastService } from '../../services/toast.service';
+
+const PAGE_SIZE = 50;
+
+@Component({
+    selector: 'app-history',
+    standalone: true,
+    imports: [CommonModule, FormsModule],
+    templateUrl: './history.component.html',
+    styleUrl: './history.component.scss',
+})
+export class HistoryComponent implements OnInit {
+    readonly settingsService = inject(SettingsService);
+    readonly toast = inject(ToastService);
+
+    readonly items = signal<HistoryEntry[]>([]);
+    readonly total = signal(0);
+    readonly page = signal(1);
+    readonly loading = signal(false);
+    readonly filters = signal<HistoryQuery>({});
+
+    readonly pageCount = computed(() => Math.max(1, Math.ceil(this.total() / PAGE_SIZE)));
+
+    readonly statusOptions = [
+        { value: 'sent', label: 'נשלח' },
+        { value: 'queued', label: 'בתור' },
+        { value: 'held', label: 'מושהה' },
+        { value: 'pending', label: 'ממתין' },
+        { value: 'failed', label: 'נכשל' },
+        { value: 'rejected', label: 'נדחה' },
+        { value: 'filtered', label: 'סונן' },
+    ];
+
+    async ngOnInit() {
+        try {
+            if (!this.settingsService.settings()) await this.settingsService.load();
+        } catch { /* server may not be running */ }
+        await this.load();
+    }
+
+    async load(page = this.page()) {
+        this.loading.set(true);
+        try {
+            const res = await this.settingsService.getHistory({ ...this.filters(), page, pageSize: PAGE_SIZE });
+            this.items.set(res.items);
+            this.total.set(res.total);
+            this.page.set(res.page);
+        } catch (err: any) {
+            this.toast.error(`שגיאה בטעינת היסטוריה: ${err.error?.error || err.message || err}`);
+        } finally {
+            this.loading.set(false);
+        }
+    }
+
+    updateFilter(key: keyof HistoryQuery, value: string) {
+        this.filters.update((f) => ({ ...f, [key]: value }));
+    }
+
+    search() {
+        this.load(1);
+    }
+
+    resetFilters() {
+        this.filters.set({});
+        this.load(1);
+    }
+
+    targetList(entry: HistoryEntry): { id: string; target: HistoryTarget }[] {
+        return Object.entries(entry.targets).map(([id, target]) => ({ id, target }));
+    }
+
+    /** Group / channel name for an id, falling back to the id itself. */
+    chatName(id: string): string {
+        const settings = this.settingsService.settings();
+        const match = settings?.groups?.find((g) => g.id === id) || settings?.channels?.find((c) => c.id === id);
+        return match?.name || id;
+    }
+
+    statusLabel(status: string): string {
+        return this.statusOptions.find((s) => s.value === status)?.label || status;
+    }
+
+    statusClass(status: string): string {
+        if (status === 'sent') return 'badge-green';
+        if (status === 'failed' || status === 'rejected') return 'badge-red';
+        if (status === 'filtered') return 'badge-muted';
+        return 'badge-amber';
+    }
+
+    formatLatency(ms?: number): string {
+        if (ms === undefined || ms === null) return '';
+        if (ms < 1000) return `${ms}ms`;
+        if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+        return `${Math.round(ms / 60000)}m`;
+    }
+
+    formatTime(iso: string): string {
+        try {
+            return new Date(iso).toLocaleString('he-IL', { day: 'numeric', month: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        } catch {
+            return '';
+        }
+    }
+}
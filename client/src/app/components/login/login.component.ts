@@ -0,0 +1,45 @@
+import { Component, inject, OnInit, signal } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { Router } from '@angular/router';
+import { AuthService } from '../../services/auth.service';
+
+@Component({
+    selector: 'app-login',
+    standalone: true,
+    imports: [CommonModule, FormsModule],
+    templateUrl: './login.component.html',
+    styleUrl: './login.component.scss',
+})
+export class LoginComponent implements OnInit {
+    readonly auth = inject(AuthService);
+    private readonly router = inject(Router);
+
+    username = signal('');
+    password = signal('');
+    error = signal<string | null>(null);
+    busy = signal(false);
+
+    async ngOnInit() {
+        try {
+            if (await this.auth.refresh()) this.router.navigateByUrl('/');
+        } catch { /* server may not be running */ }
+    }
+
+    async submit() {
+        this.error.set(null);
+        this.busy.set(true);
+        try {
+            if (this.auth.setupRequired()) {
+                await this.auth.setup(this.username().trim(), this.password());
+            } else {
+                await this.auth.login(this.username().trim(), this.password());
+            }
+            this.router.navigateByUrl('/');
+        } catch (err: any) {
+            this.error.set(err.error?.error || err.message || 'שגיאה בהתחברות');
+        } finally {
+            this.busy.set(false);
+        }
+    }
+}
@@ -1,12 +1,19 @@
-import { Component, inject, OnInit, signal } from '@angular/core';
+import { Component, computed, inject, OnInit, signal } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
-import { SettingsService, BridgeSettings } from '../../services/settings.service';
+import {
+    SettingsService, BridgeSettings, DeliverySchedule, DeliveryWindowRule, SendRate, AlertSettings, AlertWebhook, AlertEvent,
+    LargeFilePolicy, PluginInfo, PluginSettings,
+} from '../../services/settings.service';
 import { ToastService } from '../../services/toast.service';
 import { ConfirmService } from '../../services/confirm.service';
+import { SocketService } from '../../services/socket.service';
+import { AuthService, AuthUser, Role } from '../../services/auth.service';
 import { SelectionDialogComponent, SelectionItem } from '../selection-dialog/selection-dialog.component';
 
-interface ChannelItem { id: string; name: string; }
+interface ChannelItem { id: string; name: string; botId?: string; moderation?: boolean; }
+interface GroupItem { id: string; name: string; sessionId?: string; schedule?: DeliverySchedule; }
+interface BotItem { id: string; name: string; token: string; enabled?: boolean; }
 
 @Component({
     selector: 'app-settings',
@@ -19,6 +26,8 @@ export class SettingsComponent implements OnInit {
     readonly settingsService = inject(SettingsService);
     readonly toast = inject(ToastService);
     readonly confirm = inject(ConfirmService);
+    readonly socket = inject(SocketService);
+    readonly auth = inject(AuthService);
 
     form = signal<BridgeSettings>({
         telegramBotToken: '',
@@ -33,7 +42,60 @@ export class SettingsComponent implements OnInit {
     });
 
     channels = signal<ChannelItem[]>([]);
-    groups = signal<ChannelItem[]>([]);
+    groups = signal<GroupItem[]>([]);
+    bots = signal<BotItem[]>([]);
+
+    /** Bots a channel can be pinned to — the legacy token counts as "default" */
+    readonly botOptions = computed(() => {
+        const extra = this.bots().filter(b => b.id.trim());
+        const legacy = this.form().telegramBotToken?.trim() && !extra.some(b => b.id === 'default')
+            ? [{ id: 'default', name: 'ראשי' }]
+            : [];
+        return [...legacy, ...extra.map(b => ({ id: b.id.trim(), name: b.name }))];
+    });
+
+    // ---- Delivery Windows ----
+    scheduleOpen = signal<number | null>(null);
+    readonly weekDays = [
+        { value: 0, label: 'א' }, { value: 1, label: 'ב' }, { value: 2, label: 'ג' }, { value: 3, label: 'ד' },
+        { value: 4, label: 'ה' }, { value: 5, label: 'ו' }, { value: 6, label: 'ש' },
+    ];
+
+    // ---- Users ----
+    users = signal<AuthUser[]>([]);
+    newUsername = signal('');
+    newPassword = signal('');
+    newRole = signal<Role>('viewer');
+    readonly roles: { value: Role; label: string }[] = [
+        { value: 'viewer', label: 'צופה' },
+        { value: 'operator', label: 'מפעיל' },
+        { value: 'admin', label: 'מנהל' },
+    ];
+
+    // ---- WhatsApp Sessions ----
+    newSessionId = signal('');
+    newSessionName = signal('');
+    /** Discovered groups keep their session so a selection can be assigned to it */
+    private discoveredGroups: { id: string; name: string; sessionId: string }[] = [];
+
+    // ---- Alerts ----
+    readonly alertEvents: { value: AlertEvent; label: string }[] = [
+        { value: 'whatsapp.qr', label: 'ממתין ל-QR' },
+        { value: 'whatsapp.disconnected', label: 'WhatsApp התנתק' },
+        { value: 'whatsapp.auth_failure', label: 'שגיאת אימות' },
+        { value: 'whatsapp.ready', label: 'WhatsApp חזר' },
+        { value: 'telegram.bot_failed', label: 'בוט נכשל' },
+        { value: 'queue.backlog', label: 'עומס בתור' },
+        { value: 'message.dead_lettered', label: 'הודעות שנכשלו' },
+    ];
+
+    // ---- Plugins ----
+    plugins = signal<PluginInfo[]>([]);
+
+    // ---- Transform Preview ----
+    previewText = signal('');
+    previewChannel = signal('');
+    previewOutput = signal<string | null>(null);
 
     // ---- Selection Dialog State ----
     showSelection = signal(false);
@@ -47,6 +109,7 @@ export class SettingsComponent implements OnInit {
         try {
             const data = await this.settingsService.load();
             this.form.set({ ...data });
+            this.bots.set(data.bots || []);
 
             if (data.channels && data.channels.length > 0) {
                 this.channels.set(data.channels);
@@ -62,6 +125,8 @@ export class SettingsComponent implements OnInit {
                 this.groups.set(ids.map((id: string) => ({ id, name: '' })));
             }
         } catch { /* server may not be running */ }
+        await this.loadUsers();
+        await this.loadPlugins();
     }
 
     // ---- Discovery Actions ----
@@ -75,11 +140,12 @@ export class SettingsComponent implements OnInit {
 
         try {
             const recents = await this.settingsService.getRecentTelegramChannels();
-            this.selectionItems.set(recents.map(c => ({
-                id: c.id,
-                name: c.name,
-                subtext: c.username ? `@${c.username}` : undefined
-            })));
+            const multi = this.botOptions().length > 1;
+            this.selectionItems.set(recents.map(c => {
+                const seenBy = multi ? (c.botIds || []).map(id => this.botLabel(id)).join(', ') : '';
+                const parts = [c.username ? `@${c.username}` : '', seenBy].filter(Boolean);
+                return { id: c.id, name: c.name, subtext: parts.length ? parts.join(' · ') : undefined };
+            }));
         } catch (err) {
             this.toast.error('שגיאה בטעינת ערוצים');
         } finally {
@@ -97,9 +163,12 @@ export class SettingsComponent implements OnInit {
 
         try {
             const groups = await this.settingsService.getWhatsAppGroups();
+            this.discoveredGroups = groups;
+            const multi = this.socket.waSessions().length > 1;
             this.selectionItems.set(groups.map(g => ({
                 id: g.id,
-                name: g.name
+                name: g.name,
+                subtext: multi ? this.sessionLabel(g.sessionId) : undefined
             })));
         } catch (err) {
             this.toast.error('שגיאה בטעינת קבוצות');
@@ -123,7 +192,8 @@ export class SettingsComponent implements OnInit {
                 this.toast.warning('הקבוצה כבר קיימת ברשימה');
                 return;
             }
-            this.groups.update(g => [...g, { id: item.id, name: item.name }]);
+            const sessionId = this.discoveredGroups.find(d => d.id === item.id)?.sessionId;
+            this.groups.update(g => [...g, { id: item.id, name: item.name, sessionId }]);
             this.toast.success(`נוספה קבוצה: ${item.name}`);
         }
         this.showSelection.set(false);
@@ -138,7 +208,7 @@ export class SettingsComponent implements OnInit {
         this.channels.update(c => c.filter((_, i) => i !== index));
     }
 
-    updateChannel(index: number, field: 'id' | 'name', value: string) {
+    updateChannel(index: number, field: 'id' | 'name' | 'botId' | 'moderation', value: string | boolean) {
         this.channels.update(c => c.map((item, i) => i === index ? { ...item, [field]: value } : item));
     }
 
@@ -149,15 +219,190 @@ export class SettingsComponent implements OnInit {
 
     removeGroup(index: number) {
         this.groups.update(g => g.filter((_, i) => i !== index));
+        this.scheduleOpen.set(null);
     }
 
-    updateGroup(index: number, field: 'id' | 'name', value: string) {
+    updateGroup(index: number, field: 'id' | 'name' | 'sessionId', value: string) {
         this.groups.update(g => g.map((item, i) => i === index ? { ...item, [field]: value } : item));
     }
 
+    // ---- Delivery Windows ----
+    toggleSchedule(index: number) {
+        this.scheduleOpen.update(open => open === index ? null : index);
+    }
+
+    updateTimezone(index: number, timezone: string) {
+        this.updateSchedule(index, s => ({ ...s, timezone: timezone.trim() || undefined }));
+    }
+
+    addWindow(index: number) {
+        this.updateSchedule(index, s => ({
+            ...s,
+            windows: [...s.windows, { days: [0, 1, 2, 3, 4], start: '08:00', end: '22:00' }],
+        }));
+    }
+
+    removeWindow(index: number, windowIndex: number) {
+        this.updateSchedule(index, s => ({ ...s, windows: s.windows.filter((_, w) => w !== windowIndex) }));
+    }
+
+    updateWindow(index: number, windowIndex: number, field: 'start' | 'end', value: string) {
+        this.updateSchedule(index, s => ({
+            ...s,
+            windows: s.windows.map((win, w) => w === windowIndex ? { ...win, [field]: value } : win),
+        }));
+    }
+
+    isDayActive(win: DeliveryWindowRule, day: number): boolean {
+        return !win.days?.length || win.days.includes(day);
+    }
+
+    toggleDay(index: number, windowIndex: number, day: number) {
+        this.updateSchedule(index, s => ({
+            ...s,
+            windows: s.windows.map((win, w) => {
+                if (w !== windowIndex) return win;
+                const days = win.days?.length ? win.days : this.weekDays.map(d => d.value);
+                const next = days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort();
+                return { ...win, days: next };
+            }),
+        }));
+    }
+
+    private updateSchedule(index: number, fn: (schedule: DeliverySchedule) => DeliverySchedule) {
+        this.groups.update(g => g.map((item, i) => {
+            if (i !== index) return item;
+            const schedule = fn(item.schedule ?? { windows: [] });
+            return { ...item, schedule: schedule.windows.length || schedule.timezone ? schedule : undefined };
+        }));
+    }
+
+    // ---- Telegram Bots ----
+    addBot() {
+        this.bots.update(b => [...b, { id: '', name: '', token: '' }]);
+    }
+
+    removeBot(index: number) {
+        this.bots.update(b => b.filter((_, i) => i !== index));
+    }
+
+    updateBot(index: number, field: 'id' | 'name' | 'token', value: string) {
+        this.bots.update(b => b.map((item, i) => i === index ? { ...item, [field]: value } : item));
+    }
+
+    botLabel(botId: string): string {
+        const bot = this.botOptions().find(b => b.id === botId);
+        return bot?.name || botId;
+    }
+
+    botStatusText(botId: string): string {
+        const bot = this.socket.tgBots().find(b => b.id === botId.trim());
+        if (!bot) return '';
+        return bot.username ? `@${bot.username} · ${bot.status}` : bot.status;
+    }
+
+    // ---- Users ----
+    async loadUsers() {
+        try {
+            this.users.set(await this.auth.getUsers());
+        } catch { /* server may not be running */ }
+    }
+
+    async addUser() {
+        try {
+            await this.auth.createUser(this.newUsername().trim(), this.newPassword(), this.newRole());
+            this.newUsername.set('');
+            this.newPassword.set('');
+            this.newRole.set('viewer');
+            this.toast.success('המשתמש נוסף');
+            await this.loadUsers();
+        } catch (err: any) {
+            this.toast.error(`שגיאה בהוספת משתמש: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    async changeRole(user: AuthUser, role: Role) {
+        try {
+            await this.auth.updateUser(user.id, { role });
+            this.toast.success(`התפקיד של ${user.username} עודכן`);
+        } catch (err: any) {
+            this.toast.error(`שגיאה בעדכון משתמש: ${err.error?.error || err.message || err}`);
+        }
+        await this.loadUsers();
+    }
+
+    async resetPassword(user: AuthUser) {
+        const password = prompt(`סיסמה חדשה עבור ${user.username} (8 תווים לפחות):`);
+        if (!password) return;
+        try {
+            await this.auth.updateUser(user.id, { password });
+            this.toast.success('הסיסמה עודכנה');
+        } catch (err: any) {
+            this.toast.error(`שגיאה בעדכון סיסמה: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    async removeUser(user: AuthUser) {
+        const confirmed = await this.confirm.confirm({
+            title: 'הסרת משתמש',
+            message: `המשתמש "${user.username}" יימחק. להמשיך?`,
+            confirmText: 'הסר',
+            cancelText: 'ביטול',
+            danger: true,
+        });
+        if (!confirmed) return;
+        try {
+            await this.auth.deleteUser(user.id);
+            this.toast.success('המשתמש הוסר');
+            await this.loadUsers();
+        } catch (err: any) {
+            this.toast.error(`שגיאה בהסרת משתמש: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    // ---- WhatsApp Sessions ----
+    sessionLabel(sessionId?: string): string {
+        const session = this.socket.waSessions().find(s => s.id === (sessionId || 'default'));
+        return session?.name || session?.id || sessionId || 'default';
+    }
+
+    async addSession() {
+        const id = this.newSessionId().trim();
+        if (!id) {
+            this.toast.warning('יש להזין מזהה לחיבור');
+            return;
+        }
+        try {
+            await this.settingsService.addWaSession(id, this.newSessionName().trim());
+            this.newSessionId.set('');
+            this.newSessionName.set('');
+            this.toast.success('החיבור נוסף — סרוק QR בדשבורד');
+        } catch (err: any) {
+            this.toast.error(`שגיאה בהוספת חיבור: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    async removeSession(sessionId: string) {
+        const confirmed = await this.confirm.confirm({
+            title: 'הסרת חיבור',
+            message: `החיבור "${this.sessionLabel(sessionId)}" ונתוני האימות שלו יימחקו. להמשיך?`,
+            confirmText: 'הסר',
+            cancelText: 'ביטול',
+            danger: true,
+        });
+        if (!confirmed) return;
+        try {
+            await this.settingsService.removeWaSession(sessionId);
+            this.toast.success('החיבור הוסר');
+        } catch (err: any) {
+            this.toast.error(`שגיאה בהסרת חיבור: ${err.error?.error || err.message || err}`);
+        }
+    }
+
     // ---- Save ----
     async save() {
-        const current = this.form();
+        // Sessions are managed through their own endpoints — never overwrite them from a stale form
+        const { sessions: _sessions, ...current } = this.form();
 
         // Construct the payload with the current values from the signals
         const payload: BridgeSettings = {
@@ -167,6 +412,9 @@ export class SettingsComponent implements OnInit {
             whatsappGroupId: current.whatsappGroupId,     // Keep legacy for now if needed, or clear it
             channels: this.channels(), // Use the current value of the channels signal
             groups: this.groups(),     // Use the current value of the groups signal
+            bots: this.bots()
+                .map(b => ({ ...b, id: b.id.trim(), token: b.token.trim() }))
+                .filter(b => b.id && b.token),
             footerText: current.footerText,
             autoRetry: current.autoRetry,
             retryIntervalMs: current.retryIntervalMs,
@@ -175,8 +423,9 @@ export class SettingsComponent implements OnInit {
 
         this.settingsService.loading.set(true);
         try {
-            await this.settingsService.save(payload);
-            this.form.set(payload); // Update local form state
+            const saved = await this.settingsService.save(payload);
+            this.form.set(saved); // Update local form state
+            this.bots.set(saved.bots || []);
             this.toast.success('ההגדרות נשמרו בהצלחה');
         } catch (err: any) {
             this.toast.error(`שגיאה בשמירה: ${err.message || err}`);
@@ -193,29 +442,148 @@ export class SettingsComponent implements OnInit {
         this.form.update((f) => ({ ...f, footerText: current + `${char}טקסט${char}` }));
     }
 
+    async runPreview() {
+        try {
+            const result = await this.settingsService.previewTransform(this.previewText(), this.previewChannel() || undefined);
+            this.previewOutput.set(result.output);
+        } catch (err: any) {
+            this.toast.error(`שגיאה בבדיקת ההמרה: ${err.message || err}`);
+        }
+    }
+
+    sendRate(): SendRate {
+        return { globalPerMinute: 40, perChatPerMinute: 12, jitterMs: 800, maxConcurrent: 1, ...this.form().sendRate };
+    }
+
+    updateSendRate(key: keyof SendRate, value: number) {
+        this.updateField('sendRate', { ...this.sendRate(), [key]: Math.max(0, value || 0) });
+    }
+
+    /** Media size limit is stored in bytes but edited in MB. */
+    mediaLimitMb(): number {
+        return Math.round((this.form().mediaMaxBytes ?? 64 * 1024 * 1024) / (1024 * 1024));
+    }
+
+    setMediaLimitMb(mb: number) {
+        if (mb > 0) this.updateField('mediaMaxBytes', Math.round(mb * 1024 * 1024));
+    }
+
+    readonly largeFilePolicies: { value: LargeFilePolicy; label: string }[] = [
+        { value: 'link', label: 'כיתוב + קישור להודעה בטלגרם' },
+        { value: 'notice', label: 'כיתוב + הודעה שהקובץ לא הועבר' },
+        { value: 'skip', label: 'דילוג על ההודעה' },
+    ];
+
+    // ---- Alerts ----
+    alerts(): AlertSettings {
+        return { adminChatId: '', queueThreshold: 100, webhooks: [], ...this.form().alerts };
+    }
+
+    updateAlerts(field: keyof AlertSettings, value: any) {
+        this.updateField('alerts', { ...this.alerts(), [field]: value });
+    }
+
+    setQueueThreshold(value: number) {
+        this.updateAlerts('queueThreshold', Math.max(0, value || 0));
+    }
+
+    addWebhook() {
+        const id = Date.now().toString(36);
+        this.updateAlerts('webhooks', [...this.alerts().webhooks, { id, url: '', secret: '', events: [], enabled: true }]);
+    }
+
+    removeWebhook(index: number) {
+        this.updateAlerts('webhooks', this.alerts().webhooks.filter((_, i) => i !== index));
+    }
+
+    updateWebhook(index: number, field: keyof AlertWebhook, value: any) {
+        this.updateAlerts('webhooks', this.alerts().webhooks.map((h, i) => i === index ? { ...h, [field]: value } : h));
+    }
+
+    /** No events selected means "all events". */
+    hasWebhookEvent(hook: AlertWebhook, event: AlertEvent): boolean {
+        return !hook.events?.length || hook.events.includes(event);
+    }
+
+    toggleWebhookEvent(index: number, event: AlertEvent) {
+        const hook = this.alerts().webhooks[index];
+        const current = hook.events?.length ? hook.events : this.alertEvents.map(e => e.value);
+        const events = current.includes(event) ? current.filter(e => e !== event) : [...current, event];
+        this.updateWebhook(index, 'events', events.length === this.alertEvents.length ? [] : events);
+    }
+
+    async testAlerts() {
+        try {
+            const results = await this.settingsService.testAlerts();
+            if (results.length === 0) {
+                this.toast.warning('לא הוגדרו יעדים להתראות — שמור צ\'אט מנהלים או Webhook');
+                return;
+            }
+            const failed = results.filter(r => !r.ok);
+            if (failed.length === 0) {
+                this.toast.success(`התראת בדיקה נשלחה ל-${results.length} יעדים`);
+            } else {
+                this.toast.error(`שליחה נכשלה: ${failed.map(r => `${r.target} (${r.error})`).join(', ')}`);
+            }
+        } catch (err: any) {
+            this.toast.error(`שגיאה בשליחת התראת בדיקה: ${err.error?.error || err.message || err}`);
+        }
+    }
+
+    // ---- Plugins ----
+    async loadPlugins() {
+        try {
+            this.plugins.set(await this.settingsService.getPlugins());
+        } catch { /* server may not be running */ }
+    }
+
+    pluginSettings(plugin: PluginInfo): PluginSettings {
+        return this.form().plugins?.[plugin.name] || {};
+    }
+
+    updatePlugin(plugin: PluginInfo, field: keyof PluginSettings, value: any) {
+        const plugins = this.form().plugins || {};
+        this.updateField('plugins', { ...plugins, [plugin.name]: { ...plugins[plugin.name], [field]: value } });
+    }
+
+    /** Saved config, or the plugin's defaults until one is saved. */
+    pluginConfigText(plugin: PluginInfo): string {
+        return JSON.stringify(this.pluginSettings(plugin).config ?? plugin.defaults, null, 2);
+    }
+
+    setPluginConfig(plugin: PluginInfo, text: string) {
+        try {
+            const config = text.trim() ? JSON.parse(text) : {};
+            if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error('נדרש אובייקט JSON');
+            this.updatePlugin(plugin, 'config', config);
+        } catch (err: any) {
+            this.toast.error(`הגדרות התוסף ${plugin.name} לא נשמרו: ${err.message}`);
+        }
+    }
+
     updateField(field: keyof BridgeSettings, value: any) {
         this.form.update((f) => ({ ...f, [field]: value }));
     }
 
     // ---- Actions ----
-    async hardReset() {
+    async hardReset(sessionId = 'default') {
         const confirmed = await this.confirm.confirm({
             title: 'Hard Reset',
-            message: 'פעולה זו תמחק את נתוני האימות של WhatsApp ותדרוש סריקת QR מחדש. אתה בטוח?',
+            message: `פעולה זו תמחק את נתוני האימות של WhatsApp (${this.sessionLabel(sessionId)}) ותדרוש סריקת QR מחדש. אתה בטוח?`,
             confirmText: 'מחק והתחבר מחדש',
             cancelText: 'ביטול',
             danger: true,
         });
         if (confirmed) {
-            await this.settingsService.hardResetWa();
+            await this.settingsService.hardResetWa(sessionId);
             this.toast.warning('נתוני האימות נמחקו — סרוק QR מחדש');
         }
     }
 
-    async restartBot() {
+    async restartBot(botId?: string) {
         this.settingsService.loading.set(true);
         try {
-            await this.settingsService.restartTelegram();
+            await this.settingsService.restartTelegram(botId);
             this.toast.success('הבוט הופעל מחדש בהצלחה');
         } catch (err: any) {
             this.toast.error(`שגיאה בהפעלת הבוט: ${err.message || err}`);
@@ -0,0 +1,42 @@
+import { inject } from '@angular/core';
+import { HttpErrorResponse, HttpInterceptorFn } from '@angular/common/http';
+import { CanActivateFn, Router } from '@angular/router';
+import { catchError, throwError } from 'rxjs';
+import { AuthService, Role } from './auth.service';
+
+/** Route guard — logged-in users with at least `role`; others go to /login (or home). */
+export function authGuard(role: Role = 'viewer'): CanActivateFn {
+    return async () => {
+        const auth = inject(AuthService);
+        const router = inject(Router);
+
+        if (!auth.user() && auth.token()) {
+            try {
+                await auth.refresh();
+            } catch { /* server may not be running */ }
+        }
+        if (!auth.user()) return router.parseUrl('/login');
+        return auth.hasRole(role) ? true : router.parseUrl('/');
+    };
+}
+
+/** Adds the bearer token to API calls and sends the user to /login when it is rejected. */
+export const authInterceptor: HttpInterceptorFn = (req, next) => {
+    const auth = inject(AuthService);
+    const router = inject(Router);
+    const token = auth.token();
+
+    const request = token && req.url.startsWith('/api')
+        ? req.clone({ setHeaders: { Authorization: `Bearer ${token}` } })
+        : req;
+
+    return next(request).pipe(
+        catchError((err: HttpErrorResponse) => {
+            if (err.status === 401 && !req.url.startsWith('/api/auth/')) {
+                auth.logout();
+                router.navigateByUrl('/login');
+            }
+            return throwError(() => err);
+        }),
+    );
+};
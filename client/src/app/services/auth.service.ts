@@ -0,0 +1,95 @@
+import { Injectable, computed, signal } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { firstValueFrom } from 'rxjs';
+
+export type Role = 'viewer' | 'operator' | 'admin';
+
+export interface AuthUser {
+    id: string;
+    username: string;
+    role: Role;
+    createdAt?: string;
+}
+
+const API = '/api';
+const TOKEN_KEY = 'bridge.authToken';
+const ROLES: Role[] = ['viewer', 'operator', 'admin'];
+
+@Injectable({ providedIn: 'root' })
+export class AuthService {
+    readonly token = signal<string | null>(localStorage.getItem(TOKEN_KEY));
+    readonly user = signal<AuthUser | null>(null);
+    readonly setupRequired = signal(false);
+
+    readonly isLoggedIn = computed(() => !!this.token() && !!this.user());
+    readonly isAdmin = computed(() => this.hasRole('admin'));
+    readonly isOperator = computed(() => this.hasRole('operator'));
+
+    constructor(private http: HttpClient) { }
+
+    /** Resolve the stored token (and whether the first admin still has to be created). */
+    async refresh(): Promise<AuthUser | null> {
+        const status = await firstValueFrom(this.http.get<{ setupRequired: boolean; user: AuthUser | null }>(`${API}/auth/status`));
+        this.setupRequired.set(status.setupRequired);
+        this.user.set(status.user);
+        if (!status.user) this.setToken(null);
+        return status.user;
+    }
+
+    async login(username: string, password: string): Promise<AuthUser> {
+        const res = await firstValueFrom(this.http.post<{ token: string; user: AuthUser }>(`${API}/auth/login`, { username, password }));
+        this.setSession(res);
+        return res.user;
+    }
+
+    /** Create the first admin user (only while no user exists). */
+    async setup(username: string, password: string): Promise<AuthUser> {
+        const res = await firstValueFrom(this.http.post<{ token: string; user: AuthUser }>(`${API}/auth/setup`, { username, password }));
+        this.setupRequired.set(false);
+        this.setSession(res);
+        return res.user;
+    }
+
+    async changePassword(currentPassword: string, password: string): Promise<void> {
+        const res = await firstValueFrom(this.http.put<{ token: string; user: AuthUser }>(`${API}/auth/password`, { currentPassword, password }));
+        this.setSession(res);
+    }
+
+    logout() {
+        this.setToken(null);
+        this.user.set(null);
+    }
+
+    hasRole(role: Role): boolean {
+        const user = this.user();
+        return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+    }
+
+    // ---- Users (admin) ----
+    async getUsers(): Promise<AuthUser[]> {
+        return firstValueFrom(this.http.get<AuthUser[]>(`${API}/users`));
+    }
+
+    async createUser(username: string, password: string, role: Role): Promise<AuthUser> {
+        return firstValueFrom(this.http.post<AuthUser>(`${API}/users`, { username, password, role }));
+    }
+
+    async updateUser(id: string, changes: { role?: Role; password?: string }): Promise<AuthUser> {
+        return firstValueFrom(this.http.put<AuthUser>(`${API}/users/${encodeURIComponent(id)}`, changes));
+    }
+
+    async deleteUser(id: string): Promise<void> {
+        await firstValueFrom(this.http.delete(`${API}/users/${encodeURIComponent(id)}`));
+    }
+
+    private setSession(res: { token: string; user: AuthUser }) {
+        this.setToken(res.token);
+        this.user.set(res.user);
+    }
+
+    private setToken(token: string | null) {
+        if (token) localStorage.setItem(TOKEN_KEY, token);
+        else localStorage.removeItem(TOKEN_KEY);
+        this.token.set(token);
+    }
+}
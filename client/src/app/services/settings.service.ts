@@ -2,6 +2,126 @@ import { Injectable, signal } from '@angular/core';
 import { HttpClient } from '@angular/common/http';
 import { firstValueFrom } from 'rxjs';
 
+export interface FilterRule {
+    id?: string;
+    type: 'keyword' | 'regex' | 'messageType' | 'length' | 'forwardedFrom';
+    mode?: 'include' | 'exclude';
+    values?: string[];
+    min?: number;
+    max?: number;
+    enabled?: boolean;
+}
+
+export interface TransformStep {
+    type: 'replace' | 'stripMentions' | 'stripTelegramLinks' | 'rewriteUrls' | 'header' | 'footer';
+    pattern?: string;
+    replacement?: string;
+    flags?: string;
+    template?: string;
+    separator?: string;
+    enabled?: boolean;
+}
+
+export interface DeliveryWindowRule {
+    days?: number[]; // 0 = Sunday … 6 = Saturday
+    start: string;   // "HH:MM"
+    end: string;
+    enabled?: boolean;
+}
+
+export interface DeliverySchedule {
+    timezone?: string;
+    windows: DeliveryWindowRule[];
+}
+
+export interface QueueItem {
+    id: string;
+    chatId: string;
+    timestamp: string;
+    retries: number;
+    notBefore: string | null;
+    lastError: string | null;
+    text: string;
+    mimetype: string | null;
+}
+
+/** Outbound WhatsApp pacing — 0 = unlimited */
+export interface SendRate {
+    globalPerMinute: number;
+    perChatPerMinute: number;
+    jitterMs: number;
+    maxConcurrent?: number;
+}
+
+export type AlertEvent = 'whatsapp.qr' | 'whatsapp.disconnected' | 'whatsapp.auth_failure' | 'whatsapp.ready'
+    | 'telegram.bot_failed' | 'queue.backlog' | 'message.dead_lettered';
+
+/** Outbound webhook — `events` empty = every event */
+export interface AlertWebhook {
+    id: string;
+    url: string;
+    secret?: string;
+    events?: AlertEvent[];
+    enabled?: boolean;
+}
+
+/** Alerts to the Telegram admin chat and webhooks — queueThreshold 0 = off */
+export interface AlertSettings {
+    adminChatId: string;
+    queueThreshold: number;
+    webhooks: AlertWebhook[];
+    /** Post WhatsApp login QR codes to the admin chat */
+    sendQr?: boolean;
+}
+
+export type HistoryStatus = 'pending' | 'held' | 'queued' | 'sent' | 'failed' | 'rejected' | 'filtered';
+
+export interface HistoryTarget {
+    status: HistoryStatus;
+    at: string;
+    latencyMs?: number;
+    error?: string;
+    messageIds?: string[];
+}
+
+export interface HistoryEntry {
+    id: string;
+    direction: 'tg-wa' | 'wa-tg';
+    source: { chatId: string; chatTitle: string; messageId: string };
+    contentType: string;
+    excerpt: string;
+    postedAt: string;
+    updatedAt: string;
+    status: HistoryStatus;
+    reason?: string;
+    targets: Record<string, HistoryTarget>;
+}
+
+export interface HistoryQuery {
+    page?: number;
+    pageSize?: number;
+    direction?: string;
+    chatId?: string;
+    targetId?: string;
+    status?: string;
+    contentType?: string;
+    q?: string;
+    from?: string;
+    to?: string;
+}
+
+export interface HistoryPage {
+    items: HistoryEntry[];
+    total: number;
+    page: number;
+    pageSize: number;
+}
+
+export interface PendingDetail {
+    id: string;
+    payloads: { text: string; media?: { mimetype: string; data: string; filename?: string } | null }[];
+}
+
 export interface BridgeSettings {
     telegramBotToken: string;
     // Legacy support (optional)
@@ -9,13 +129,45 @@ export interface BridgeSettings {
     whatsappGroupId?: string;
 
     // New Structure
-    channels: { id: string; name: string }[];
-    groups: { id: string; name: string }[];
+    bots?: { id: string; name: string; token: string; enabled?: boolean }[];
+    channels: { id: string; name: string; botId?: string; moderation?: boolean }[];
+    groups: { id: string; name: string; sessionId?: string; schedule?: DeliverySchedule }[];
+    sessions?: { id: string; name: string }[];
 
     footerText: string;
+    moderationChatId?: string;
+    filters?: { global: FilterRule[]; channels: Record<string, FilterRule[]> };
+    transforms?: { global: TransformStep[]; channels: Record<string, TransformStep[]> };
     autoRetry: boolean;
     retryIntervalMs: number;
     maxRetries: number;
+    mediaMaxBytes?: number;
+    largeFilePolicy?: LargeFilePolicy;
+    sendRate?: SendRate;
+    alerts?: AlertSettings;
+    plugins?: Record<string, PluginSettings>;
+}
+
+/** What replaces a file too large to bridge: a link to the post, a notice, or nothing. */
+export type LargeFilePolicy = 'link' | 'notice' | 'skip';
+
+/** Per-plugin settings — config is merged over the plugin's own defaults. */
+export interface PluginSettings {
+    enabled?: boolean;
+    config?: Record<string, unknown>;
+}
+
+export interface PluginInfo {
+    name: string;
+    file: string;
+    description: string;
+    version: string;
+    hooks: string[];
+    defaults: Record<string, unknown>;
+    enabled: boolean;
+    loadError: string | null;
+    errors: number;
+    lastError: { hook: string; message: string; at: string } | null;
 }
 
 const API = '/api';
@@ -53,23 +205,128 @@ export class SettingsService {
         }
     }
 
-    async hardResetWa(): Promise<void> {
-        await firstValueFrom(this.http.post(`${API}/wa/hard-reset`, {}));
+    async hardResetWa(sessionId = 'default'): Promise<void> {
+        await firstValueFrom(this.http.post(`${API}/wa/hard-reset`, { sessionId }));
+    }
+
+    /** Switch a session to phone-number login; resolves with the first code. */
+    async requestPairingCode(phoneNumber: string, sessionId = 'default'): Promise<{ phoneNumber: string; code: string; expiresAt: string }> {
+        return firstValueFrom(this.http.post<{ phoneNumber: string; code: string; expiresAt: string }>(
+            `${API}/wa/pairing-code`, { phoneNumber, sessionId }));
+    }
+
+    async cancelPairing(sessionId = 'default'): Promise<void> {
+        await firstValueFrom(this.http.delete(`${API}/wa/pairing-code`, { params: { sessionId } }));
+    }
+
+    async getWaSessions(): Promise<{ id: string; name: string; status: string }[]> {
+        return firstValueFrom(this.http.get<{ id: string; name: string; status: string }[]>(`${API}/wa/sessions`));
+    }
+
+    async addWaSession(id: string, name: string): Promise<void> {
+        await firstValueFrom(this.http.post(`${API}/wa/sessions`, { id, name }));
+    }
+
+    async removeWaSession(id: string): Promise<void> {
+        await firstValueFrom(this.http.delete(`${API}/wa/sessions/${encodeURIComponent(id)}`));
+    }
+
+    async restartTelegram(botId?: string): Promise<void> {
+        await firstValueFrom(this.http.post(`${API}/telegram/restart`, botId ? { botId } : {}));
+    }
+
+    /** Send a test alert to the admin chat and every webhook (saved settings). */
+    async testAlerts(): Promise<{ target: string; ok: boolean; error?: string }[]> {
+        const res = await firstValueFrom(this.http.post<{ results: { target: string; ok: boolean; error?: string }[] }>(
+            `${API}/alerts/test`, {}));
+        return res.results;
+    }
+
+    /** Plugins loaded from plugins/ at startup. */
+    async getPlugins(): Promise<PluginInfo[]> {
+        return firstValueFrom(this.http.get<PluginInfo[]>(`${API}/plugins`));
+    }
+
+    async previewTransform(text: string, chatId?: string): Promise<{ input: string; output: string; steps: number }> {
+        return firstValueFrom(this.http.post<{ input: string; output: string; steps: number }>(
+            `${API}/transforms/preview`, { text, chatId }));
+    }
+
+    async getQueue(): Promise<QueueItem[]> {
+        const res = await firstValueFrom(this.http.get<{ queue: QueueItem[] }>(`${API}/queue`, { params: { summary: '1' } }));
+        return res.queue;
+    }
+
+    async getHistory(query: HistoryQuery = {}): Promise<HistoryPage> {
+        // Drop empty filters so they don't reach the server as ""
+        const params: Record<string, string> = {};
+        for (const [key, value] of Object.entries(query)) {
+            if (value !== undefined && value !== null && value !== '') params[key] = String(value);
+        }
+        return firstValueFrom(this.http.get<HistoryPage>(`${API}/history`, { params }));
+    }
+
+    async removeQueueItem(id: string): Promise<void> {
+        await firstValueFrom(this.http.delete(`${API}/queue/${encodeURIComponent(id)}`));
+    }
+
+    /** Remove every queued message for one group. */
+    async purgeQueue(chatId: string): Promise<number> {
+        const res = await firstValueFrom(this.http.delete<{ removed: number }>(`${API}/queue`, { params: { chatId } }));
+        return res.removed;
+    }
+
+    async moveQueueItemToFront(id: string): Promise<void> {
+        await firstValueFrom(this.http.post(`${API}/queue/${encodeURIComponent(id)}/front`, {}));
+    }
+
+    async setQueuePaused(paused: boolean): Promise<void> {
+        await firstValueFrom(this.http.post(`${API}/queue/${paused ? 'pause' : 'resume'}`, {}));
+    }
+
+    // ---- Dead letters ----
+    /** Retry one dead letter, or all of them when `id` is omitted. */
+    async retryDeadLetter(id?: string): Promise<number> {
+        const url = id ? `${API}/dead-letter/${encodeURIComponent(id)}/retry` : `${API}/dead-letter/retry`;
+        const res = await firstValueFrom(this.http.post<{ retried: number }>(url, {}));
+        return res.retried;
+    }
+
+    async updateDeadLetterTarget(id: string, chatId: string): Promise<void> {
+        await firstValueFrom(this.http.put(`${API}/dead-letter/${encodeURIComponent(id)}`, { chatId }));
+    }
+
+    /** Discard one dead letter, or all of them when `id` is omitted. */
+    async discardDeadLetter(id?: string): Promise<void> {
+        const url = id ? `${API}/dead-letter/${encodeURIComponent(id)}` : `${API}/dead-letter`;
+        await firstValueFrom(this.http.delete(url));
+    }
+
+    async getPendingItem(id: string): Promise<PendingDetail> {
+        return firstValueFrom(this.http.get<PendingDetail>(`${API}/moderation/${encodeURIComponent(id)}`));
+    }
+
+    async updatePendingText(id: string, text: string, index?: number): Promise<void> {
+        await firstValueFrom(this.http.put(`${API}/moderation/${encodeURIComponent(id)}`, { text, index }));
+    }
+
+    async approvePending(id: string): Promise<void> {
+        await firstValueFrom(this.http.post(`${API}/moderation/${encodeURIComponent(id)}/approve`, {}));
     }
 
-    async restartTelegram(): Promise<void> {
-        await firstValueFrom(this.http.post(`${API}/telegram/restart`, {}));
+    async rejectPending(id: string): Promise<void> {
+        await firstValueFrom(this.http.post(`${API}/moderation/${encodeURIComponent(id)}/reject`, {}));
     }
 
     async getStats(): Promise<any> {
         return firstValueFrom(this.http.get(`${API}/stats`));
     }
 
-    async getWhatsAppGroups(): Promise<{ id: string; name: string }[]> {
-        return firstValueFrom(this.http.get<{ id: string; name: string }[]>(`${API}/wa/groups`));
+    async getWhatsAppGroups(): Promise<{ id: string; name: string; sessionId: string }[]> {
+        return firstValueFrom(this.http.get<{ id: string; name: string; sessionId: string }[]>(`${API}/wa/groups`));
     }
 
-    async getRecentTelegramChannels(): Promise<{ id: string; name: string; username?: string; lastSeen: number }[]> {
+    async getRecentTelegramChannels(): Promise<{ id: string; name: string; username?: string; lastSeen: number; botIds?: string[] }[]> {
         return firstValueFrom(this.http.get<any[]>(`${API}/telegram/recents`));
     }
 }
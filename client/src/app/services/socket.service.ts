@@ -1,36 +1,105 @@
-import { Injectable, signal, computed } from '@angular/core';
+import { Injectable, signal, computed, effect, inject } from '@angular/core';
 import { io, Socket } from 'socket.io-client';
+import { AuthService } from './auth.service';
 
 export interface LogEntry {
     timestamp: string;
     message: string;
     category?: string;
     level: 'info' | 'success' | 'error' | 'warning';
+    meta?: Record<string, unknown>;
 }
 
 export interface WaStatus {
+    sessionId?: string;
     status: string;
 }
 
+/** Active pairing code (phone-number login) */
+export interface WaPairing {
+    phoneNumber: string;
+    code: string;
+    expiresAt: string;
+}
+
+export interface WaSession {
+    id: string;
+    name: string;
+    status: string;
+    qr: string | null;
+    pairing: WaPairing | null;
+}
+
+export interface TgBot {
+    id: string;
+    name: string;
+    status: string;
+    username: string | null;
+    error: string | null;
+}
+
+export interface PendingItem {
+    id: string;
+    createdAt: string;
+    source: { chatId: string; messageId: number | null };
+    chatTitle: string;
+    targets: string[];
+    items: { text: string; mimetype: string | null }[];
+}
+
+export interface DeadLetterItem {
+    id: string;
+    chatId: string;
+    timestamp: string;
+    failedAt: string;
+    attempts: number;
+    lastError: string;
+    text: string;
+    mimetype: string | null;
+}
+
 @Injectable({ providedIn: 'root' })
 export class SocketService {
     private socket: Socket;
+    private readonly auth = inject(AuthService);
 
     /** Reactive signals — zoneless, no overhead */
     readonly logs = signal<LogEntry[]>([]);
-    readonly waStatus = signal<string>('disconnected');
-    readonly qrCode = signal<string | null>(null);
+    readonly waSessions = signal<WaSession[]>([]);
+    readonly tgBots = signal<TgBot[]>([]);
     readonly queueCount = signal<number>(0);
+    readonly queuePaused = signal<boolean>(false);
+    /** Bumped on changes that keep the count (reorder) so lists can reload */
+    readonly queueVersion = signal<number>(0);
+    readonly pending = signal<PendingItem[]>([]);
+    readonly deadLetters = signal<DeadLetterItem[]>([]);
     readonly connected = signal<boolean>(false);
 
-    /** Derived signals */
+    /** Derived signals — the default session stands in for single-account setups */
+    readonly primarySession = computed(() =>
+        this.waSessions().find((s) => s.id === 'default') ?? this.waSessions()[0] ?? null);
+    readonly waStatus = computed(() => this.primarySession()?.status ?? 'disconnected');
+    readonly qrCode = computed(() => this.primarySession()?.qr ?? null);
     readonly isReady = computed(() => this.waStatus() === 'ready');
 
     constructor() {
         // Empty URL = connect to same host/port as the page (window.location)
+        // Connects only while logged in — the handshake carries the current token
         this.socket = io({
             transports: ['websocket', 'polling'],
             path: '/socket.io',
+            autoConnect: false,
+            auth: (cb) => cb({ token: this.auth.token() }),
+        });
+
+        effect(() => {
+            const loggedIn = this.auth.isLoggedIn();
+            if (loggedIn && !this.socket.connected) this.socket.connect();
+            if (!loggedIn && this.socket.connected) this.socket.disconnect();
+        });
+
+        this.socket.on('connect_error', (err) => {
+            if (err.message === 'unauthorized') this.auth.logout();
         });
 
         this.socket.on('connect', () => {
@@ -38,25 +107,91 @@ export class SocketService {
             this.addLog({ timestamp: new Date().toISOString(), message: 'מחובר לשרת', level: 'success' });
         });
 
-        this.socket.on('disconnect', () => {
+        this.socket.on('disconnect', (reason) => {
             this.connected.set(false);
             this.addLog({ timestamp: new Date().toISOString(), message: 'התנתק מהשרת', level: 'error' });
+            // The server drops sockets whose user changed — reconnect so the token is checked again
+            if (reason === 'io server disconnect' && this.auth.isLoggedIn()) this.socket.connect();
         });
 
         this.socket.on('log', (entry: LogEntry) => {
             this.addLog(entry);
         });
 
+        this.socket.on('wa:sessions', (list: { id: string; name: string; status: string }[]) => {
+            const current = this.waSessions();
+            this.waSessions.set(list.map((s) => ({
+                ...s,
+                qr: current.find((c) => c.id === s.id)?.qr ?? null,
+                pairing: current.find((c) => c.id === s.id)?.pairing ?? null,
+            })));
+        });
+
         this.socket.on('wa:status', (data: WaStatus) => {
-            this.waStatus.set(data.status);
+            this.patchSession(data.sessionId, { status: data.status });
+        });
+
+        this.socket.on('wa:qr', (data: { sessionId?: string; qr: string }) => {
+            this.patchSession(data.sessionId, { qr: data.qr });
+        });
+
+        // state: active (new code) | paired | expired | cancelled
+        this.socket.on('wa:pairing', (data: WaPairing & { sessionId?: string; state: string }) => {
+            const { sessionId, state, phoneNumber, code, expiresAt } = data;
+            this.patchSession(sessionId, state === 'active'
+                ? { pairing: { phoneNumber, code, expiresAt }, qr: null }
+                : { pairing: null });
+        });
+
+        this.socket.on('wa:ready', (data: { sessionId?: string }) => {
+            this.patchSession(data?.sessionId, { qr: null, pairing: null });
+        });
+
+        this.socket.on('tg:bots', (list: TgBot[]) => {
+            this.tgBots.set(list);
         });
 
-        this.socket.on('wa:qr', (data: { qr: string }) => {
-            this.qrCode.set(data.qr);
+        this.socket.on('tg:status', (data: TgBot & { botId: string }) => {
+            const { botId, ...patch } = data;
+            this.tgBots.update((list) => list.some((b) => b.id === botId)
+                ? list.map((b) => (b.id === botId ? { ...b, ...patch, id: botId } : b))
+                : [...list, { ...patch, id: botId }]);
         });
 
-        this.socket.on('wa:ready', () => {
-            this.qrCode.set(null);
+        this.socket.on('moderation:list', (data: { items: PendingItem[] }) => {
+            this.pending.set(data.items);
+        });
+
+        this.socket.on('moderation:added', (data: { item: PendingItem }) => {
+            this.pending.update((list) => [...list.filter((p) => p.id !== data.item.id), data.item]);
+        });
+
+        this.socket.on('moderation:updated', (data: { item: PendingItem }) => {
+            this.pending.update((list) => list.map((p) => (p.id === data.item.id ? data.item : p)));
+        });
+
+        this.socket.on('moderation:removed', (data: { id: string }) => {
+            this.pending.update((list) => list.filter((p) => p.id !== data.id));
+        });
+
+        this.socket.on('dead-letter:list', (data: { items: DeadLetterItem[] }) => {
+            this.deadLetters.set(data.items);
+        });
+
+        this.socket.on('dead-letter:added', (data: { item: DeadLetterItem }) => {
+            this.deadLetters.update((list) => [...list.filter((d) => d.id !== data.item.id), data.item]);
+        });
+
+        this.socket.on('dead-letter:updated', (data: { item: DeadLetterItem }) => {
+            this.deadLetters.update((list) => list.map((d) => (d.id === data.item.id ? data.item : d)));
+        });
+
+        this.socket.on('dead-letter:removed', (data: { id: string }) => {
+            this.deadLetters.update((list) => list.filter((d) => d.id !== data.id));
+        });
+
+        this.socket.on('queue:dead', (data: { count: number }) => {
+            this.queueCount.set(data.count);
         });
 
         this.socket.on('queue:added', (data: { count: number }) => {
@@ -75,8 +210,33 @@ export class SocketService {
             this.queueCount.set(data.count);
         });
 
-        this.socket.on('queue:update', (data: { count: number }) => {
+        this.socket.on('queue:update', (data: { count: number; paused?: boolean }) => {
             this.queueCount.set(data.count);
+            this.queuePaused.set(!!data.paused);
+        });
+
+        this.socket.on('queue:purged', (data: { count: number }) => {
+            this.queueCount.set(data.count);
+        });
+
+        this.socket.on('queue:reordered', () => {
+            this.queueVersion.update((v) => v + 1);
+        });
+
+        this.socket.on('queue:paused', (data: { paused: boolean }) => {
+            this.queuePaused.set(data.paused);
+        });
+    }
+
+    /** Update (or create) a session entry from a socket event. */
+    private patchSession(sessionId: string | undefined, patch: Partial<WaSession>) {
+        const id = sessionId || 'default';
+        this.waSessions.update((list) => {
+            const exists = list.some((s) => s.id === id);
+            if (!exists) {
+                return [...list, { id, name: '', status: 'disconnected', qr: null, pairing: null, ...patch }];
+            }
+            return list.map((s) => (s.id === id ? { ...s, ...patch } : s));
         });
     }
 
@@ -9,17 +9,46 @@ const DATA_DIR = join(__dirname, '..', 'data');
 // Default database schema
 const defaultData = {
     settings: {
-        telegramBotToken: '',
+        telegramBotToken: '', // Legacy single bot — treated as bot "default"
+        bots: [],     // Array of { id: string, name: string, token: string, enabled?: boolean }
         // Deprecated: telegramChannelId (string)
-        channels: [], // Array of { id: string, name: string }
+        channels: [], // Array of { id: string, name: string, botId?: string, moderation?: boolean }
         // Deprecated: whatsappGroupId (string)
-        groups: [],   // Array of { id: string, name: string }
+        groups: [],   // Array of { id: string, name: string, sessionId?: string, schedule? } — see services/DeliveryWindow.js
+        // WhatsApp accounts — one LocalAuth session each ('default' = legacy auth folder)
+        sessions: [{ id: 'default', name: '' }],
         footerText: '',
+        // Telegram chat that receives approve / reject buttons for moderated posts
+        moderationChatId: '',
+        // Content filter rules — see services/ContentFilter.js
+        filters: { global: [], channels: {} },
+        // Text transformation pipeline — see services/TextTransformer.js
+        transforms: { global: [], channels: {} },
         autoRetry: true,
         retryIntervalMs: 5000,
         maxRetries: 10,
+        // Outbound WhatsApp pacing (0 = unlimited) — see services/SendScheduler.js
+        sendRate: { globalPerMinute: 40, perChatPerMinute: 12, jitterMs: 800, maxConcurrent: 1 },
+        // Largest media file accepted into data/media (bytes) — see services/MediaStore.js
+        mediaMaxBytes: 64 * 1024 * 1024,
+        // Files over that limit (or Telegram's download limit): 'link' | 'notice' | 'skip' — see services/TelegramBridge.js
+        largeFilePolicy: 'link',
+        // Forwarding history (data/history.json) — 0 disables a limit
+        historyRetention: { maxRecords: 10000, maxDays: 30 },
+        // Alerts to the admin chat / webhooks (queueThreshold 0 = off) — see services/AlertService.js
+        // webhooks: Array of { id, url, secret?, events?: string[], enabled? }
+        // sendQr posts WhatsApp login QRs to the admin chat — see services/AdminBot.js
+        alerts: { adminChatId: '', queueThreshold: 100, webhooks: [], sendQr: false },
+        // Per-plugin { enabled?, config? } keyed by plugin name — see services/PluginManager.js
+        plugins: {},
     },
+    // Array of { id, name, sourceChannelId, targetGroupIds: string[], enabled, delaySeconds, moderation?, reverse?, reverseChatId? }
+    routes: [],
     queue: [],
+    // Dashboard / API users — { id, username, passwordHash, role: viewer|operator|admin, createdAt }
+    users: [],
+    // Token signing secret (generated on first start unless AUTH_SECRET is set)
+    auth: { secret: '' },
     stats: {
         totalForwarded: 0,
         totalQueued: 0,
@@ -29,22 +58,35 @@ const defaultData = {
 };
 
 let db = null;
+let dbPromise = null;
 
 /**
  * Initialize (or return existing) lowdb instance.
+ * Concurrent first calls share one initialisation (avoids racing writes).
  */
 export async function getDb() {
     if (db) return db;
+    dbPromise ||= _openDb();
+    db = await dbPromise;
+    return db;
+}
 
+async function _openDb() {
     await fs.ensureDir(DATA_DIR);
     const dbPath = join(DATA_DIR, 'db.json');
-    db = await JSONFilePreset(dbPath, defaultData);
+    const instance = await JSONFilePreset(dbPath, defaultData);
 
     // Make sure every key exists even when upgrading from older schema
-    db.data = { ...defaultData, ...db.data };
-    await db.write();
+    instance.data = { ...defaultData, ...instance.data };
+    await instance.write();
 
-    return db;
+    return instance;
+}
+
+/** Liveness check: the database is open and its file is still readable. */
+export async function pingDb() {
+    await getDb();
+    await fs.access(join(DATA_DIR, 'db.json'), fs.constants.R_OK);
 }
 
 /**
@@ -85,6 +127,97 @@ export async function updateSettings(partial) {
     return await getSettings(); // Return the merged result
 }
 
+/* -------------------------------------------------------------------- */
+/*  Routes (Telegram channel → WhatsApp groups)                         */
+/* -------------------------------------------------------------------- */
+
+/**
+ * Get all routes.
+ */
+export async function getRoutes() {
+    const db = await getDb();
+    return db.data.routes;
+}
+
+/**
+ * Get a single route by id (or null).
+ */
+export async function getRoute(id) {
+    const db = await getDb();
+    return db.data.routes.find(r => r.id === id) || null;
+}
+
+/**
+ * Create a new route and persist it.
+ */
+export async function createRoute(data) {
+    const db = await getDb();
+    const route = {
+        ..._normalizeRoute(data),
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+    };
+    db.data.routes.push(route);
+    await db.write();
+    return route;
+}
+
+/**
+ * Merge partial updates into a route. Returns null if it doesn't exist.
+ */
+export async function updateRoute(id, partial) {
+    const db = await getDb();
+    const index = db.data.routes.findIndex(r => r.id === id);
+    if (index === -1) return null;
+
+    const merged = { ...db.data.routes[index], ...partial };
+    db.data.routes[index] = { ..._normalizeRoute(merged), id };
+    await db.write();
+    return db.data.routes[index];
+}
+
+/**
+ * Delete a route. Returns true if something was removed.
+ */
+export async function deleteRoute(id) {
+    const db = await getDb();
+    const before = db.data.routes.length;
+    db.data.routes = db.data.routes.filter(r => r.id !== id);
+    if (db.data.routes.length === before) return false;
+    await db.write();
+    return true;
+}
+
+/** A route (or other input) that can't be stored — the API answers 400 with its message. */
+export class ValidationError extends Error { }
+
+/**
+ * Coerce a raw route object into the stored shape — unknown fields are dropped.
+ * @throws {ValidationError} when the source channel is missing or targetGroupIds isn't an array
+ */
+function _normalizeRoute(data) {
+    const sourceChannelId = String(data.sourceChannelId ?? '').trim();
+    if (!sourceChannelId) {
+        throw new ValidationError('חסר ערוץ מקור (sourceChannelId)');
+    }
+    if (data.targetGroupIds != null && !Array.isArray(data.targetGroupIds)) {
+        throw new ValidationError('targetGroupIds חייב להיות רשימה');
+    }
+    const targetGroupIds = (data.targetGroupIds || []).map(id => String(id).trim()).filter(Boolean);
+
+    const route = {
+        name: String(data.name || ''),
+        sourceChannelId,
+        targetGroupIds: [...new Set(targetGroupIds)],
+        enabled: data.enabled !== false,
+        delaySeconds: Math.max(0, Number(data.delaySeconds) || 0),
+    };
+    if (data.moderation) route.moderation = true;
+    if (data.reverse) route.reverse = true;
+    const reverseChatId = String(data.reverseChatId ?? '').trim();
+    if (reverseChatId) route.reverseChatId = reverseChatId;
+    return route;
+}
+
 /**
  * Increment a stats counter.
  */
@@ -104,3 +237,154 @@ export async function getStats() {
     const db = await getDb();
     return db.data.stats;
 }
+
+/* -------------------------------------------------------------------- */
+/*  Users                                                               */
+/* -------------------------------------------------------------------- */
+
+/**
+ * Get all users (including password hashes — never send these to clients).
+ */
+export async function getUsers() {
+    const db = await getDb();
+    return db.data.users;
+}
+
+/**
+ * Find a user by username (case-insensitive) or null.
+ */
+export async function getUserByUsername(username) {
+    const db = await getDb();
+    const key = String(username ?? '').trim().toLowerCase();
+    return db.data.users.find(u => u.username.toLowerCase() === key) || null;
+}
+
+/**
+ * Get a single user by id (or null).
+ */
+export async function getUser(id) {
+    const db = await getDb();
+    return db.data.users.find(u => u.id === id) || null;
+}
+
+/**
+ * Store a new user. `data.passwordHash` must already be hashed.
+ */
+export async function createUser(data) {
+    const db = await getDb();
+    const user = {
+        ...data,
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+        createdAt: new Date().toISOString(),
+    };
+    db.data.users.push(user);
+    await db.write();
+    return user;
+}
+
+/**
+ * Merge partial updates into a user. Returns null if it doesn't exist.
+ */
+export async function updateUser(id, partial) {
+    const db = await getDb();
+    const index = db.data.users.findIndex(u => u.id === id);
+    if (index === -1) return null;
+    db.data.users[index] = { ...db.data.users[index], ...partial, id };
+    await db.write();
+    return db.data.users[index];
+}
+
+/**
+ * Delete a user. Returns true if something was removed.
+ */
+export async function deleteUser(id) {
+    const db = await getDb();
+    const before = db.data.users.length;
+    db.data.users = db.data.users.filter(u => u.id !== id);
+    if (db.data.users.length === before) return false;
+    await db.write();
+    return true;
+}
+
+/**
+ * Token signing secret — AUTH_SECRET from the environment, otherwise one
+ * generated on first use and kept in the database.
+ * @param {() => string} generate  called when no secret exists yet
+ */
+export async function getAuthSecret(generate) {
+    if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+    const db = await getDb();
+    db.data.auth ||= { secret: '' };
+    if (!db.data.auth.secret) {
+        db.data.auth.secret = generate();
+        await db.write();
+    }
+    return db.data.auth.secret;
+}
+
+/* -------------------------------------------------------------------- */
+/*  Service files (queue, history, pending … under data/)               */
+/* -------------------------------------------------------------------- */
+
+/** Map<file, Promise> — the last write queued for each file */
+const writeChains = new Map();
+
+/**
+ * Read a JSON service file. A missing or empty file yields `fallback`; a file
+ * that doesn't parse is left on disk and reported — starting empty instead
+ * would silently drop everything it held (and let the media GC delete its files).
+ * @param {string} file
+ * @param {*} fallback
+ * @param {string} [label]  log prefix, e.g. 'Queue'
+ */
+export async function readJsonFile(file, fallback, label = 'DB') {
+    const raw = await fs.readFile(file, 'utf-8').catch((err) => {
+        if (err.code === 'ENOENT') return '';
+        throw err;
+    });
+    if (!raw.trim()) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch (err) {
+        console.error(`[${label}] ${file} is corrupt (${err.message}) — fix or remove it, then restart`);
+        throw new Error(`${file}: קובץ פגום (${err.message}) — יש לתקן או למחוק אותו ולהפעיל מחדש`);
+    }
+}
+
+/**
+ * Write JSON next to `file` and rename it into place (same directory, so the
+ * rename is atomic) — a write cut off by a crash or exit leaves the old file whole.
+ */
+export async function writeJsonAtomic(file, data, options = {}) {
+    const tmp = `${file}.tmp`;
+    await fs.outputJson(tmp, data, options);
+    await fs.rename(tmp, file);
+}
+
+/** Wait for every service-file write queued so far (shutdown). */
+export async function drainWrites() {
+    await Promise.all(writeChains.values());
+}
+
+/**
+ * Run `write` after every write already queued for `file`, so concurrent
+ * saves never interleave on disk. A failed write is logged and does not
+ * hold up the ones after it; the returned promise resolves anyway unless
+ * `rethrow` is set.
+ * @param {string} file            path being written (the queue key)
+ * @param {() => Promise<any>} write
+ * @param {string} [label]         log prefix, e.g. 'History'
+ * @param {object} [options]
+ * @param {boolean} [options.rethrow=false]  reject with the write error (callers that must not lose data)
+ */
+export function serialisedWrite(file, write, label = 'DB', { rethrow = false } = {}) {
+    const next = (writeChains.get(file) || Promise.resolve())
+        .then(write)
+        .catch((err) => {
+            console.error(`[${label}] save failed: ${err.message}`);
+            throw err;
+        });
+    const settled = next.catch(() => { });
+    writeChains.set(file, settled);
+    return rethrow ? next : settled;
+}
@@ -0,0 +1,34 @@
+/**
+ * Example plugin — files starting with "_" are not loaded. Copy it to
+ * plugins/<name>.js to try it; the hooks are documented in
+ * services/PluginManager.js.
+ *
+ * settings.plugins['channel-tag'] = { enabled: true, config: { tag: '📣', skipGroups: [] } }
+ */
+export default {
+    name: 'channel-tag',
+    description: 'Prefixes forwarded text with a tag and keeps posts marked #internal in Telegram',
+    defaults: { tag: '📣', skipGroups: [] },
+
+    onIncoming(ctx) {
+        const msg = ctx.message || ctx.channelPost;
+        return !/#internal\b/i.test(msg?.text || msg?.caption || '');
+    },
+
+    transformPayload(payload, route, { config }) {
+        if (!payload.text || payload.content) return undefined;
+        return { ...payload, text: `${config.tag} ${payload.text}` };
+    },
+
+    beforeSend(target, payload, { config }) {
+        return config.skipGroups.includes(target) ? null : undefined;
+    },
+
+    afterSend({ target, error }, { log }) {
+        if (error) log(`send to ${target} failed: ${error}`, 'warning');
+    },
+
+    onStatusChange({ source, id, status }, { log }) {
+        if (status === 'error') log(`${source} ${id} is in error`, 'warning');
+    },
+};
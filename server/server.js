@@ -4,12 +4,30 @@ import { createServer } from 'node:http';
 import { Server as SocketIO } from 'socket.io';
 import cors from 'cors';
 
-import { getSettings, updateSettings, getStats, incrementStat } from './db/database.js';
+import {
+    getSettings, updateSettings, getStats, incrementStat,
+    getRoutes, getRoute, createRoute, updateRoute, deleteRoute, pingDb, ValidationError, drainWrites,
+} from './db/database.js';
 import { QueueService } from './services/QueueService.js';
-import { WhatsAppManager } from './services/WhatsAppManager.js';
+import { DeadLetterService } from './services/DeadLetterService.js';
+import { MediaStore } from './services/MediaStore.js';
+import { SendScheduler } from './services/SendScheduler.js';
+import { DEFAULT_SESSION_ID, LOGIN_ROOM } from './services/WhatsAppManager.js';
+import { WhatsAppPool } from './services/WhatsAppPool.js';
 import { TelegramBridge } from './services/TelegramBridge.js';
+import { MessageMapService } from './services/MessageMapService.js';
+import { ModerationService } from './services/ModerationService.js';
+import { HistoryService } from './services/HistoryService.js';
+import { ReverseBridge } from './services/ReverseBridge.js';
+import { AuthService } from './services/AuthService.js';
+import { MetricsService } from './services/MetricsService.js';
+import { AlertService } from './services/AlertService.js';
+import { AdminBot } from './services/AdminBot.js';
+import { PluginManager } from './services/PluginManager.js';
 
 const PORT = process.env.PORT || 3000;
+// Extra origins allowed to call the API / socket (comma-separated). Same-origin only when empty.
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || '').split(',').map(o => o.trim()).filter(Boolean);
 
 /* -------------------------------------------------------------------- */
 /*  Express + Socket.io Setup                                           */
@@ -18,10 +36,10 @@ const PORT = process.env.PORT || 3000;
 const app = express();
 const httpServer = createServer(app);
 const io = new SocketIO(httpServer, {
-    cors: { origin: '*', methods: ['GET', 'POST'] },
+    cors: { origin: CORS_ORIGINS.length ? CORS_ORIGINS : false, methods: ['GET', 'POST'] },
 });
 
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false }));
 app.use(express.json());
 
 // Serve Static Files (Angular)
@@ -43,29 +61,335 @@ app.use(express.static(clientDistPath));
 /*  Service Instances                                                   */
 /* -------------------------------------------------------------------- */
 
-const queueService = new QueueService(io);
-const waManager = new WhatsAppManager(io);
-const tgBridge = new TelegramBridge(io, waManager, queueService, getSettings);
+const auth = new AuthService();
+const mediaStore = new MediaStore(getSettings, (message, level) => emitLog(message, 'MEDIA', level));
+const deadLetter = new DeadLetterService(io);
+// WhatsApp sends are paced by the scheduler, so the queue doesn't add its own gap
+const queueService = new QueueService(io, { getSettings, deadLetter, sendGapMs: 0 });
+const messageMap = new MessageMapService(io);
+const moderation = new ModerationService(io);
+const history = new HistoryService(io, getSettings);
+const sendScheduler = new SendScheduler(getSettings);
+const waPool = new WhatsAppPool(io, sendScheduler);
+const tgBridge = new TelegramBridge(io, waPool, queueService, getSettings, getRoutes, messageMap, mediaStore, moderation, history);
+const reverseDeadLetter = new DeadLetterService(io, { fileName: 'reverse-dead-letter.json', eventPrefix: 'reverse-dead-letter' });
+const reverseQueue = new QueueService(io, {
+    fileName: 'reverse-queue.json', eventPrefix: 'reverse-queue', category: 'REVERSE', getSettings, deadLetter: reverseDeadLetter,
+});
+const reverseBridge = new ReverseBridge(io, waPool, tgBridge, reverseQueue, getRoutes, messageMap, mediaStore, history);
+const metrics = new MetricsService();
+const adminBot = new AdminBot(tgBridge, waPool, getSettings, {
+    queue: queueService, reverseQueue, deadLetters: [deadLetter, reverseDeadLetter], moderation,
+}, (message, level) => emitLog(message, 'TELEGRAM', level));
+const alerts = new AlertService(getSettings, (chatId) => tgBridge.telegramFor(chatId), (message, level) => emitLog(message, 'ALERTS', level));
+const plugins = new PluginManager(getSettings, (message, level) => emitLog(message, 'PLUGINS', level));
 
 /* -------------------------------------------------------------------- */
 /*  REST API Routes                                                     */
 /* -------------------------------------------------------------------- */
 
+// ---- Health & metrics (public, outside /api for probes and scrapers) ----
+// Liveness — the process itself only. A revoked bot token or a logged-out phone
+// is not fixed by a restart, so session and bot state stay in /readyz and /metrics.
+app.get('/healthz', async (_req, res) => {
+    try {
+        const eventLoopLagMs = await eventLoopLag();
+        await pingDb();
+        res.json({ ok: true, eventLoopLagMs, uptime: Math.round(process.uptime()) });
+    } catch (err) {
+        res.status(503).json({ ok: false, error: err.message });
+    }
+});
+
+// Readiness — every WhatsApp session connected and every configured bot polling
+app.get('/readyz', async (_req, res) => {
+    try {
+        const health = await healthState();
+        const ready = health.whatsapp.length > 0 && health.telegram.length > 0
+            && health.whatsapp.every(s => s.status === 'ready')
+            && health.telegram.every(b => b.status === 'running');
+        res.status(ready ? 200 : 503).json({ ok: ready, ...health });
+    } catch (err) {
+        res.status(503).json({ ok: false, error: err.message });
+    }
+});
+
+app.get('/metrics', async (req, res) => {
+    if (process.env.METRICS_TOKEN && bearerToken(req) !== process.env.METRICS_TOKEN) {
+        return res.status(401).send('unauthorized\n');
+    }
+    try {
+        res.type('text/plain; version=0.0.4').send(await metrics.render());
+    } catch (err) {
+        res.status(500).send(`${err.message}\n`);
+    }
+});
+
+// ---- Auth (public) ----
+app.get('/api/auth/status', async (req, res) => {
+    try {
+        const user = await auth.verifyToken(bearerToken(req));
+        res.json({ setupRequired: await auth.setupRequired(), user });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (loginThrottled(req.ip)) {
+        return res.status(429).json({ error: 'יותר מדי ניסיונות התחברות — נסה שוב מאוחר יותר' });
+    }
+    try {
+        const result = await auth.login(username, password);
+        if (!result) {
+            recordLoginFailure(req.ip);
+            emitLog(`🔒 ניסיון התחברות כושל (${username || '?'}, ${req.ip})`, 'AUTH', 'warning');
+            return res.status(401).json({ error: 'שם משתמש או סיסמה שגויים' });
+        }
+        loginFailures.delete(req.ip);
+        emitLog(`🔓 ${result.user.username} התחבר (${result.user.role})`, 'AUTH', 'info');
+        res.json(result);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// First admin — only while no user exists, and only from the server itself
+// (an upgraded install must not hand admin to its first visitor; remote setups use ADMIN_USERNAME / ADMIN_PASSWORD)
+app.post('/api/auth/setup', async (req, res) => {
+    try {
+        if (!(await auth.setupRequired())) {
+            return res.status(409).json({ error: 'המערכת כבר הוגדרה' });
+        }
+        if (!isLocalRequest(req)) {
+            return res.status(403).json({ error: 'יצירת המנהל הראשון אפשרית רק מהשרת עצמו (localhost) — או הגדר ADMIN_USERNAME / ADMIN_PASSWORD' });
+        }
+        const { username, password } = req.body || {};
+        await auth.createUser({ username, password, role: 'admin' });
+        emitLog(`👤 נוצר משתמש מנהל ראשון: ${username}`, 'AUTH', 'success');
+        res.json(await auth.login(username, password));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Everything below requires a valid token
+app.use('/api', authenticate);
+
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+app.put('/api/auth/password', async (req, res) => {
+    const { currentPassword, password } = req.body || {};
+    try {
+        if (!(await auth.login(req.user.username, currentPassword))) {
+            return res.status(403).json({ error: 'הסיסמה הנוכחית שגויה' });
+        }
+        await auth.updateUser(req.user.id, { password });
+        res.json(await auth.login(req.user.username, password));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// ---- Users (admin) ----
+app.get('/api/users', requireRole('admin'), async (_req, res) => {
+    try {
+        res.json(await auth.listUsers());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const user = await auth.createUser(req.body || {});
+        emitLog(`👤 משתמש נוסף: ${user.username} (${user.role})`, 'AUTH', 'success');
+        res.status(201).json(user);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const user = await auth.updateUser(req.params.id, req.body || {});
+        if (!user) return res.status(404).json({ error: 'משתמש לא נמצא' });
+        await disconnectUser(user.id);
+        res.json(user);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const removed = await auth.deleteUser(req.params.id);
+        if (!removed) return res.status(404).json({ error: 'משתמש לא נמצא' });
+        await disconnectUser(req.params.id);
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
 // ---- Settings ----
-app.get('/api/settings', async (_req, res) => {
+app.get('/api/settings', async (req, res) => {
     try {
         const settings = await getSettings();
-        res.json(settings);
+        // Bot tokens are for admins only
+        res.json(auth.hasRole(req.user, 'admin') ? settings : auth.maskSettings(settings));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/api/settings', async (req, res) => {
+app.post('/api/settings', requireRole('admin'), async (req, res) => {
     try {
         const updated = await updateSettings(req.body);
         res.json(updated);
         emitLog('⚙️ הגדרות עודכנו', 'SYSTEM', 'success');
+        syncWhatsAppSessions(updated);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ---- Content filters ----
+app.get('/api/filters', async (_req, res) => {
+    try {
+        const settings = await getSettings();
+        res.json(settings.filters || { global: [], channels: {} });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/filters', requireRole('admin'), async (req, res) => {
+    const { global = [], channels = {} } = req.body || {};
+    if (!Array.isArray(global) || typeof channels !== 'object' || Array.isArray(channels)) {
+        return res.status(400).json({ error: 'מבנה מסננים לא תקין — נדרש { global: [], channels: {} }' });
+    }
+    try {
+        const updated = await updateSettings({ filters: { global, channels } });
+        res.json(updated.filters);
+        emitLog('🧹 כללי סינון עודכנו', 'SYSTEM', 'success');
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ---- Text transformations ----
+app.get('/api/transforms', async (_req, res) => {
+    try {
+        const settings = await getSettings();
+        res.json(settings.transforms || { global: [], channels: {} });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/transforms', requireRole('admin'), async (req, res) => {
+    const { global = [], channels = {} } = req.body || {};
+    if (!Array.isArray(global) || typeof channels !== 'object' || Array.isArray(channels)) {
+        return res.status(400).json({ error: 'מבנה המרות לא תקין — נדרש { global: [], channels: {} }' });
+    }
+    try {
+        const updated = await updateSettings({ transforms: { global, channels } });
+        res.json(updated.transforms);
+        emitLog('✏️ כללי המרת טקסט עודכנו', 'SYSTEM', 'success');
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Dry-run: { text, chatId?, channelName?, channelUsername?, messageId?, steps? } → { output }
+app.post('/api/transforms/preview', requireRole('operator'), async (req, res) => {
+    const { text = '', chatId, channelName, channelUsername, messageId, steps } = req.body || {};
+    try {
+        const settings = await getSettings();
+        const transformer = tgBridge.transformer;
+        const pipeline = Array.isArray(steps) ? steps : transformer.stepsFor(settings.transforms, chatId);
+        const output = transformer.apply(String(text), pipeline, {
+            chatId, channelName, channelUsername, messageId, date: new Date(),
+        });
+        res.json({ input: text, output, steps: pipeline.length });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ---- Routes ----
+app.get('/api/routes', async (_req, res) => {
+    try {
+        res.json(await getRoutes());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/routes/:id', async (req, res) => {
+    try {
+        const route = await getRoute(req.params.id);
+        if (!route) return res.status(404).json({ error: 'מסלול לא נמצא' });
+        res.json(route);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/routes', requireRole('admin'), async (req, res) => {
+    if (!req.body?.sourceChannelId) {
+        return res.status(400).json({ error: 'חסר ערוץ מקור (sourceChannelId)' });
+    }
+    try {
+        const route = await createRoute(req.body);
+        res.status(201).json(route);
+        emitLog(`🧭 נוצר מסלול חדש: ${route.name || route.sourceChannelId}`, 'SYSTEM', 'success');
+    } catch (err) {
+        res.status(err instanceof ValidationError ? 400 : 500).json({ error: err.message });
+    }
+});
+
+app.put('/api/routes/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const route = await updateRoute(req.params.id, req.body);
+        if (!route) return res.status(404).json({ error: 'מסלול לא נמצא' });
+        res.json(route);
+        emitLog(`🧭 מסלול עודכן: ${route.name || route.sourceChannelId}`, 'SYSTEM', 'success');
+    } catch (err) {
+        res.status(err instanceof ValidationError ? 400 : 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/routes/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const removed = await deleteRoute(req.params.id);
+        if (!removed) return res.status(404).json({ error: 'מסלול לא נמצא' });
+        res.json({ ok: true });
+        emitLog('🧭 מסלול נמחק', 'SYSTEM', 'info');
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ---- Alerts ----
+// One-off test alert to the admin chat and every webhook (no retries)
+app.post('/api/alerts/test', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ results: await alerts.test(req.user.username) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ---- Plugins ----
+// Loaded plugins with their hooks, default config and error counts (config itself is in settings.plugins)
+app.get('/api/plugins', async (_req, res) => {
+    try {
+        res.json(await plugins.list());
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -82,19 +406,266 @@ app.get('/api/stats', async (_req, res) => {
 });
 
 // ---- Queue ----
-app.get('/api/queue', (_req, res) => {
-    res.json({ queue: queueService.getAll(), length: queueService.length });
+app.get('/api/queue', (req, res) => {
+    // ?summary=1 drops media payloads (dashboard view)
+    const queue = req.query.summary ? queueService.getAll().map(queueSummary) : queueService.getAll();
+    res.json({ queue, length: queueService.length, paused: queueService.paused });
+});
+
+// Purge every entry for one group: DELETE /api/queue?chatId=<groupId>
+app.delete('/api/queue', requireRole('operator'), async (req, res) => {
+    const chatId = String(req.query.chatId ?? '').trim();
+    if (!chatId) return res.status(400).json({ error: 'חסרה קבוצת יעד (chatId)' });
+    try {
+        res.json({ removed: await queueService.purge(chatId) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/queue/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const entry = await queueService.remove(req.params.id);
+        if (!entry) return res.status(404).json({ error: 'הודעה לא נמצאה בתור' });
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/queue/pause', requireRole('operator'), (_req, res) => {
+    queueService.pause();
+    res.json({ paused: true });
+});
+
+app.post('/api/queue/resume', requireRole('operator'), (_req, res) => {
+    queueService.resume();
+    res.json({ paused: false });
+});
+
+app.post('/api/queue/:id/front', requireRole('operator'), async (req, res) => {
+    try {
+        const entry = await queueService.moveToFront(req.params.id);
+        if (!entry) return res.status(404).json({ error: 'הודעה לא נמצאה בתור' });
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/reverse-queue', (_req, res) => {
+    res.json({ queue: reverseQueue.getAll(), length: reverseQueue.length });
+});
+
+// ---- Dead letters (sends that ran out of retries) ----
+// Every /api/dead-letter route accepts ?queue=reverse for the WhatsApp → Telegram store.
+app.get('/api/dead-letter', (req, res) => {
+    const { store } = deadLetterOps(req.query.queue);
+    res.json({ items: store.list(), length: store.length });
+});
+
+// Full entry, including media
+app.get('/api/dead-letter/:id', (req, res) => {
+    const item = deadLetterOps(req.query.queue).store.get(req.params.id);
+    if (!item) return res.status(404).json({ error: 'הודעה לא נמצאה ברשימת הכישלונות' });
+    res.json(item);
+});
+
+// Body: { ids?: string[] } — all entries when omitted
+app.post('/api/dead-letter/retry', requireRole('operator'), async (req, res) => {
+    try {
+        const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : undefined;
+        res.json({ retried: await retryDeadLetters(req.query.queue, ids) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/dead-letter/:id/retry', requireRole('operator'), async (req, res) => {
+    try {
+        const retried = await retryDeadLetters(req.query.queue, [req.params.id]);
+        if (!retried) return res.status(404).json({ error: 'הודעה לא נמצאה ברשימת הכישלונות' });
+        res.json({ retried });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Body: { chatId } — send to another group / chat on the next retry
+app.put('/api/dead-letter/:id', requireRole('operator'), async (req, res) => {
+    const chatId = String(req.body?.chatId ?? '').trim();
+    if (!chatId) return res.status(400).json({ error: 'חסר יעד (chatId)' });
+    try {
+        const { store } = deadLetterOps(req.query.queue);
+        const item = await store.updateTarget(req.params.id, chatId);
+        if (!item) return res.status(404).json({ error: 'הודעה לא נמצאה ברשימת הכישלונות' });
+        res.json(store.summary(item));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/dead-letter/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const removed = await discardDeadLetters(req.query.queue, [req.params.id]);
+        if (!removed) return res.status(404).json({ error: 'הודעה לא נמצאה ברשימת הכישלונות' });
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/dead-letter', requireRole('operator'), async (req, res) => {
+    try {
+        res.json({ discarded: await discardDeadLetters(req.query.queue) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ---- Moderation (pending approval) ----
+app.get('/api/moderation', (_req, res) => {
+    res.json({ items: moderation.list(), length: moderation.length });
+});
+
+// Full item; images are inlined as base64 so they can be rendered directly as a preview
+app.get('/api/moderation/:id', async (req, res) => {
+    const item = moderation.get(req.params.id);
+    if (!item) return res.status(404).json({ error: 'הודעה ממתינה לא נמצאה' });
+    try {
+        const payloads = await Promise.all(item.payloads.map(async (p) =>
+            p.media?.mimetype?.startsWith('image/') ? { ...p, media: await mediaStore.resolve(p.media) } : p));
+        res.json({ ...item, payloads });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/moderation/:id', requireRole('operator'), async (req, res) => {
+    if (typeof req.body?.text !== 'string') {
+        return res.status(400).json({ error: 'חסר טקסט (text)' });
+    }
+    try {
+        const item = await moderation.updateText(req.params.id, req.body.text, req.body.index ?? null);
+        if (!item) return pendingGone(res);
+        res.json(moderation.summary(item));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/moderation/:id/approve', requireRole('operator'), async (req, res) => {
+    try {
+        const item = await tgBridge.approvePending(req.params.id);
+        if (!item) return pendingGone(res);
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/moderation/:id/reject', requireRole('operator'), async (req, res) => {
+    try {
+        const item = await tgBridge.rejectPending(req.params.id);
+        if (!item) return pendingGone(res);
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ---- History (forwarding audit log) ----
+// Filters: direction, chatId, messageId, targetId, status, contentType, q (text), from / to (ISO), page, pageSize
+app.get('/api/history', (req, res) => {
+    try {
+        res.json(history.query(req.query));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ---- WhatsApp sessions ----
+// Every /api/wa/* route accepts a `sessionId` (query or body); default session when omitted.
+app.get('/api/wa/sessions', (req, res) => {
+    // Login QRs link a device to the account — operators and up only
+    const sessions = waPool.list();
+    res.json(auth.hasRole(req.user, 'operator') ? sessions : sessions.map(s => auth.maskSession(s)));
+});
+
+app.post('/api/wa/sessions', requireRole('admin'), async (req, res) => {
+    const { name = '' } = req.body || {};
+    const id = String(req.body?.id || Date.now().toString(36)).trim();
+    if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+        return res.status(400).json({ error: 'מזהה חיבור יכול להכיל רק אותיות לטיניות, ספרות, _ ו- -' });
+    }
+    try {
+        const settings = await getSettings();
+        const sessions = settings.sessions?.length ? settings.sessions : [{ id: DEFAULT_SESSION_ID, name: '' }];
+        if (sessions.some(s => s.id === id)) {
+            return res.status(409).json({ error: 'חיבור עם מזהה זה כבר קיים' });
+        }
+        const updated = await updateSettings({ sessions: [...sessions, { id, name }] });
+        syncWhatsAppSessions(updated);
+        res.status(201).json({ id, name });
+        emitLog(`📱 נוסף חיבור WhatsApp: ${name || id}`, 'WHATSAPP', 'success');
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/wa/sessions/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const settings = await getSettings();
+        const sessions = settings.sessions || [];
+        if (!sessions.some(s => s.id === req.params.id)) {
+            return res.status(404).json({ error: 'חיבור לא נמצא' });
+        }
+        await waPool.remove(req.params.id, true);
+        const updated = await updateSettings({ sessions: sessions.filter(s => s.id !== req.params.id) });
+        syncWhatsAppSessions(updated);
+        res.json({ ok: true });
+        emitLog(`🗑️ חיבור WhatsApp הוסר: ${req.params.id}`, 'WHATSAPP', 'info');
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
 // ---- WhatsApp status ----
-app.get('/api/wa/status', (_req, res) => {
-    res.json({ status: waManager.status, qr: waManager.qrDataUrl });
+app.get('/api/wa/status', (req, res) => {
+    const manager = waPool.get(sessionIdFrom(req));
+    if (!manager) return res.status(404).json({ error: 'חיבור לא נמצא' });
+    const state = { sessionId: manager.sessionId, status: manager.status, qr: manager.qrDataUrl, pairing: manager.pairingInfo };
+    res.json(auth.hasRole(req.user, 'operator') ? state : auth.maskSession(state));
+});
+
+// ---- WhatsApp pairing code (phone-number login instead of QR) ----
+// Waits for the first code; later codes arrive as `wa:pairing` socket events
+app.post('/api/wa/pairing-code', requireRole('admin'), async (req, res) => {
+    const manager = waPool.get(sessionIdFrom(req));
+    if (!manager) return res.status(404).json({ error: 'חיבור לא נמצא' });
+    try {
+        res.json(await manager.requestPairingCode(req.body?.phoneNumber));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/wa/pairing-code', requireRole('admin'), async (req, res) => {
+    const manager = waPool.get(sessionIdFrom(req));
+    if (!manager) return res.status(404).json({ error: 'חיבור לא נמצא' });
+    try {
+        res.json({ ok: await manager.cancelPairing() });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
 // ---- WhatsApp hard reset ----
-app.post('/api/wa/hard-reset', async (_req, res) => {
+app.post('/api/wa/hard-reset', requireRole('admin'), async (req, res) => {
+    const manager = waPool.get(sessionIdFrom(req));
+    if (!manager) return res.status(404).json({ error: 'חיבור לא נמצא' });
     try {
-        await waManager.hardReset();
+        await manager.hardReset();
         res.json({ ok: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -102,21 +673,63 @@ app.post('/api/wa/hard-reset', async (_req, res) => {
 });
 
 // ---- Telegram restart ----
-app.post('/api/telegram/restart', async (_req, res) => {
-    emitLog('🔄 התקבלה בקשה להפעלה מחדש של הבוט...', 'TELEGRAM', 'info');
+// Body / query `botId` restarts a single bot; without it every bot is restarted
+app.post('/api/telegram/restart', requireRole('operator'), async (req, res) => {
+    const botId = req.body?.botId || req.query.botId || null;
+    emitLog(`🔄 התקבלה בקשה להפעלה מחדש של ${botId ? `הבוט ${botId}` : 'הבוטים'}...`, 'TELEGRAM', 'info');
     try {
-        tgBridge.stop();
-        await tgBridge.start();
-        res.json({ ok: true });
+        if (!botId) tgBridge.stop();
+        await tgBridge.start(botId);
+        reverseBridge.flush();
+        res.json({ ok: true, bots: await tgBridge.getBots() });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/telegram/stop', requireRole('operator'), async (req, res) => {
+    const botId = req.body?.botId || req.query.botId || null;
+    try {
+        tgBridge.stop(botId);
+        res.json({ ok: true, bots: await tgBridge.getBots() });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/telegram/bots', async (_req, res) => {
+    try {
+        res.json(await tgBridge.getBots());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ---- Forwarded messages ----
+// Revoke ("delete for everyone") every WA copy of a Telegram message
+app.delete('/api/messages/:chatId/:messageId', requireRole('operator'), async (req, res) => {
+    try {
+        const revoked = await tgBridge.revokeForwarded(req.params.chatId, req.params.messageId);
+        res.json({ ok: true, revoked });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
 // ---- Discovery ----
-app.get('/api/wa/groups', async (_req, res) => {
+// Without a sessionId, groups of every connected session are merged
+app.get('/api/wa/groups', async (req, res) => {
     try {
-        const groups = await waManager.getGroups();
+        const requested = req.query.sessionId;
+        if (requested && !waPool.get(requested)) {
+            return res.status(404).json({ error: 'חיבור לא נמצא' });
+        }
+        const managers = requested
+            ? [waPool.get(requested)]
+            : [...waPool.sessions.values()].filter(m => m.isReady);
+        if (managers.length === 0) throw new Error('WhatsApp לא מחובר');
+
+        const groups = (await Promise.all(managers.map(m => m.getGroups()))).flat();
         res.json(groups);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -136,17 +749,81 @@ app.get('/api/telegram/recents', (_req, res) => {
 /*  Socket.io Events                                                    */
 /* -------------------------------------------------------------------- */
 
+// Handshake must carry a valid token: io({ auth: { token } })
+io.use(async (socket, next) => {
+    try {
+        const user = await auth.verifyToken(socket.handshake.auth?.token);
+        if (!user) return next(new Error('unauthorized'));
+        socket.data.user = user;
+        next();
+    } catch (err) {
+        next(err);
+    }
+});
+
 io.on('connection', (socket) => {
-    console.log(`[IO] Client connected: ${socket.id}`);
-    emitLog('🟢 לקוח התחבר לדשבורד', 'SYSTEM', 'info');
+    console.log(`[IO] Client connected: ${socket.id} (${socket.data.user.username})`);
+    emitLog(`🟢 ${socket.data.user.username} התחבר לדשבורד`, 'SYSTEM', 'info');
 
-    // Send current state to newly connected client
-    socket.emit('wa:status', { status: waManager.status });
-    socket.emit('queue:update', { count: queueService.length });
+    // wa:qr / wa:pairing only reach operators and up (see LOGIN_ROOM)
+    const canLogin = auth.hasRole(socket.data.user, 'operator');
+    if (canLogin) socket.join(LOGIN_ROOM);
 
-    if (waManager.qrDataUrl) {
-        socket.emit('wa:qr', { qr: waManager.qrDataUrl });
+    // Send current state to newly connected client
+    for (const manager of waPool.sessions.values()) {
+        socket.emit('wa:status', { sessionId: manager.sessionId, status: manager.status });
+        if (!canLogin) continue;
+        if (manager.pairingInfo) {
+            socket.emit('wa:pairing', { sessionId: manager.sessionId, state: 'active', ...manager.pairingInfo });
+        }
+        if (manager.qrDataUrl) {
+            socket.emit('wa:qr', { sessionId: manager.sessionId, qr: manager.qrDataUrl });
+        }
     }
+    socket.emit('wa:sessions', waPool.list().map(({ id, name, status }) => ({ id, name, status })));
+    socket.emit('queue:update', { count: queueService.length, paused: queueService.paused });
+    socket.emit('moderation:list', { items: moderation.list(), count: moderation.length });
+    socket.emit('dead-letter:list', { items: deadLetter.list(), count: deadLetter.length });
+    tgBridge.getBots().then(bots => socket.emit('tg:bots', bots)).catch(() => { /* settings unavailable */ });
+
+    // Dead-letter actions — same as the REST routes; payload { queue?, id? / ids?, chatId? }, optional ack
+    // The role is re-checked on every action — the token may have expired or been revoked since the handshake
+    const operatorAction = (handler) => async (data = {}, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => { };
+        const user = await auth.verifyToken(socket.handshake.auth?.token).catch(() => null);
+        if (!auth.hasRole(user, 'operator')) return reply({ error: 'אין לך הרשאה לפעולה זו' });
+        try {
+            reply(await handler(data));
+        } catch (err) {
+            reply({ error: err.message });
+        }
+    };
+    socket.on('dead-letter:retry', operatorAction(async ({ queue, id, ids }) => ({
+        retried: await retryDeadLetters(queue, id ? [String(id)] : ids),
+    })));
+    socket.on('dead-letter:discard', operatorAction(async ({ queue, id, ids }) => ({
+        discarded: await discardDeadLetters(queue, id ? [String(id)] : ids),
+    })));
+    socket.on('dead-letter:update', operatorAction(async ({ queue, id, chatId }) => {
+        if (!String(chatId ?? '').trim()) return { error: 'חסר יעד (chatId)' };
+        const { store } = deadLetterOps(queue);
+        const item = await store.updateTarget(String(id), String(chatId).trim());
+        return item ? store.summary(item) : { error: 'הודעה לא נמצאה ברשימת הכישלונות' };
+    }));
+
+    // Moderation — same as the REST routes; payload { id, text?, index? }, optional ack
+    const pending = (item) => {
+        if (item) return { ok: true };
+        moderation.broadcast();
+        return { error: 'הודעה ממתינה לא נמצאה — כבר טופלה' };
+    };
+    socket.on('moderation:approve', operatorAction(async ({ id }) => pending(await tgBridge.approvePending(String(id)))));
+    socket.on('moderation:reject', operatorAction(async ({ id }) => pending(await tgBridge.rejectPending(String(id)))));
+    socket.on('moderation:update', operatorAction(async ({ id, text, index }) => {
+        if (typeof text !== 'string') return { error: 'חסר טקסט (text)' };
+        const item = await moderation.updateText(String(id), text, index ?? null);
+        return item ? moderation.summary(item) : pending(null);
+    }));
 
     socket.on('disconnect', () => {
         console.log(`[IO] Client disconnected: ${socket.id}`);
@@ -157,31 +834,274 @@ io.on('connection', (socket) => {
 /*  WhatsApp Ready → Flush Queue                                        */
 /* -------------------------------------------------------------------- */
 
-// Listen for WhatsApp ready events to flush queued messages
-io.on('connection', () => { }); // keep-alive
-
-// We hook into the WA manager's ready event via a polling approach
-// since the manager emits Socket events, we listen on the IO level
-const originalSetStatus = waManager._setStatus.bind(waManager);
-waManager._setStatus = function (status) {
-    originalSetStatus(status);
+// Flush queued messages whenever any session becomes ready.
+// Only entries whose target group belongs to a ready session are sent.
+waPool.onStatusChange((status, manager) => {
     if (status === 'ready') {
-        onWhatsAppReady();
+        onWhatsAppReady(manager);
     }
-};
+});
+
+async function onWhatsAppReady(manager) {
+    emitLog(`🔗 WhatsApp מחובר (${manager.name || manager.sessionId}) — בודק תור הודעות...`, 'WHATSAPP', 'success');
+    await flushWhatsAppQueue();
+}
 
-async function onWhatsAppReady() {
-    emitLog('🔗 WhatsApp מחובר — בודק תור הודעות...', 'WHATSAPP', 'success');
-    await queueService.flush(async (entry) => {
-        await waManager.sendMessage(entry.chatId, entry.text, entry.media || null);
+/** Send every due queue entry whose WA session is ready. */
+async function flushWhatsAppQueue() {
+    // Entries queued while WA was offline or retried from the dead-letter store still honour the window
+    try {
+        const settings = await getSettings();
+        await queueService.hold((entry) => tgBridge.windowRelease(entry.chatId, settings));
+    } catch (err) {
+        emitLog(`⚠️ בדיקת חלונות השליחה של התור נכשלה: ${err.message}`, 'QUEUE', 'warning');
+    }
+    return queueService.flush(async (entry) => {
+        // false: a plugin's beforeSend dropped it
+        if (await tgBridge.sendPayload(entry.chatId, entry) === false) return false;
         await incrementStat('totalForwarded');
-    });
+    }, (entry) => waPool.isReadyFor(entry.chatId));
+}
+
+// Held messages (delivery windows / route delays) go out once due
+queueService.onRelease(flushWhatsAppQueue);
+
+/** Dead-letter store + its queue for `kind` ('reverse' = WhatsApp → Telegram). */
+function deadLetterOps(kind) {
+    return kind === 'reverse'
+        ? { store: reverseDeadLetter, queue: reverseQueue, flush: () => reverseBridge.flush() }
+        : { store: deadLetter, queue: queueService, flush: flushWhatsAppQueue };
+}
+
+/** Move dead letters back into their queue and try to send them right away. */
+async function retryDeadLetters(kind, ids) {
+    const ops = deadLetterOps(kind);
+    const count = await ops.queue.retryDead(ids);
+    if (count) {
+        Promise.resolve(ops.flush()).catch((err) => emitLog(`❌ שגיאה בריקון התור: ${err.message}`, 'QUEUE', 'error'));
+    }
+    return count;
+}
+
+async function discardDeadLetters(kind, ids) {
+    const removed = await deadLetterOps(kind).store.take(ids, 'discarded');
+    if (removed.length) emitLog(`🗑️ ${removed.length} הודעות נמחקו מרשימת הכישלונות`, 'QUEUE', 'info');
+    return removed.length;
+}
+
+/** Start / stop WA sessions so they match settings.sessions. */
+function syncWhatsAppSessions(settings) {
+    const created = waPool.sync(settings);
+    io.emit('wa:sessions', waPool.list().map(({ id, name, status }) => ({ id, name, status })));
+    if (created.length) waPool.initAll(created);
 }
 
 /* -------------------------------------------------------------------- */
 /*  Helper                                                              */
 /* -------------------------------------------------------------------- */
 
+/** Milliseconds a callback queued now waits for the event loop. */
+function eventLoopLag() {
+    const started = performance.now();
+    return new Promise(resolve => setImmediate(() => resolve(Math.round(performance.now() - started))));
+}
+
+/** State of every WhatsApp session and Telegram bot, for /readyz. */
+async function healthState() {
+    return {
+        whatsapp: [...waPool.sessions.values()].map(m => ({ sessionId: m.sessionId, status: m.status })),
+        telegram: (await tgBridge.getBots()).map(b => ({ botId: b.id, status: b.status, error: b.error })),
+        uptime: Math.round(process.uptime()),
+    };
+}
+
+/** Define the Prometheus metrics and hook them to the services. */
+function setupMetrics() {
+    metrics.counter('bridge_messages_forwarded_total', 'Messages delivered, by direction, source chat and target chat');
+    metrics.counter('bridge_messages_failed_total', 'Failed deliveries, by direction, source chat and target chat');
+    metrics.counter('bridge_messages_queued_total', 'Deliveries queued for later (retry or delivery window)');
+    metrics.counter('bridge_messages_filtered_total', 'Source messages dropped by the content filter');
+    metrics.histogram('bridge_delivery_latency_seconds', 'Time from the source post to delivery in the target');
+    metrics.counter('bridge_media_downloaded_bytes_total', 'Media bytes downloaded from Telegram');
+    metrics.counter('bridge_whatsapp_status_transitions_total', 'WhatsApp session status changes, by new status');
+    metrics.gauge('bridge_whatsapp_up', 'WhatsApp session ready (1) or not (0)');
+    metrics.counter('bridge_telegram_polling_errors_total', 'Telegram bot launch / polling failures');
+    metrics.gauge('bridge_telegram_bot_up', 'Telegram bot polling (1) or not (0)');
+    metrics.gauge('bridge_queue_depth', 'Messages waiting in the retry queue');
+    metrics.gauge('bridge_dead_letter_depth', 'Messages that ran out of retries');
+    metrics.gauge('bridge_pending_approval', 'Messages waiting for moderation');
+    metrics.gauge('bridge_send_scheduler_pending', 'WhatsApp sends waiting for the rate limiter');
+    metrics.gauge('bridge_send_scheduler_in_flight', 'WhatsApp sends in progress');
+    metrics.gauge('bridge_process_uptime_seconds', 'Process uptime');
+    metrics.gauge('bridge_process_resident_memory_bytes', 'Resident memory size');
+
+    const outcomeMetric = {
+        sent: 'bridge_messages_forwarded_total',
+        failed: 'bridge_messages_failed_total',
+        queued: 'bridge_messages_queued_total',
+        held: 'bridge_messages_queued_total',
+    };
+    history.onOutcome((record, targetId, target) => {
+        const labels = { direction: record.direction, source: record.source.chatId };
+        if (target.status === 'filtered') return metrics.inc('bridge_messages_filtered_total', labels);
+        const name = outcomeMetric[target.status];
+        if (!name) return;
+        metrics.inc(name, { ...labels, target: targetId });
+        if (target.status === 'sent' && target.latencyMs >= 0) {
+            metrics.observe('bridge_delivery_latency_seconds', { direction: record.direction }, target.latencyMs / 1000);
+        }
+    });
+
+    waPool.onStatusChange((status, manager) => {
+        metrics.inc('bridge_whatsapp_status_transitions_total', { session: manager.sessionId, status });
+    });
+
+    metrics.addCollector(async () => {
+        metrics.set('bridge_media_downloaded_bytes_total', {}, mediaStore.bytesDownloaded);
+
+        metrics.reset('bridge_whatsapp_up');
+        for (const manager of waPool.sessions.values()) {
+            metrics.set('bridge_whatsapp_up', { session: manager.sessionId }, manager.status === 'ready' ? 1 : 0);
+        }
+
+        metrics.reset('bridge_telegram_bot_up');
+        for (const bot of await tgBridge.getBots()) {
+            metrics.set('bridge_telegram_bot_up', { bot: bot.id }, bot.status === 'running' ? 1 : 0);
+        }
+        for (const [bot, count] of tgBridge.pollingErrors) {
+            metrics.set('bridge_telegram_polling_errors_total', { bot }, count);
+        }
+
+        metrics.set('bridge_queue_depth', { queue: 'forward' }, queueService.length);
+        metrics.set('bridge_queue_depth', { queue: 'reverse' }, reverseQueue.length);
+        metrics.set('bridge_dead_letter_depth', { queue: 'forward' }, deadLetter.length);
+        metrics.set('bridge_dead_letter_depth', { queue: 'reverse' }, reverseDeadLetter.length);
+        metrics.set('bridge_pending_approval', {}, moderation.length);
+
+        const { pending, inFlight } = sendScheduler.stats();
+        metrics.set('bridge_send_scheduler_pending', {}, pending);
+        metrics.set('bridge_send_scheduler_in_flight', {}, inFlight);
+        metrics.set('bridge_process_uptime_seconds', {}, Math.round(process.uptime()));
+        metrics.set('bridge_process_resident_memory_bytes', {}, process.memoryUsage().rss);
+    });
+}
+
+/** Hook the alert notifier to WhatsApp / Telegram status, queues and dead letters. */
+function setupAlerts() {
+    waPool.onStatusChange((status, manager) => alerts.onWhatsAppStatus(status, manager));
+    tgBridge.onBotStatus((entry) => alerts.onBotStatus(entry));
+    alerts.watchQueue('forward', queueService);
+    alerts.watchQueue('reverse', reverseQueue);
+    alerts.watchDeadLetters('forward', deadLetter);
+    alerts.watchDeadLetters('reverse', reverseDeadLetter);
+}
+
+/** Load plugins/ and hand them the pipeline and the WhatsApp / Telegram status events. */
+async function setupPlugins() {
+    await plugins.load();
+    tgBridge.usePlugins(plugins);
+    waPool.onStatusChange((status, manager) => plugins.onStatusChange({ source: 'whatsapp', id: manager.sessionId, status }));
+    tgBridge.onBotStatus((entry) => plugins.onStatusChange({ source: 'telegram', id: entry.id, status: entry.status, error: entry.error }));
+}
+
+/** "Authorization: Bearer <token>" → token (or null). */
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/** Express middleware — rejects requests without a valid token, sets req.user. */
+async function authenticate(req, res, next) {
+    try {
+        req.user = await auth.verifyToken(bearerToken(req));
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    if (!req.user) return res.status(401).json({ error: 'נדרשת התחברות' });
+    next();
+}
+
+/** Express middleware — requires at least `role` (viewer < operator < admin). */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!auth.hasRole(req.user, role)) {
+            return res.status(403).json({ error: 'אין לך הרשאה לפעולה זו' });
+        }
+        next();
+    };
+}
+
+// Failed logins per IP — Map<ip, { count, since }>
+const loginFailures = new Map();
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 10;
+
+function loginThrottled(ip) {
+    const entry = loginFailures.get(ip);
+    if (!entry) return false;
+    if (Date.now() - entry.since > LOGIN_WINDOW_MS) {
+        loginFailures.delete(ip);
+        return false;
+    }
+    return entry.count >= LOGIN_MAX_FAILURES;
+}
+
+function recordLoginFailure(ip) {
+    const entry = loginFailures.get(ip);
+    if (!entry || Date.now() - entry.since > LOGIN_WINDOW_MS) {
+        loginFailures.set(ip, { count: 1, since: Date.now() });
+    } else {
+        entry.count++;
+    }
+}
+
+/**
+ * 404 for a pending item that is gone — another operator (or the admin chat)
+ * decided first. Dashboards still showing it get the current list.
+ */
+function pendingGone(res) {
+    moderation.broadcast();
+    return res.status(404).json({ error: 'הודעה ממתינה לא נמצאה — כבר טופלה' });
+}
+
+/** Lightweight view of a queue entry — no media data. */
+function queueSummary(entry) {
+    return {
+        id: entry.id,
+        chatId: entry.chatId,
+        timestamp: entry.timestamp,
+        retries: entry.retries || 0,
+        notBefore: entry.notBefore || null,
+        lastError: entry.lastError || null,
+        text: (entry.text || '').slice(0, 200),
+        mimetype: entry.media?.mimetype || null,
+    };
+}
+
+/**
+ * Whether a request comes straight from this machine. Anything relayed by a
+ * proxy counts as remote — a proxy on the same host would otherwise look local.
+ */
+function isLocalRequest(req) {
+    if (req.headers['x-forwarded-for'] || req.headers.forwarded || req.headers['x-real-ip']) return false;
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+}
+
+/**
+ * Drop the dashboard sockets of a user whose role, password or account changed.
+ * Their handshake (role, LOGIN_ROOM) is stale; the client reconnects and is
+ * checked again — or logged out when its token no longer verifies.
+ */
+async function disconnectUser(userId) {
+    for (const socket of await io.fetchSockets()) {
+        if (socket.data.user?.id === userId) socket.disconnect(true);
+    }
+}
+
+function sessionIdFrom(req) {
+    return req.query.sessionId || req.body?.sessionId || DEFAULT_SESSION_ID;
+}
+
 function emitLog(message, category = 'SYSTEM', level = 'info') {
     const entry = { timestamp: new Date().toISOString(), message, category, level };
     console.log(`[${category}] ${message}`);
@@ -208,8 +1128,31 @@ app.get('*', (req, res, next) => {
 async function bootstrap() {
     emitLog('🚀 מפעיל שרת...', 'SYSTEM', 'info');
 
-    // 1. Load queue (fast)
+    // 1. Load queues, dead letters, message map, pending approvals + history (fast)
+    await deadLetter.init();
+    await reverseDeadLetter.init();
     await queueService.init();
+    await reverseQueue.init();
+    await messageMap.init();
+    await moderation.init();
+    await history.init();
+    await mediaStore.init();
+    setupMetrics();
+    setupAlerts();
+    adminBot.start();
+    await setupPlugins();
+    // Media files stay on disk while any of these still reference them
+    mediaStore.addSource(() => queueService.getAll());
+    mediaStore.addSource(() => reverseQueue.getAll());
+    mediaStore.addSource(() => deadLetter.items);
+    mediaStore.addSource(() => reverseDeadLetter.items);
+    mediaStore.addSource(() => moderation.items);
+    mediaStore.addSource(() => tgBridge.sendingPayloads());
+    mediaStore.startGc();
+    await auth.init();
+    if (await auth.setupRequired()) {
+        emitLog('🔐 אין משתמשים — צור משתמש מנהל בדשבורד מהשרת עצמו (localhost) או הגדר ADMIN_USERNAME / ADMIN_PASSWORD', 'AUTH', 'warning');
+    }
 
     // 2. Start HTTP Server immediately so UI is accessible
     httpServer.listen(PORT, () => {
@@ -221,19 +1164,45 @@ async function bootstrap() {
 }
 
 async function startServices() {
-    // Initialise WhatsApp client
+    // WhatsApp → Telegram relay (routes with `reverse: true`)
+    reverseBridge.start();
+
+    // Initialise WhatsApp clients (one per configured session)
     // We don't await here to not block other potential startup logic, 
     // but these are async anyway.
-    waManager.init().catch(err => {
-        emitLog(`❌ שגיאת אתחול WhatsApp: ${err.message}`, 'WHATSAPP', 'error');
-    });
+    getSettings()
+        .then(settings => syncWhatsAppSessions(settings))
+        .catch(err => {
+            emitLog(`❌ שגיאת אתחול WhatsApp: ${err.message}`, 'WHATSAPP', 'error');
+        });
 
-    // Start Telegram bot
-    tgBridge.start().catch(err => {
-        emitLog(`❌ שגיאת הפעלת Telegram: ${err.message}`, 'TELEGRAM', 'error');
-    });
+    // Start Telegram bot, then retry anything waiting for it
+    tgBridge.start()
+        .then(() => reverseBridge.flush())
+        .catch(err => {
+            emitLog(`❌ שגיאת הפעלת Telegram: ${err.message}`, 'TELEGRAM', 'error');
+        });
 }
 
+/**
+ * Stop the bots, write the debounced history and let every queued file write
+ * (queue, dead letters, message map, approvals) finish before exiting.
+ */
+async function shutdown(signal) {
+    emitLog(`🛑 ${signal} — שומר נתונים ויוצא`, 'SYSTEM', 'info');
+    tgBridge.stop(null, signal);
+    try {
+        await history.flush();
+        await drainWrites();
+    } catch (err) {
+        console.error(`[SYSTEM] Saving data on shutdown failed: ${err.message}`);
+    }
+    process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
 bootstrap().catch((err) => {
     console.error('Fatal error during bootstrap:', err);
     process.exit(1);
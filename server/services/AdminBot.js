@@ -0,0 +1,255 @@
+const STATUS_ICONS = { ready: '✅', running: '✅', qr: '📱', pairing: '🔢', authenticated: '🔑', starting: '⏳', disconnected: '🔌', stopped: '⏹️', error: '❌' };
+
+/** Entries listed by /queue. */
+const QUEUE_PREVIEW = 10;
+
+/**
+ * AdminBot — operate the bridge from the Telegram admin chat
+ * (settings.alerts.adminChatId), without opening the dashboard.
+ *
+ * WhatsApp login: with settings.alerts.sendQr on, every login QR is posted to
+ * the admin chat as a photo, the same message is updated when WhatsApp
+ * rotates the code, and it is replaced by a confirmation once the session is
+ * ready.
+ *
+ * Commands (only answered in the admin chat, by the bot that sends there):
+ *   /status                 — WhatsApp sessions, bots, queue, dead letters, approvals
+ *   /queue [pause|resume]   — waiting messages / pause or resume the queue
+ *   /reset [sessionId]      — hard reset a WhatsApp session (asks for confirmation)
+ */
+export class AdminBot {
+    /**
+     * @param {import('./TelegramBridge.js').TelegramBridge} tgBridge
+     * @param {import('./WhatsAppPool.js').WhatsAppPool} waPool
+     * @param {Function} getSettings  async fn returning settings (alerts, groups)
+     * @param {object} services
+     * @param {import('./QueueService.js').QueueService} services.queue
+     * @param {import('./QueueService.js').QueueService} services.reverseQueue
+     * @param {import('./DeadLetterService.js').DeadLetterService[]} services.deadLetters
+     * @param {import('./ModerationService.js').ModerationService} services.moderation
+     * @param {Function} [logFn]  (message, level) => void
+     */
+    constructor(tgBridge, waPool, getSettings, { queue, reverseQueue, deadLetters = [], moderation = null }, logFn = null) {
+        this.tg = tgBridge;
+        this.wa = waPool;
+        this.getSettings = getSettings;
+        this.queue = queue;
+        this.reverseQueue = reverseQueue;
+        this.deadLetters = deadLetters;
+        this.moderation = moderation;
+        this._log = logFn || ((msg) => console.log(`[Admin] ${msg}`));
+        /** Map<sessionId, { chatId, messageId }> — QR photo currently shown in the admin chat */
+        this._qrMessages = new Map();
+        /** Map<sessionId, Promise> — QR updates of one session run one after another */
+        this._qrChains = new Map();
+    }
+
+    /** Wire into the bridge: QR codes, session status and bot commands. */
+    start() {
+        this.wa.onQr((qr, manager) => this._queueQrUpdate(manager, () => this._showQr(qr, manager)));
+        this.wa.onStatusChange((status, manager) => {
+            if (status === 'ready') this._queueQrUpdate(manager, () => this._confirmReady(manager));
+        });
+        this.tg.onBotSetup((bot) => this._register(bot));
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  WhatsApp login                                                    */
+    /* ------------------------------------------------------------------ */
+
+    _queueQrUpdate(manager, task) {
+        const previous = this._qrChains.get(manager.sessionId) || Promise.resolve();
+        const next = previous.then(task).catch((err) => {
+            this._log(`❌ שליחת קוד QR לצ'אט המנהלים נכשלה: ${err.message}`, 'error');
+        });
+        this._qrChains.set(manager.sessionId, next);
+        return next;
+    }
+
+    async _showQr(qrDataUrl, manager) {
+        const { adminChatId, sendQr } = await this._config();
+        if (!adminChatId || !sendQr) return;
+        const telegram = await this.tg.telegramFor(adminChatId);
+        if (!telegram) return;
+
+        const photo = { source: Buffer.from(qrDataUrl.split(',')[1], 'base64'), filename: 'whatsapp-qr.png' };
+        const caption = [
+            `📱 חיבור WhatsApp (${this._sessionLabel(manager)})`,
+            'ב-WhatsApp: הגדרות ← מכשירים מקושרים ← קישור מכשיר, וסרוק את הקוד.',
+            'הקוד מתחלף כל כמה שניות — ההודעה מתעדכנת.',
+        ].join('\n');
+
+        const shown = this._qrMessages.get(manager.sessionId);
+        if (shown && shown.chatId === adminChatId) {
+            try {
+                await telegram.editMessageMedia(shown.chatId, shown.messageId, undefined, { type: 'photo', media: photo, caption });
+                return;
+            } catch {
+                // Message deleted or too old to edit — post a new one
+                await telegram.deleteMessage(shown.chatId, shown.messageId).catch(() => { });
+            }
+        }
+        const sent = await telegram.sendPhoto(adminChatId, photo, { caption });
+        this._qrMessages.set(manager.sessionId, { chatId: adminChatId, messageId: sent.message_id });
+    }
+
+    /** The QR served its purpose — remove it (it must not stay usable) and confirm. */
+    async _confirmReady(manager) {
+        const shown = this._qrMessages.get(manager.sessionId);
+        if (!shown) return;
+        this._qrMessages.delete(manager.sessionId);
+
+        const telegram = await this.tg.telegramFor(shown.chatId);
+        if (!telegram) return;
+        await telegram.deleteMessage(shown.chatId, shown.messageId).catch(() => { });
+        await telegram.sendMessage(shown.chatId, `✅ WhatsApp (${this._sessionLabel(manager)}) מחובר ומוכן לשליחה`);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Commands                                                          */
+    /* ------------------------------------------------------------------ */
+
+    _register(bot) {
+        bot.command('status', (ctx, next) => this._command(ctx, next, () => this._statusText()));
+        bot.command('queue', (ctx, next) => this._command(ctx, next, () => this._queueCommand(ctx.payload)));
+        bot.command('reset', (ctx, next) => this._command(ctx, next, () => this._resetPrompt(ctx.payload)));
+        bot.action(/^admin:reset:(.+)$/, (ctx) => this._handleReset(ctx));
+    }
+
+    /**
+     * Answer a command from the admin chat. Anywhere else the message continues
+     * to the forwarding handlers as usual.
+     */
+    async _command(ctx, next, build) {
+        if (!(await this._isAdminChat(ctx))) return next();
+        // Several bots may sit in the admin chat — only the one that sends there answers
+        if (ctx.telegram !== (await this.tg.telegramFor(ctx.chat.id))) return;
+        try {
+            const reply = await build();
+            await ctx.reply(reply.text, reply.extra);
+        } catch (err) {
+            this._log(`❌ פקודת ניהול נכשלה: ${err.message}`, 'error');
+            await ctx.reply(`❌ ${err.message}`).catch(() => { });
+        }
+    }
+
+    async _statusText() {
+        const lines = ['📊 מצב הגשר', '', 'WhatsApp:'];
+        for (const manager of this.wa.sessions.values()) {
+            lines.push(`${STATUS_ICONS[manager.status] || '•'} ${this._sessionLabel(manager)} — ${manager.status}`);
+        }
+        lines.push('', 'Telegram:');
+        for (const bot of await this.tg.getBots()) {
+            const name = bot.username ? `@${bot.username}` : bot.name || bot.id;
+            lines.push(`${STATUS_ICONS[bot.status] || '•'} ${name} — ${bot.status}${bot.error ? ` (${bot.error})` : ''}`);
+        }
+
+        const dead = this.deadLetters.reduce((sum, d) => sum + d.length, 0);
+        lines.push(
+            '',
+            `📥 בתור: ${this.queue.length}${this.queue.paused ? ' (מושהה)' : ''} · WhatsApp → Telegram: ${this.reverseQueue?.length ?? 0}`,
+            `💀 נכשלו: ${dead}`,
+        );
+        if (this.moderation) lines.push(`🕒 ממתינות לאישור: ${this.moderation.length}`);
+        lines.push(`⏱️ פעיל ${this._duration(process.uptime())}`);
+        return { text: lines.join('\n') };
+    }
+
+    async _queueCommand(args = '') {
+        const action = args.trim().toLowerCase();
+        if (action === 'pause') {
+            this.queue.pause();
+            return { text: `⏸️ התור הושהה (${this.queue.length} הודעות ממתינות)` };
+        }
+        if (action === 'resume') {
+            this.queue.resume();
+            return { text: `▶️ התור חודש (${this.queue.length} הודעות ממתינות)` };
+        }
+
+        const entries = this.queue.getAll();
+        if (entries.length === 0) return { text: '📭 התור ריק' };
+
+        const groups = new Map(((await this.getSettings()).groups || []).map(g => [String(g.id), g.name]));
+        const lines = [`📥 ${entries.length} הודעות בתור${this.queue.paused ? ' (מושהה)' : ''}:`];
+        for (const entry of entries.slice(0, QUEUE_PREVIEW)) {
+            const text = (entry.text || (entry.media ? '[מדיה]' : '')).replace(/\s+/g, ' ').slice(0, 60);
+            const retries = entry.retries ? ` · ניסיון ${entry.retries}` : '';
+            lines.push(`• ${groups.get(String(entry.chatId)) || entry.chatId}${retries}: ${text}`);
+        }
+        if (entries.length > QUEUE_PREVIEW) lines.push(`… ועוד ${entries.length - QUEUE_PREVIEW}`);
+        lines.push('', '/queue pause · /queue resume');
+        return { text: lines.join('\n') };
+    }
+
+    async _resetPrompt(args = '') {
+        const sessions = [...this.wa.sessions.values()];
+        const wanted = args.trim();
+        const manager = wanted
+            ? this.wa.get(wanted)
+            : sessions.length === 1 ? sessions[0] : null;
+
+        if (!manager) {
+            const ids = sessions.map(m => m.sessionId).join(', ');
+            return { text: wanted ? `חשבון ${wanted} לא נמצא (${ids})` : `ציין חשבון: /reset <id> (${ids})` };
+        }
+        return {
+            text: `🔨 לאפס את WhatsApp (${this._sessionLabel(manager)})?\nנתוני האימות יימחקו ותידרש סריקת QR מחדש.`,
+            extra: {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '🔨 אפס', callback_data: `admin:reset:${manager.sessionId}` },
+                        { text: 'ביטול', callback_data: 'admin:reset:-' },
+                    ]],
+                },
+            },
+        };
+    }
+
+    async _handleReset(ctx) {
+        if (!(await this._isAdminChat(ctx))) {
+            await ctx.answerCbQuery('אין הרשאה').catch(() => { });
+            return;
+        }
+        const [, sessionId] = ctx.match;
+        const manager = sessionId !== '-' ? this.wa.get(sessionId) : null;
+        await ctx.answerCbQuery().catch(() => { });
+        if (!manager) {
+            await ctx.editMessageText('בוטל').catch(() => { });
+            return;
+        }
+
+        const { sendQr } = await this._config();
+        const by = ctx.from?.username ? `@${ctx.from.username}` : ctx.from?.first_name || 'Telegram';
+        await ctx.editMessageText(
+            `🔨 מאפס את WhatsApp (${this._sessionLabel(manager)})… ${sendQr ? 'קוד QR חדש יישלח לכאן' : 'סרוק את קוד ה-QR בדשבורד'}`,
+        ).catch(() => { });
+        this._log(`🔨 Hard Reset ל-WhatsApp (${this._sessionLabel(manager)}) מצ'אט המנהלים (${by})`, 'warning');
+        // init() only settles once the browser is up — don't keep Telegram waiting
+        manager.hardReset().catch((err) => this._log(`❌ Hard Reset נכשל: ${err.message}`, 'error'));
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    async _isAdminChat(ctx) {
+        const { adminChatId } = await this._config();
+        return Boolean(adminChatId) && String(ctx.chat?.id) === adminChatId;
+    }
+
+    async _config() {
+        const alerts = (await this.getSettings())?.alerts || {};
+        return { adminChatId: String(alerts.adminChatId || '').trim(), sendQr: Boolean(alerts.sendQr) };
+    }
+
+    _sessionLabel(manager) {
+        return manager.name || manager.sessionId;
+    }
+
+    _duration(seconds) {
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return days ? `${days} ימים ${hours} שעות` : hours ? `${hours} שעות ${minutes} דקות` : `${minutes} דקות`;
+    }
+}
@@ -0,0 +1,344 @@
+import { createHmac, randomUUID } from 'node:crypto';
+
+/**
+ * Alert events. Webhooks subscribe to a subset (`events`) or to all of them.
+ *   severity — critical: the bridge stopped forwarding · warning: needs attention · info: recovery / test
+ */
+export const ALERT_EVENTS = {
+    'whatsapp.qr': 'warning',
+    'whatsapp.disconnected': 'critical',
+    'whatsapp.auth_failure': 'critical',
+    'whatsapp.ready': 'info',
+    'telegram.bot_failed': 'critical',
+    'queue.backlog': 'warning',
+    'message.dead_lettered': 'warning',
+    'test': 'info',
+};
+
+/** Same alert (event + subject) is not repeated within this window. */
+const COOLDOWN_MS = 5 * 60 * 1000;
+
+/** Dead letters arriving this close together are reported as one alert. */
+const DEAD_LETTER_BATCH_MS = 10_000;
+
+/** How often queue depth is compared with the threshold. */
+const QUEUE_CHECK_MS = 30_000;
+
+/** Delay before each webhook retry (attempt 2, 3, …). */
+const RETRY_DELAYS_MS = [5_000, 30_000, 120_000, 600_000];
+
+const REQUEST_TIMEOUT_MS = 10_000;
+
+/** Events the admin chat sees through the posted QR instead (settings.alerts.sendQr). */
+const QR_EVENTS = new Set(['whatsapp.qr', 'whatsapp.ready']);
+
+const SEVERITY_ICONS = { critical: '🚨', warning: '⚠️', info: 'ℹ️' };
+
+/**
+ * AlertService — tells someone when the bridge needs attention, instead of
+ * waiting for them to open the dashboard. Every alert goes to:
+ *   • the Telegram admin chat (settings.alerts.adminChatId), as plain text
+ *   • every enabled webhook (settings.alerts.webhooks) subscribed to the event
+ *
+ * Webhook request — POST, JSON body:
+ *   {
+ *     "id":        "3b0c…",                  // delivery id (same on retries)
+ *     "event":     "whatsapp.disconnected",  // key of ALERT_EVENTS
+ *     "severity":  "critical",               // critical | warning | info
+ *     "message":   "…",                      // human-readable (Hebrew)
+ *     "timestamp": "2024-05-01T10:00:00.000Z",
+ *     "data":      { … }                     // event specific, see below
+ *   }
+ * data per event:
+ *   whatsapp.qr / disconnected / auth_failure / ready  { sessionId, sessionName, status, previousStatus }
+ *   telegram.bot_failed                                 { botId, botName, error }
+ *   queue.backlog                                       { queue: 'forward'|'reverse', length, threshold }
+ *   message.dead_lettered                               { queue, count, items: [{ id, chatId, lastError, text }] }
+ *   test                                                { requestedBy }
+ *
+ * Headers:
+ *   X-Bridge-Event, X-Bridge-Delivery (= id), X-Bridge-Timestamp (unix seconds)
+ *   X-Bridge-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the webhook secret>
+ *     (only when the webhook has a secret — receivers should also reject old timestamps)
+ *
+ * Delivery is retried on network errors, 429 and 5xx — RETRY_DELAYS_MS apart — and
+ * given up (logged) after the last attempt. Retries live in memory only.
+ */
+export class AlertService {
+    /**
+     * @param {Function} getSettings  async fn returning settings (alerts)
+     * @param {Function} telegramFor  async (chatId) => Telegraf telegram client or null
+     * @param {Function} [logFn]      (message, level) => void
+     */
+    constructor(getSettings, telegramFor, logFn = null) {
+        this.getSettings = getSettings;
+        this.telegramFor = telegramFor;
+        this._log = logFn || ((msg) => console.log(`[Alerts] ${msg}`));
+        /** Map<"event:subject", timestamp> — last time each alert fired */
+        this._lastFired = new Map();
+        /** Map<sessionId, status> — last known WhatsApp status */
+        this._waStatus = new Map();
+        /** Sessions that raised a "down" alert and should report their recovery */
+        this._waDown = new Set();
+        /** Map<queueName, QueueService> */
+        this._queues = new Map();
+        /** Queues currently above the threshold (alerted once per crossing) */
+        this._backlogged = new Set();
+        /** Map<queueName, { items, timer }> — dead letters waiting to be reported together */
+        this._deadBatches = new Map();
+        this._queueTimer = null;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Sources                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /** WhatsApp status transition (WhatsAppPool.onStatusChange). */
+    onWhatsAppStatus(status, manager) {
+        const sessionId = manager.sessionId;
+        const previous = this._waStatus.get(sessionId);
+        this._waStatus.set(sessionId, status);
+        if (status === previous) return;
+
+        const data = { sessionId, sessionName: manager.name || '', status, previousStatus: previous || null };
+        const label = manager.name || sessionId;
+
+        if (status === 'qr') {
+            this._waDown.add(sessionId);
+            this.notify('whatsapp.qr', `WhatsApp (${label}) מחכה לסריקת QR — ההעברה לקבוצות עצרה`, data, sessionId);
+        } else if (status === 'disconnected' && (previous === 'ready' || previous === 'authenticated')) {
+            this._waDown.add(sessionId);
+            this.notify('whatsapp.disconnected', `WhatsApp (${label}) התנתק`, data, sessionId);
+        } else if (status === 'error') {
+            this._waDown.add(sessionId);
+            this.notify('whatsapp.auth_failure', `שגיאת אימות ב-WhatsApp (${label}) — נדרשת התחברות מחדש`, data, sessionId);
+        } else if (status === 'ready' && this._waDown.delete(sessionId)) {
+            this.notify('whatsapp.ready', `WhatsApp (${label}) מחובר שוב`, data, sessionId, { cooldown: false });
+        }
+    }
+
+    /** Telegram bot status change (TelegramBridge.onBotStatus). */
+    onBotStatus(entry) {
+        if (entry.status !== 'error') return;
+        this.notify(
+            'telegram.bot_failed',
+            `בוט Telegram ${entry.name || entry.id} לא פועל: ${entry.error || 'שגיאה לא ידועה'}`,
+            { botId: entry.id, botName: entry.name || '', error: entry.error || null },
+            entry.id,
+        );
+    }
+
+    /** Report dead letters of `queueName` (batched). */
+    watchDeadLetters(queueName, deadLetter) {
+        deadLetter.onAdd((item) => {
+            let batch = this._deadBatches.get(queueName);
+            if (!batch) {
+                batch = { items: [], timer: null };
+                this._deadBatches.set(queueName, batch);
+                batch.timer = setTimeout(() => this._flushDeadLetters(queueName), DEAD_LETTER_BATCH_MS);
+                batch.timer.unref?.();
+            }
+            batch.items.push(deadLetter.summary(item));
+        });
+    }
+
+    /** Compare the queue's depth with settings.alerts.queueThreshold periodically. */
+    watchQueue(queueName, queue) {
+        this._queues.set(queueName, queue);
+        if (this._queueTimer) return;
+        this._queueTimer = setInterval(() => {
+            this._checkQueues().catch((err) => this._log(`❌ בדיקת עומס התור נכשלה: ${err.message}`, 'error'));
+        }, QUEUE_CHECK_MS);
+        this._queueTimer.unref?.();
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Sending                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Send an alert to the admin chat and to subscribed webhooks.
+     * @param {string} event     key of ALERT_EVENTS
+     * @param {string} message   human-readable text
+     * @param {object} data      event specific details
+     * @param {string} [subject] what the alert is about (cooldown key), e.g. a session id
+     * @param {object} [options]
+     * @param {boolean} [options.cooldown=true]  suppress repeats within COOLDOWN_MS
+     */
+    async notify(event, message, data = {}, subject = '', { cooldown = true } = {}) {
+        const key = `${event}:${subject}`;
+        const last = this._lastFired.get(key) || 0;
+        if (cooldown && Date.now() - last < COOLDOWN_MS) return;
+        this._lastFired.set(key, Date.now());
+
+        const alert = {
+            id: randomUUID(),
+            event,
+            severity: ALERT_EVENTS[event] || 'info',
+            message,
+            timestamp: new Date().toISOString(),
+            data,
+        };
+
+        let config;
+        try {
+            config = await this._config();
+        } catch (err) {
+            this._log(`❌ טעינת הגדרות התראות נכשלה: ${err.message}`, 'error');
+            return;
+        }
+
+        // With sendQr on, the admin chat already gets the QR itself and a "connected" confirmation (AdminBot)
+        const telegramChatId = config.sendQr && QR_EVENTS.has(event) ? '' : config.adminChatId;
+
+        await Promise.all([
+            this._sendTelegram(telegramChatId, alert).catch((err) => {
+                this._log(`❌ שליחת התראה לצ'אט המנהלים נכשלה: ${err.message}`, 'error');
+            }),
+            ...this._webhooksFor(config, event).map((hook) => this._deliver(hook, alert)),
+        ]);
+    }
+
+    /**
+     * Send a "test" alert once to every destination and report how each went.
+     * @returns {Promise<Array<{ target: string, ok: boolean, error?: string }>>}
+     */
+    async test(requestedBy = '') {
+        const config = await this._config();
+        const alert = {
+            id: randomUUID(),
+            event: 'test',
+            severity: 'info',
+            message: 'התראת בדיקה מהגשר',
+            timestamp: new Date().toISOString(),
+            data: { requestedBy },
+        };
+
+        const results = [];
+        if (config.adminChatId) {
+            try {
+                await this._sendTelegram(config.adminChatId, alert);
+                results.push({ target: `telegram:${config.adminChatId}`, ok: true });
+            } catch (err) {
+                results.push({ target: `telegram:${config.adminChatId}`, ok: false, error: err.message });
+            }
+        }
+        for (const hook of this._webhooksFor(config, 'test')) {
+            try {
+                await this._post(hook, alert);
+                results.push({ target: hook.url, ok: true });
+            } catch (err) {
+                results.push({ target: hook.url, ok: false, error: err.message });
+            }
+        }
+        return results;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    async _checkQueues() {
+        const { queueThreshold } = await this._config();
+        for (const [queueName, queue] of this._queues) {
+            const length = queue.length;
+            if (!queueThreshold || length < queueThreshold) {
+                this._backlogged.delete(queueName);
+                continue;
+            }
+            if (this._backlogged.has(queueName)) continue;
+            this._backlogged.add(queueName);
+            this.notify(
+                'queue.backlog',
+                `${length} הודעות ממתינות בתור (${queueName === 'reverse' ? 'WhatsApp → Telegram' : 'Telegram → WhatsApp'}) — הסף הוא ${queueThreshold}`,
+                { queue: queueName, length, threshold: queueThreshold },
+                queueName,
+            );
+        }
+    }
+
+    _flushDeadLetters(queueName) {
+        const batch = this._deadBatches.get(queueName);
+        this._deadBatches.delete(queueName);
+        if (!batch?.items.length) return;
+        const count = batch.items.length;
+        this.notify(
+            'message.dead_lettered',
+            `${count === 1 ? 'הודעה אחת נכשלה' : `${count} הודעות נכשלו`} סופית ועברו לרשימת "הודעות שנכשלו" — ${batch.items[0].lastError}`,
+            {
+                queue: queueName,
+                count,
+                items: batch.items.map(({ id, chatId, lastError, text }) => ({ id, chatId, lastError, text })),
+            },
+            queueName,
+            { cooldown: false },
+        );
+    }
+
+    async _sendTelegram(chatId, alert) {
+        if (!chatId) return;
+        const telegram = await this.telegramFor(chatId);
+        if (!telegram) throw new Error('אין בוט Telegram פעיל');
+        await telegram.sendMessage(chatId, `${SEVERITY_ICONS[alert.severity] || ''} ${alert.message}`.trim(), {
+            disable_web_page_preview: true,
+        });
+    }
+
+    /** POST with retries; failures are logged, never thrown. */
+    async _deliver(hook, alert) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this._post(hook, alert);
+                return;
+            } catch (err) {
+                if (!err.retryable || attempt >= RETRY_DELAYS_MS.length) {
+                    this._log(`❌ Webhook ${hook.url} נכשל (${alert.event}, ניסיון ${attempt + 1}): ${err.message}`, 'error');
+                    return;
+                }
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAYS_MS[attempt]).unref?.());
+            }
+        }
+    }
+
+    async _post(hook, alert) {
+        const body = JSON.stringify(alert);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'tg-wa-bridge',
+            'X-Bridge-Event': alert.event,
+            'X-Bridge-Delivery': alert.id,
+            'X-Bridge-Timestamp': String(timestamp),
+        };
+        if (hook.secret) {
+            const signature = createHmac('sha256', hook.secret).update(`${timestamp}.${body}`).digest('hex');
+            headers['X-Bridge-Signature'] = `sha256=${signature}`;
+        }
+
+        let res;
+        try {
+            res = await fetch(hook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        } catch (err) {
+            throw Object.assign(new Error(err.cause?.message || err.message), { retryable: true });
+        }
+        if (!res.ok) {
+            throw Object.assign(new Error(`HTTP ${res.status}`), { retryable: res.status === 429 || res.status >= 500 });
+        }
+    }
+
+    _webhooksFor(config, event) {
+        return config.webhooks.filter(h => h.url && h.enabled !== false
+            && (!h.events?.length || h.events.includes(event) || event === 'test'));
+    }
+
+    /** settings.alerts with defaults. */
+    async _config() {
+        const alerts = (await this.getSettings())?.alerts || {};
+        return {
+            adminChatId: String(alerts.adminChatId || '').trim(),
+            sendQr: Boolean(alerts.sendQr),
+            queueThreshold: Math.max(0, Number(alerts.queueThreshold ?? 100) || 0),
+            webhooks: Array.isArray(alerts.webhooks) ? alerts.webhooks : [],
+        };
+    }
+}
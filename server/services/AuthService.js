@@ -0,0 +1,256 @@
+import { randomBytes, scrypt, createHmac, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import * as database from '../db/database.js';
+
+const scryptAsync = promisify(scrypt);
+
+/** Roles in ascending order of privilege. */
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+/** Token lifetime — AUTH_TOKEN_TTL (seconds) or 12 hours. */
+const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL) || 12 * 60 * 60;
+
+/**
+ * AuthService — local users with scrypt-hashed passwords and signed
+ * (HS256 JWT) bearer tokens for the REST API and the Socket.io handshake.
+ *
+ * Roles:
+ *   viewer   — read-only dashboard / logs (secrets masked)
+ *   operator — day-to-day actions: queue, approvals, bot restarts, revokes
+ *   admin    — settings, routes, sessions, users
+ *
+ * The first admin comes from ADMIN_USERNAME / ADMIN_PASSWORD, or is created
+ * through the setup endpoint (localhost only) while no users exist.
+ */
+export class AuthService {
+    /**
+     * @param {object} [store]  user / secret persistence — getUsers, getUser, getUserByUsername,
+     *        createUser, updateUser, deleteUser, getAuthSecret (default: db/database.js)
+     */
+    constructor(store = database) {
+        this.store = store;
+        this._secret = null;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Lifecycle                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Load the signing secret and seed the admin user from the environment. */
+    async init() {
+        this._secret = await this.store.getAuthSecret(() => randomBytes(32).toString('base64url'));
+
+        const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+        if (ADMIN_USERNAME && ADMIN_PASSWORD && !(await this.store.getUserByUsername(ADMIN_USERNAME))) {
+            await this.createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+        }
+    }
+
+    /** True while no user exists — the dashboard then offers to create the first admin. */
+    async setupRequired() {
+        return (await this.store.getUsers()).length === 0;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Login & tokens                                                    */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Check credentials.
+     * @returns {Promise<{ token: string, user: object } | null>}
+     */
+    async login(username, password) {
+        const user = await this.store.getUserByUsername(username);
+        // Hash anyway so unknown users take as long as wrong passwords
+        const ok = await this._verifyPassword(String(password ?? ''), user?.passwordHash || 'scrypt$AAAA$AAAA');
+        if (!user || !ok) return null;
+        return { token: this._sign(user), user: this.publicUser(user) };
+    }
+
+    /**
+     * Resolve a bearer token to its (current) user.
+     * @returns {Promise<{ id: string, username: string, role: string } | null>}
+     */
+    async verifyToken(token) {
+        const payload = this._decode(token);
+        if (!payload) return null;
+        const user = await this.store.getUser(payload.sub);
+        // Deleted users and changed passwords invalidate old tokens
+        if (!user || (user.tokenVersion || 0) !== payload.ver) return null;
+        return this.publicUser(user);
+    }
+
+    /** Whether `user` has at least `role`. */
+    hasRole(user, role) {
+        return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  User management                                                   */
+    /* ------------------------------------------------------------------ */
+
+    async listUsers() {
+        return (await this.store.getUsers()).map(u => this.publicUser(u));
+    }
+
+    async createUser({ username, password, role = 'viewer' }) {
+        const name = String(username ?? '').trim();
+        if (!/^[\w.@-]{3,64}$/.test(name)) {
+            throw new Error('שם משתמש חייב להכיל 3-64 תווים: אותיות לטיניות, ספרות, . _ @ -');
+        }
+        this._checkRole(role);
+        this._checkPassword(password);
+        if (await this.store.getUserByUsername(name)) {
+            throw new Error('שם המשתמש כבר קיים');
+        }
+        const user = await this.store.createUser({
+            username: name,
+            role,
+            passwordHash: await this._hashPassword(password),
+            tokenVersion: 0,
+        });
+        return this.publicUser(user);
+    }
+
+    /**
+     * Change a user's role and / or password. Returns null if it doesn't exist.
+     */
+    async updateUser(id, { role, password } = {}) {
+        const user = await this.store.getUser(id);
+        if (!user) return null;
+
+        const partial = {};
+        if (role !== undefined && role !== user.role) {
+            this._checkRole(role);
+            if (user.role === 'admin') await this._ensureAnotherAdmin(id);
+            partial.role = role;
+        }
+        if (password !== undefined) {
+            this._checkPassword(password);
+            partial.passwordHash = await this._hashPassword(password);
+            partial.tokenVersion = (user.tokenVersion || 0) + 1;
+        }
+        return this.publicUser(await this.store.updateUser(id, partial));
+    }
+
+    /** Delete a user — the last admin cannot be removed. */
+    async deleteUser(id) {
+        const user = await this.store.getUser(id);
+        if (!user) return false;
+        if (user.role === 'admin') await this._ensureAnotherAdmin(id);
+        return this.store.deleteUser(id);
+    }
+
+    /** User fields that are safe to send to clients. */
+    publicUser(user) {
+        return { id: user.id, username: user.username, role: user.role, createdAt: user.createdAt };
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Secrets                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /** Copy of settings with bot tokens, webhook secrets and plugin configs masked (for non-admins). */
+    maskSettings(settings) {
+        return {
+            ...settings,
+            telegramBotToken: this._mask(settings.telegramBotToken),
+            bots: (settings.bots || []).map(b => ({ ...b, token: this._mask(b.token) })),
+            alerts: settings.alerts && {
+                ...settings.alerts,
+                webhooks: (settings.alerts.webhooks || []).map(h => ({ ...h, secret: this._mask(h.secret) })),
+            },
+            // Plugin configs may hold credentials of their own
+            plugins: settings.plugins && Object.fromEntries(Object.entries(settings.plugins)
+                .map(([name, p]) => [name, { enabled: p?.enabled }])),
+        };
+    }
+
+    /** Copy of a WhatsApp session's state without its login QR / pairing code (below operator). */
+    maskSession(session) {
+        const { qr, pairing, ...rest } = session;
+        return rest;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    _mask(secret) {
+        return secret ? '••••••••' : '';
+    }
+
+    _checkRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`תפקיד לא תקין: ${role} (viewer / operator / admin)`);
+        }
+    }
+
+    _checkPassword(password) {
+        if (typeof password !== 'string' || password.length < 8) {
+            throw new Error('הסיסמה חייבת להכיל לפחות 8 תווים');
+        }
+    }
+
+    async _ensureAnotherAdmin(id) {
+        const admins = (await this.store.getUsers()).filter(u => u.role === 'admin' && u.id !== id);
+        if (admins.length === 0) {
+            throw new Error('לא ניתן להסיר את המנהל האחרון');
+        }
+    }
+
+    async _hashPassword(password) {
+        const salt = randomBytes(16);
+        const hash = await scryptAsync(password, salt, 64);
+        return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+    }
+
+    async _verifyPassword(password, stored) {
+        const [scheme, salt, hash] = String(stored).split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+        const expected = Buffer.from(hash, 'base64');
+        const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length || 64);
+        return expected.length === actual.length && timingSafeEqual(expected, actual);
+    }
+
+    _sign(user) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = { alg: 'HS256', typ: 'JWT' };
+        const payload = {
+            sub: user.id,
+            username: user.username,
+            role: user.role,
+            ver: user.tokenVersion || 0,
+            iat: now,
+            exp: now + TOKEN_TTL_SECONDS,
+        };
+        const body = `${this._b64(header)}.${this._b64(payload)}`;
+        return `${body}.${this._hmac(body)}`;
+    }
+
+    /** Verify signature + expiry; returns the payload or null. */
+    _decode(token) {
+        const [header, payload, signature] = String(token ?? '').split('.');
+        if (!header || !payload || !signature) return null;
+
+        const expected = Buffer.from(this._hmac(`${header}.${payload}`));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+        try {
+            const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+            if (!data.exp || data.exp < Math.floor(Date.now() / 1000)) return null;
+            return data;
+        } catch {
+            return null;
+        }
+    }
+
+    _hmac(value) {
+        return createHmac('sha256', this._secret).update(value).digest('base64url');
+    }
+
+    _b64(obj) {
+        return Buffer.from(JSON.stringify(obj)).toString('base64url');
+    }
+}
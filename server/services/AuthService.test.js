@@ -0,0 +1,143 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuthService } from './AuthService.js';
+
+const PASSWORD = 'correct horse';
+
+/** In-memory stand-in for the user functions of db/database.js. */
+const memoryStore = () => {
+    let users = [];
+    let nextId = 1;
+    return {
+        getUsers: async () => users,
+        getUser: async (id) => users.find(u => u.id === id) || null,
+        getUserByUsername: async (name) => users.find(u => u.username.toLowerCase() === String(name).toLowerCase()) || null,
+        createUser: async (data) => {
+            const user = { ...data, id: String(nextId++), createdAt: new Date().toISOString() };
+            users.push(user);
+            return user;
+        },
+        updateUser: async (id, partial) => {
+            const index = users.findIndex(u => u.id === id);
+            if (index === -1) return null;
+            users[index] = { ...users[index], ...partial, id };
+            return users[index];
+        },
+        deleteUser: async (id) => {
+            const before = users.length;
+            users = users.filter(u => u.id !== id);
+            return users.length !== before;
+        },
+        getAuthSecret: async () => 'test-secret',
+    };
+};
+
+/** Re-sign a token's payload with changes (valid signature, tampered content). */
+const resign = (auth, token, changes) => {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf-8'));
+    const body = `${token.split('.')[0]}.${auth._b64({ ...payload, ...changes })}`;
+    return `${body}.${auth._hmac(body)}`;
+};
+
+describe('AuthService', () => {
+    let auth;
+
+    beforeEach(async () => {
+        delete process.env.ADMIN_USERNAME;
+        delete process.env.ADMIN_PASSWORD;
+        auth = new AuthService(memoryStore());
+        await auth.init();
+    });
+
+    describe('tokens', () => {
+        it('resolves a token from login to its user', async () => {
+            await auth.createUser({ username: 'alice', password: PASSWORD, role: 'operator' });
+            const { token, user } = await auth.login('alice', PASSWORD);
+            assert.deepEqual(await auth.verifyToken(token), user);
+            assert.equal(user.role, 'operator');
+        });
+
+        it('rejects wrong passwords and unknown users', async () => {
+            await auth.createUser({ username: 'alice', password: PASSWORD });
+            assert.equal(await auth.login('alice', 'wrong password'), null);
+            assert.equal(await auth.login('bob', PASSWORD), null);
+        });
+
+        it('rejects malformed, tampered and foreign tokens', async () => {
+            await auth.createUser({ username: 'alice', password: PASSWORD });
+            const { token } = await auth.login('alice', PASSWORD);
+            assert.equal(await auth.verifyToken(undefined), null);
+            assert.equal(await auth.verifyToken('not-a-token'), null);
+            assert.equal(await auth.verifyToken(`${token.slice(0, -2)}xx`), null);
+
+            const other = new AuthService({ ...memoryStore(), getAuthSecret: async () => 'other-secret' });
+            await other.init();
+            assert.equal(await other.verifyToken(token), null);
+        });
+
+        it('rejects expired tokens', async () => {
+            await auth.createUser({ username: 'alice', password: PASSWORD });
+            const { token } = await auth.login('alice', PASSWORD);
+            const expired = resign(auth, token, { exp: Math.floor(Date.now() / 1000) - 1 });
+            assert.equal(await auth.verifyToken(expired), null);
+        });
+
+        it('revokes old tokens when the password changes', async () => {
+            const user = await auth.createUser({ username: 'alice', password: PASSWORD });
+            const { token } = await auth.login('alice', PASSWORD);
+            await auth.updateUser(user.id, { password: 'another password' });
+            assert.equal(await auth.verifyToken(token), null);
+            assert.ok(await auth.login('alice', 'another password'));
+        });
+
+        it('reports the current role, not the one in the token', async () => {
+            await auth.createUser({ username: 'root', password: PASSWORD, role: 'admin' });
+            const user = await auth.createUser({ username: 'alice', password: PASSWORD, role: 'admin' });
+            const { token } = await auth.login('alice', PASSWORD);
+            await auth.updateUser(user.id, { role: 'viewer' });
+            assert.equal((await auth.verifyToken(token)).role, 'viewer');
+        });
+
+        it('rejects tokens of deleted users', async () => {
+            const user = await auth.createUser({ username: 'alice', password: PASSWORD });
+            const { token } = await auth.login('alice', PASSWORD);
+            await auth.deleteUser(user.id);
+            assert.equal(await auth.verifyToken(token), null);
+        });
+    });
+
+    describe('users', () => {
+        it('keeps the last admin', async () => {
+            const admin = await auth.createUser({ username: 'root', password: PASSWORD, role: 'admin' });
+            await assert.rejects(auth.deleteUser(admin.id), /המנהל האחרון/);
+            await assert.rejects(auth.updateUser(admin.id, { role: 'operator' }), /המנהל האחרון/);
+
+            const second = await auth.createUser({ username: 'deputy', password: PASSWORD, role: 'admin' });
+            assert.equal(await auth.deleteUser(admin.id), true);
+            await assert.rejects(auth.deleteUser(second.id), /המנהל האחרון/);
+        });
+
+        it('validates usernames, roles, passwords and duplicates', async () => {
+            await assert.rejects(auth.createUser({ username: 'a', password: PASSWORD }));
+            await assert.rejects(auth.createUser({ username: 'alice', password: PASSWORD, role: 'root' }));
+            await assert.rejects(auth.createUser({ username: 'alice', password: 'short' }));
+            await auth.createUser({ username: 'alice', password: PASSWORD });
+            await assert.rejects(auth.createUser({ username: 'ALICE', password: PASSWORD }), /כבר קיים/);
+        });
+
+        it('requires setup only while no user exists', async () => {
+            assert.equal(await auth.setupRequired(), true);
+            await auth.createUser({ username: 'root', password: PASSWORD, role: 'admin' });
+            assert.equal(await auth.setupRequired(), false);
+        });
+    });
+
+    describe('hasRole', () => {
+        it('orders viewer < operator < admin', () => {
+            assert.equal(auth.hasRole({ role: 'admin' }, 'operator'), true);
+            assert.equal(auth.hasRole({ role: 'operator' }, 'operator'), true);
+            assert.equal(auth.hasRole({ role: 'viewer' }, 'operator'), false);
+            assert.equal(auth.hasRole(null, 'viewer'), false);
+        });
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * ContentFilter — rule engine that decides whether a Telegram message
+ * should be forwarded at all, before any payload is built.
+ *
+ * Rule shape:
+ *   {
+ *     id?:      string,
+ *     type:     'keyword' | 'regex' | 'messageType' | 'length' | 'forwardedFrom',
+ *     mode:     'include' | 'exclude',      // ignored for 'length'
+ *     values?:  string[],                   // keywords / patterns / types / sources
+ *     min?:     number,                     // 'length' only
+ *     max?:     number,                     // 'length' only
+ *     enabled?: boolean,
+ *   }
+ *
+ * An `exclude` rule drops the message when it matches.
+ * An `include` rule drops the message when it does NOT match.
+ * A `length` rule drops the message when its text is outside [min, max].
+ */
+export class ContentFilter {
+    constructor(logFn = null) {
+        this._logFn = logFn;
+        /** Compiled regex cache — Map<pattern, RegExp | null> */
+        this._regexCache = new Map();
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Public API                                                        */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Evaluate global + per-channel rules against a message.
+     * @param {object} msg      Telegram message / channel post
+     * @param {object} filters  settings.filters — { global: Rule[], channels: { [chatId]: Rule[] } }
+     * @param {object} [opts]   { text } — override the text used by text rules (albums)
+     * @returns {{ allowed: true } | { allowed: false, rule: object, scope: string, reason: string }}
+     */
+    evaluate(msg, filters, opts = {}) {
+        if (!msg || !filters) return { allowed: true };
+
+        const chatId = String(msg.chat?.id ?? '');
+        const scopes = [
+            ['global', filters.global || []],
+            [`channel:${chatId}`, filters.channels?.[chatId] || []],
+        ];
+
+        for (const [scope, rules] of scopes) {
+            for (const rule of rules) {
+                if (!rule || rule.enabled === false) continue;
+                const reason = this._check(rule, msg, opts);
+                if (reason) {
+                    return { allowed: false, rule, scope, reason };
+                }
+            }
+        }
+        return { allowed: true };
+    }
+
+    /** Classify a Telegram message into a simple content type. */
+    getMessageType(msg) {
+        // 'venue' before 'location': venue messages carry both fields
+        const types = [
+            'text', 'photo', 'video', 'video_note', 'document', 'sticker', 'animation', 'audio', 'voice',
+            'poll', 'venue', 'location', 'contact', 'dice',
+        ];
+        // 'animation' messages also carry a 'document' field — check it first
+        if (msg.animation) return 'animation';
+        return types.find(t => msg[t]) || 'other';
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Rule checks — each returns a reason string when the rule drops    */
+    /* ------------------------------------------------------------------ */
+
+    _check(rule, msg, opts) {
+        const values = Array.isArray(rule.values) ? rule.values.filter(v => v !== '' && v != null) : [];
+        const text = opts.text ?? msg.text ?? msg.caption ?? '';
+
+        switch (rule.type) {
+            case 'keyword': {
+                if (!values.length) return null;
+                const lower = text.toLowerCase();
+                const hit = values.find(v => lower.includes(String(v).toLowerCase()));
+                return this._apply(rule, hit, `keyword "${hit ?? values.join(', ')}"`);
+            }
+            case 'regex': {
+                if (!values.length) return null;
+                const hit = values.find(p => this._regex(p)?.test(text));
+                return this._apply(rule, hit, `regex /${hit ?? values.join('|')}/`);
+            }
+            case 'messageType': {
+                if (!values.length) return null;
+                const type = this.getMessageType(msg);
+                const hit = values.includes(type) ? type : undefined;
+                return this._apply(rule, hit, `type "${type}"`);
+            }
+            case 'length': {
+                const len = text.length;
+                if (typeof rule.min === 'number' && len < rule.min) return `length ${len} < ${rule.min}`;
+                if (typeof rule.max === 'number' && len > rule.max) return `length ${len} > ${rule.max}`;
+                return null;
+            }
+            case 'forwardedFrom': {
+                const source = this._forwardSource(msg);
+                const hit = source ? values.find(v => this._matchesSource(v, source)) : undefined;
+                return this._apply(rule, hit, `forwarded from "${source?.label ?? 'none'}"`);
+            }
+            default:
+                return null;
+        }
+    }
+
+    /** Turn a match result into a drop reason according to the rule mode. */
+    _apply(rule, hit, description) {
+        const matched = hit !== undefined;
+        if (rule.mode === 'include') {
+            return matched ? null : `no include match (${description})`;
+        }
+        return matched ? `excluded by ${description}` : null;
+    }
+
+    /** Extract the original source of a forwarded message (or null). */
+    _forwardSource(msg) {
+        // Bot API 7.0+ (forward_origin)
+        const origin = msg.forward_origin;
+        if (origin) {
+            const chat = origin.chat || origin.sender_chat;
+            const user = origin.sender_user;
+            if (chat) return { id: String(chat.id), username: chat.username, label: chat.title || chat.username || String(chat.id) };
+            if (user) return { id: String(user.id), username: user.username, label: user.username || user.first_name || String(user.id) };
+            if (origin.sender_user_name) return { id: null, username: null, label: origin.sender_user_name };
+        }
+        // Legacy fields
+        if (msg.forward_from_chat) {
+            const c = msg.forward_from_chat;
+            return { id: String(c.id), username: c.username, label: c.title || c.username || String(c.id) };
+        }
+        if (msg.forward_from) {
+            const u = msg.forward_from;
+            return { id: String(u.id), username: u.username, label: u.username || u.first_name || String(u.id) };
+        }
+        if (msg.forward_sender_name) {
+            return { id: null, username: null, label: msg.forward_sender_name };
+        }
+        return null;
+    }
+
+    /** Match a rule value ('*', id, '@username' or title) against a forward source. */
+    _matchesSource(value, source) {
+        const v = String(value).trim().toLowerCase();
+        if (v === '*') return true;
+        if (source.id && v === source.id.toLowerCase()) return true;
+        if (source.username && v.replace(/^@/, '') === source.username.toLowerCase()) return true;
+        return source.label.toLowerCase() === v;
+    }
+
+    /** Compile (and cache) a case-insensitive regex. Invalid patterns never match. */
+    _regex(pattern) {
+        if (!this._regexCache.has(pattern)) {
+            try {
+                this._regexCache.set(pattern, new RegExp(pattern, 'i'));
+            } catch (err) {
+                this._regexCache.set(pattern, null);
+                this._logFn?.(`⚠️ ביטוי רגולרי לא תקין בכלל סינון: ${pattern} (${err.message})`, 'warning');
+            }
+        }
+        return this._regexCache.get(pattern);
+    }
+}
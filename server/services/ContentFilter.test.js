@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContentFilter } from './ContentFilter.js';
+
+const filter = new ContentFilter();
+
+const CHAT_ID = -1001234;
+
+/** Channel post shorthand: post({ text: 'hi' }) */
+const post = (fields = {}) => ({ chat: { id: CHAT_ID }, message_id: 1, ...fields });
+
+const rule = (type, mode, values, extra = {}) => ({ type, mode, values, ...extra });
+
+const check = (msg, rules, opts) => filter.evaluate(msg, { global: rules }, opts);
+
+describe('ContentFilter', () => {
+    describe('getMessageType', () => {
+        it('classifies common messages', () => {
+            assert.equal(filter.getMessageType(post({ text: 'hi' })), 'text');
+            assert.equal(filter.getMessageType(post({ photo: [{}], caption: 'c' })), 'photo');
+            assert.equal(filter.getMessageType(post({ voice: {} })), 'voice');
+        });
+
+        it('prefers animation over its document field', () => {
+            assert.equal(filter.getMessageType(post({ animation: {}, document: {} })), 'animation');
+        });
+
+        it('prefers venue over its location field', () => {
+            assert.equal(filter.getMessageType(post({ venue: {}, location: {} })), 'venue');
+        });
+
+        it('falls back to other', () => {
+            assert.equal(filter.getMessageType(post({ new_chat_title: 'x' })), 'other');
+        });
+    });
+
+    describe('evaluate', () => {
+        it('allows everything without filters', () => {
+            assert.deepEqual(filter.evaluate(post({ text: 'hi' }), null), { allowed: true });
+            assert.deepEqual(filter.evaluate(post({ text: 'hi' }), {}), { allowed: true });
+        });
+
+        it('reports the rule and scope that dropped a message', () => {
+            const r = rule('keyword', 'exclude', ['spam']);
+            const result = check(post({ text: 'spam here' }), [r]);
+            assert.equal(result.allowed, false);
+            assert.equal(result.rule, r);
+            assert.equal(result.scope, 'global');
+            assert.equal(result.reason, 'excluded by keyword "spam"');
+        });
+
+        it('applies channel rules only to their own chat', () => {
+            const filters = { channels: { [CHAT_ID]: [rule('keyword', 'exclude', ['ad'])] } };
+            const result = filter.evaluate(post({ text: 'an ad' }), filters);
+            assert.equal(result.allowed, false);
+            assert.equal(result.scope, `channel:${CHAT_ID}`);
+            assert.equal(filter.evaluate({ ...post({ text: 'an ad' }), chat: { id: 1 } }, filters).allowed, true);
+        });
+
+        it('skips disabled rules and empty values', () => {
+            assert.equal(check(post({ text: 'spam' }), [rule('keyword', 'exclude', ['spam'], { enabled: false })]).allowed, true);
+            assert.equal(check(post({ text: 'spam' }), [rule('keyword', 'include', ['', null])]).allowed, true);
+        });
+
+        it('checks the caption, or the override text for albums', () => {
+            const rules = [rule('keyword', 'exclude', ['promo'])];
+            assert.equal(check(post({ photo: [{}], caption: 'Promo!' }), rules).allowed, false);
+            assert.equal(check(post({ photo: [{}] }), rules, { text: 'album promo' }).allowed, false);
+        });
+    });
+
+    describe('keyword and regex rules', () => {
+        it('matches keywords case-insensitively', () => {
+            assert.equal(check(post({ text: 'Big SALE today' }), [rule('keyword', 'exclude', ['sale'])]).allowed, false);
+        });
+
+        it('drops messages missing an include match', () => {
+            const result = check(post({ text: 'nothing relevant' }), [rule('keyword', 'include', ['news', 'update'])]);
+            assert.equal(result.allowed, false);
+            assert.equal(result.reason, 'no include match (keyword "news, update")');
+        });
+
+        it('matches regex patterns case-insensitively', () => {
+            assert.equal(check(post({ text: 'Order #123' }), [rule('regex', 'exclude', ['order #\\d+'])]).allowed, false);
+            assert.equal(check(post({ text: 'Order now' }), [rule('regex', 'exclude', ['order #\\d+'])]).allowed, true);
+        });
+
+        it('never matches an invalid pattern and warns once', () => {
+            const logs = [];
+            const logged = new ContentFilter((message, level) => logs.push(level));
+            const rules = [rule('regex', 'exclude', ['(unclosed'])];
+            assert.equal(logged.evaluate(post({ text: '(unclosed' }), { global: rules }).allowed, true);
+            assert.equal(logged.evaluate(post({ text: '(unclosed' }), { global: rules }).allowed, true);
+            assert.deepEqual(logs, ['warning']);
+        });
+    });
+
+    describe('messageType rules', () => {
+        it('keeps only the included types', () => {
+            const rules = [rule('messageType', 'include', ['photo', 'video'])];
+            assert.equal(check(post({ photo: [{}] }), rules).allowed, true);
+            const result = check(post({ sticker: {} }), rules);
+            assert.equal(result.allowed, false);
+            assert.equal(result.reason, 'no include match (type "sticker")');
+        });
+    });
+
+    describe('length rules', () => {
+        it('drops text outside the bounds', () => {
+            const rules = [{ type: 'length', min: 3, max: 10 }];
+            assert.equal(check(post({ text: 'hi' }), rules).reason, 'length 2 < 3');
+            assert.equal(check(post({ text: 'far too long text' }), rules).reason, 'length 17 > 10');
+            assert.equal(check(post({ text: 'just ok' }), rules).allowed, true);
+        });
+
+        it('treats a missing bound as open', () => {
+            assert.equal(check(post({ text: '' }), [{ type: 'length', max: 5 }]).allowed, true);
+        });
+    });
+
+    describe('forwardedFrom rules', () => {
+        const fromChannel = post({ text: 'x', forward_origin: { type: 'channel', chat: { id: -100777, username: 'NewsChan', title: 'News' } } });
+
+        it('matches a source by id, @username, title or wildcard', () => {
+            for (const value of ['-100777', '@newschan', 'newschan', 'news', '*']) {
+                assert.equal(check(fromChannel, [rule('forwardedFrom', 'exclude', [value])]).allowed, false, value);
+            }
+            assert.equal(check(fromChannel, [rule('forwardedFrom', 'exclude', ['@other'])]).allowed, true);
+        });
+
+        it('reads the legacy forward fields', () => {
+            const legacy = post({ text: 'x', forward_from: { id: 5, username: 'alice', first_name: 'Alice' } });
+            assert.equal(check(legacy, [rule('forwardedFrom', 'exclude', ['@alice'])]).allowed, false);
+            const hidden = post({ text: 'x', forward_sender_name: 'Hidden User' });
+            assert.equal(check(hidden, [rule('forwardedFrom', 'exclude', ['hidden user'])]).allowed, false);
+        });
+
+        it('treats an original post as not forwarded', () => {
+            assert.equal(check(post({ text: 'x' }), [rule('forwardedFrom', 'exclude', ['*'])]).allowed, true);
+            const result = check(post({ text: 'x' }), [rule('forwardedFrom', 'include', ['*'])]);
+            assert.equal(result.reason, 'no include match (forwarded from "none")');
+        });
+    });
+});
@@ -0,0 +1,140 @@
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { serialisedWrite, readJsonFile, writeJsonAtomic } from '../db/database.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, '..', 'data');
+
+/**
+ * DeadLetterService — queue entries that ran out of retries (or failed while
+ * auto-retry is off), kept with their last error until someone retries,
+ * re-targets or discards them.
+ *
+ * Shape on disk (array, oldest first): the original queue entry plus
+ *   { failedAt, lastError, attempts }
+ *
+ * One instance per QueueService (forward / reverse), like the queues themselves.
+ */
+export class DeadLetterService {
+    /**
+     * @param {object} io
+     * @param {object} [options]
+     * @param {string} [options.fileName='dead-letter.json']  file inside data/
+     * @param {string} [options.eventPrefix='dead-letter']    socket event prefix (`<prefix>:added` …)
+     */
+    constructor(io, { fileName = 'dead-letter.json', eventPrefix = 'dead-letter' } = {}) {
+        /** @type {import('socket.io').Server} */
+        this.io = io;
+        this.file = join(DATA_DIR, fileName);
+        this.eventPrefix = eventPrefix;
+        this.items = [];
+        this._addHandlers = [];
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Lifecycle                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Load dead letters from disk. */
+    async init() {
+        this.items = await readJsonFile(this.file, [], 'DeadLetter');
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Public API                                                        */
+    /* ------------------------------------------------------------------ */
+
+    /** Park a failed queue entry together with its last error. */
+    async add(entry, error) {
+        const { notBefore, ...rest } = entry;
+        const item = {
+            ...rest,
+            failedAt: new Date().toISOString(),
+            lastError: String(error?.message ?? error ?? ''),
+            attempts: entry.retries || 0,
+        };
+        this.items.push(item);
+        await this._save();
+        this._emit('added', { item: this.summary(item), count: this.items.length });
+        for (const handler of this._addHandlers) {
+            try { handler(item); } catch (err) { console.error(`[DeadLetter] add handler failed: ${err.message}`); }
+        }
+        return item;
+    }
+
+    /** Summaries of every dead letter (no media data). */
+    list() {
+        return this.items.map(item => this.summary(item));
+    }
+
+    /** Full entry (including media) or null. */
+    get(id) {
+        return this.items.find(i => i.id === id) || null;
+    }
+
+    /**
+     * Point an entry at another chat / group.
+     * @returns {object | null} updated entry
+     */
+    async updateTarget(id, chatId) {
+        const item = this.get(id);
+        if (!item) return null;
+        item.chatId = String(chatId);
+        await this._save();
+        this._emit('updated', { item: this.summary(item) });
+        return item;
+    }
+
+    /**
+     * Remove entries and return them — `ids` omitted means all of them.
+     * @param {string[]} [ids]
+     * @param {'retried'|'discarded'} reason
+     */
+    async take(ids, reason) {
+        const wanted = ids ? new Set(ids) : null;
+        const taken = this.items.filter(i => !wanted || wanted.has(i.id));
+        if (taken.length === 0) return [];
+        this.items = this.items.filter(i => !taken.includes(i));
+        await this._save();
+        for (const item of taken) {
+            this._emit('removed', { id: item.id, reason, count: this.items.length });
+        }
+        return taken;
+    }
+
+    /** Called with every newly parked entry: handler(item). */
+    onAdd(handler) {
+        this._addHandlers.push(handler);
+    }
+
+    /** Number of dead letters. */
+    get length() {
+        return this.items.length;
+    }
+
+    /** Lightweight view of an entry for lists and socket events. */
+    summary(item) {
+        return {
+            id: item.id,
+            chatId: item.chatId,
+            timestamp: item.timestamp,
+            failedAt: item.failedAt,
+            attempts: item.attempts,
+            lastError: item.lastError,
+            text: (item.text || '').slice(0, 200),
+            mimetype: item.media?.mimetype || null,
+        };
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    _emit(event, data) {
+        if (this.io) this.io.emit(`${this.eventPrefix}:${event}`, data);
+    }
+
+    _save() {
+        return serialisedWrite(this.file, () => writeJsonAtomic(this.file, this.items, { spaces: 2 }), 'DeadLetter');
+    }
+}
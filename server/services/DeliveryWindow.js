@@ -0,0 +1,160 @@
+/**
+ * DeliveryWindow — decides when a WhatsApp group may receive messages.
+ *
+ * A group schedule (settings.groups[].schedule) looks like:
+ *   {
+ *     timezone: 'Asia/Jerusalem',
+ *     windows: [
+ *       { days: [0, 1, 2, 3, 4], start: '08:00', end: '22:00' },
+ *       { days: [5], start: '08:00', end: '14:00' },
+ *     ]
+ *   }
+ *
+ * `days` uses 0 = Sunday … 6 = Saturday (all days when omitted). A window
+ * whose end is before its start runs past midnight (e.g. 22:00 → 02:00);
+ * equal start / end means the whole day. A group without a schedule (or
+ * with no windows) is always open.
+ */
+export class DeliveryWindow {
+    constructor(logFn = () => { }) {
+        this._log = logFn;
+        /** Map<timezone, Intl.DateTimeFormat> */
+        this._formatters = new Map();
+    }
+
+    /**
+     * Whether the schedule allows sending at `at`.
+     * @param {object} [schedule]
+     * @param {Date}   [at]
+     */
+    isOpen(schedule, at = new Date()) {
+        const windows = this._windows(schedule);
+        if (windows.length === 0) return true;
+
+        const { weekday, minutes } = this._localParts(at, schedule.timezone);
+        const yesterday = (weekday + 6) % 7;
+        return windows.some(w => {
+            if (w.start === w.end) return w.days.includes(weekday);
+            if (w.start < w.end) {
+                return w.days.includes(weekday) && minutes >= w.start && minutes < w.end;
+            }
+            // Overnight window: the evening part of today or the morning part of yesterday's window
+            return (w.days.includes(weekday) && minutes >= w.start)
+                || (w.days.includes(yesterday) && minutes < w.end);
+        });
+    }
+
+    /**
+     * Earliest instant at or after `from` when the schedule is open.
+     * Returns `from` itself when already open, or null if no window ever opens.
+     * @returns {Date | null}
+     */
+    nextOpening(schedule, from = new Date()) {
+        if (this.isOpen(schedule, from)) return from;
+
+        const windows = this._windows(schedule);
+        const local = this._localParts(from, schedule.timezone);
+        let best = null;
+
+        // A week (plus one day for overnight windows) always contains the next start
+        for (let offset = 0; offset <= 7; offset++) {
+            const weekday = (local.weekday + offset) % 7;
+            const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+            for (const w of windows) {
+                if (!w.days.includes(weekday)) continue;
+                // start === end means the whole day, which opens at local midnight
+                const start = this._zonedTime(day, w.start === w.end ? 0 : w.start, schedule.timezone);
+                if (start > from && (!best || start < best)) best = start;
+            }
+            if (best) break;
+        }
+        return best;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Valid windows with times converted to minutes since midnight. */
+    _windows(schedule) {
+        if (!schedule || !Array.isArray(schedule.windows)) return [];
+        return schedule.windows
+            .filter(w => w && w.enabled !== false)
+            .map(w => ({
+                days: Array.isArray(w.days) && w.days.length ? w.days.map(Number) : [0, 1, 2, 3, 4, 5, 6],
+                start: this._parseTime(w.start),
+                end: this._parseTime(w.end),
+            }))
+            .filter(w => {
+                if (w.start === null || w.end === null) {
+                    this._log('⚠️ חלון שליחה עם שעה לא תקינה — מתעלם', 'warning');
+                    return false;
+                }
+                return true;
+            });
+    }
+
+    /** "HH:MM" → minutes since midnight (or null). */
+    _parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+        if (!match) return null;
+        const hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+        return hours * 60 + minutes;
+    }
+
+    /** Wall-clock parts of `date` in `timezone` (falls back to the server zone). */
+    _localParts(date, timezone) {
+        const parts = {};
+        for (const { type, value } of this._formatter(timezone).formatToParts(date)) {
+            parts[type] = value;
+        }
+        const weekdays = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+        const hour = Number(parts.hour) % 24; // some engines render midnight as "24"
+        return {
+            year: Number(parts.year),
+            month: Number(parts.month),
+            day: Number(parts.day),
+            weekday: weekdays[parts.weekday],
+            hour,
+            minute: Number(parts.minute),
+            minutes: hour * 60 + Number(parts.minute),
+        };
+    }
+
+    /** Offset of `timezone` from UTC at `date`, in minutes. */
+    _offsetMinutes(date, timezone) {
+        const p = this._localParts(date, timezone);
+        const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+        return Math.round((asUtc - Math.floor(date.getTime() / 60_000) * 60_000) / 60_000);
+    }
+
+    /** Instant of `minutes` past midnight on the (UTC-encoded) calendar `day` in `timezone`. */
+    _zonedTime(day, minutes, timezone) {
+        const wall = day.getTime() + minutes * 60_000;
+        let instant = wall - this._offsetMinutes(new Date(wall), timezone) * 60_000;
+        // Re-check once — the guess may sit on the other side of a DST change
+        instant = wall - this._offsetMinutes(new Date(instant), timezone) * 60_000;
+        return new Date(instant);
+    }
+
+    _formatter(timezone) {
+        const key = timezone || '';
+        if (!this._formatters.has(key)) {
+            const options = {
+                weekday: 'short', year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+            };
+            let formatter;
+            try {
+                formatter = new Intl.DateTimeFormat('en-US', { ...options, timeZone: timezone || undefined });
+            } catch {
+                this._log(`⚠️ אזור זמן לא תקין "${timezone}" — משתמש באזור הזמן של השרת`, 'warning');
+                formatter = new Intl.DateTimeFormat('en-US', options);
+            }
+            this._formatters.set(key, formatter);
+        }
+        return this._formatters.get(key);
+    }
+}
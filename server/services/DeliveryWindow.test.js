@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DeliveryWindow } from './DeliveryWindow.js';
+
+const delivery = new DeliveryWindow();
+
+// 2024-01-01 is a Monday (weekday 1)
+const at = (iso) => new Date(iso);
+
+const utc = (...windows) => ({ timezone: 'UTC', windows });
+
+describe('DeliveryWindow', () => {
+    describe('isOpen', () => {
+        it('is always open without a schedule or windows', () => {
+            assert.equal(delivery.isOpen(undefined, at('2024-01-01T03:00Z')), true);
+            assert.equal(delivery.isOpen(utc(), at('2024-01-01T03:00Z')), true);
+            assert.equal(delivery.isOpen(utc({ start: '08:00', end: '09:00', enabled: false }), at('2024-01-01T03:00Z')), true);
+        });
+
+        it('opens at the start and closes at the end', () => {
+            const schedule = utc({ days: [1], start: '08:00', end: '22:00' });
+            assert.equal(delivery.isOpen(schedule, at('2024-01-01T07:59Z')), false);
+            assert.equal(delivery.isOpen(schedule, at('2024-01-01T08:00Z')), true);
+            assert.equal(delivery.isOpen(schedule, at('2024-01-01T21:59Z')), true);
+            assert.equal(delivery.isOpen(schedule, at('2024-01-01T22:00Z')), false);
+        });
+
+        it('only opens on the listed days, or every day when omitted', () => {
+            assert.equal(delivery.isOpen(utc({ days: [0], start: '08:00', end: '22:00' }), at('2024-01-01T10:00Z')), false);
+            assert.equal(delivery.isOpen(utc({ start: '08:00', end: '22:00' }), at('2024-01-06T10:00Z')), true);
+        });
+
+        it('runs an overnight window into the next morning', () => {
+            const schedule = utc({ days: [1], start: '22:00', end: '02:00' });
+            assert.equal(delivery.isOpen(schedule, at('2024-01-01T23:00Z')), true);
+            assert.equal(delivery.isOpen(schedule, at('2024-01-02T01:00Z')), true);
+            assert.equal(delivery.isOpen(schedule, at('2024-01-02T02:00Z')), false);
+            // Monday morning belongs to Sunday's window, which isn't listed
+            assert.equal(delivery.isOpen(schedule, at('2024-01-01T01:00Z')), false);
+        });
+
+        it('treats equal start and end as the whole day', () => {
+            const schedule = utc({ days: [1], start: '00:00', end: '00:00' });
+            assert.equal(delivery.isOpen(schedule, at('2024-01-01T00:00Z')), true);
+            assert.equal(delivery.isOpen(schedule, at('2024-01-01T23:59Z')), true);
+            assert.equal(delivery.isOpen(schedule, at('2024-01-02T00:00Z')), false);
+        });
+
+        it('reads the wall clock of the schedule timezone', () => {
+            const schedule = { timezone: 'Asia/Jerusalem', windows: [{ days: [1], start: '08:00', end: '10:00' }] };
+            // 06:30 UTC is 08:30 in Jerusalem (UTC+2 in winter)
+            assert.equal(delivery.isOpen(schedule, at('2024-01-01T06:30Z')), true);
+            assert.equal(delivery.isOpen(schedule, at('2024-01-01T08:30Z')), false);
+        });
+
+        it('ignores windows with invalid times and warns', () => {
+            const logs = [];
+            const logged = new DeliveryWindow((message, level) => logs.push(level));
+            const schedule = utc({ start: '25:00', end: '09:00' }, { days: [1], start: '08:00', end: '09:00' });
+            assert.equal(logged.isOpen(schedule, at('2024-01-01T10:00Z')), false);
+            assert.deepEqual(logs, ['warning']);
+        });
+    });
+
+    describe('nextOpening', () => {
+        it('returns the given instant when already open', () => {
+            const from = at('2024-01-01T10:00Z');
+            assert.equal(delivery.nextOpening(utc({ start: '08:00', end: '22:00' }), from), from);
+        });
+
+        it('finds the next start later the same day or on a following day', () => {
+            const weekdays = utc({ days: [1, 2, 3, 4, 5], start: '08:00', end: '22:00' });
+            assert.deepEqual(delivery.nextOpening(weekdays, at('2024-01-01T06:00Z')), at('2024-01-01T08:00Z'));
+            assert.deepEqual(delivery.nextOpening(weekdays, at('2024-01-01T23:00Z')), at('2024-01-02T08:00Z'));
+            // Friday evening → Monday morning
+            assert.deepEqual(delivery.nextOpening(weekdays, at('2024-01-05T23:00Z')), at('2024-01-08T08:00Z'));
+        });
+
+        it('opens all-day windows at local midnight', () => {
+            // Friday night post, Saturday-only window written as 08:00–08:00
+            const saturdays = utc({ days: [6], start: '08:00', end: '08:00' });
+            assert.deepEqual(delivery.nextOpening(saturdays, at('2024-01-05T23:00Z')), at('2024-01-06T00:00Z'));
+            const schedule = { timezone: 'Asia/Jerusalem', windows: [{ days: [6], start: '00:00', end: '00:00' }] };
+            assert.deepEqual(delivery.nextOpening(schedule, at('2024-01-05T20:00Z')), at('2024-01-05T22:00Z'));
+        });
+
+        it('finds the same weekday a week later', () => {
+            const mondays = utc({ days: [1], start: '08:00', end: '09:00' });
+            assert.deepEqual(delivery.nextOpening(mondays, at('2024-01-01T10:00Z')), at('2024-01-08T08:00Z'));
+        });
+
+        it('converts the local start across a DST change', () => {
+            // Israel moved to UTC+3 on Friday 2024-03-29; Sunday 08:00 local is 05:00 UTC
+            const schedule = { timezone: 'Asia/Jerusalem', windows: [{ days: [0], start: '08:00', end: '12:00' }] };
+            assert.deepEqual(delivery.nextOpening(schedule, at('2024-03-28T20:00Z')), at('2024-03-31T05:00Z'));
+        });
+
+        it('returns null when no window ever opens', () => {
+            assert.equal(delivery.nextOpening(utc({ days: [9], start: '08:00', end: '09:00' }), at('2024-01-01T10:00Z')), null);
+        });
+    });
+});
@@ -0,0 +1,334 @@
+/** Inline styles WhatsApp can show — underline and spoiler have no WhatsApp equivalent and stay plain. */
+const STYLE_MARKERS = { bold: '*', italic: '_', strikethrough: '~' };
+
+/** Entity types whose text must never be altered (escaping would break the link). */
+const PROTECTED_TYPES = new Set(['url', 'email', 'phone_number']);
+
+/** Characters WhatsApp reads as formatting markers. */
+const MARKER_CHARS = ['*', '_', '~', '`'];
+
+/** Telegram-style bullets at the start of a line → WhatsApp list item ("- "). */
+const BULLET_RE = /^([ \t]*)[•◦▪‣●][ \t]+/;
+
+const URL_RE = /\bhttps?:\/\/[^\s<>()]+|\bwww\.[^\s<>()]+/gi;
+
+/** Invisible separator put around literal marker characters so they can't pair up. */
+const ZWSP = '\u200B';
+
+/** Look-alike for a backtick inside code — a real one would end the monospace span early. */
+const CODE_BACKTICK = '\u02CB';
+
+/**
+ * EntityFormatter — Telegram text + entities → WhatsApp markup.
+ *
+ *   bold *x* · italic _x_ · strikethrough ~x~
+ *   code `x` · pre ```x``` · blockquote "> " per line
+ *   text_link "label (url)" (just the url when the label already is the url)
+ *   • / ◦ / ▪ bullets at line start → "- " list items
+ *   underline, spoiler, mentions, hashtags, custom emoji … → plain text
+ *
+ * Telegram entities may nest and overlap; WhatsApp markers must be balanced,
+ * hug non-space text and stay on one line. So every style is cut into
+ * per-line runs trimmed of surrounding whitespace, and the output is built
+ * segment by segment with a stack of open runs — a run that outlives the one
+ * opened inside it is closed and reopened around it.
+ *
+ * Offsets are UTF-16 code units (as in JS strings); an entity edge that falls
+ * inside a surrogate pair is widened to keep the emoji whole.
+ *
+ * Marker characters already in the text get a zero-width space on each side
+ * when they could pair up on their line (never inside code, pre or links).
+ * Backticks inside code and pre become a look-alike (ˋ) instead.
+ */
+export class EntityFormatter {
+    /**
+     * @param {string} text
+     * @param {Array<{ type: string, offset: number, length: number, url?: string }>} [entities]
+     * @returns {string}
+     */
+    toWhatsApp(text, entities = []) {
+        if (!text) return '';
+        const layout = this._layout(text, entities || []);
+        return this._render(text, layout);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Layout                                                            */
+    /* ------------------------------------------------------------------ */
+
+    /** Sort entities into styles, verbatim ranges, quotes, links and protected ranges. */
+    _layout(text, entities) {
+        const styles = [];
+        const verbatim = [];
+        const quotes = [];
+        const links = [];
+        const protectedRanges = [];
+
+        entities.forEach((entity, rank) => {
+            const { start, end } = this._range(text, entity);
+            if (start >= end) return;
+            const content = text.slice(start, end);
+
+            if (STYLE_MARKERS[entity.type]) {
+                styles.push({ marker: STYLE_MARKERS[entity.type], start, end, rank });
+            } else if (entity.type === 'code' && !content.includes('\n')) {
+                verbatim.push({ start, end, open: '`', close: '`' });
+            } else if (entity.type === 'code' || entity.type === 'pre') {
+                verbatim.push({ start, end, open: '```\n', close: '\n```' });
+            } else if (entity.type === 'blockquote' || entity.type === 'expandable_blockquote') {
+                quotes.push({ start, end });
+            } else if (entity.type === 'text_link' && entity.url && !this._sameUrl(content, entity.url)) {
+                links.push({ at: end, url: entity.url });
+            } else if (PROTECTED_TYPES.has(entity.type)) {
+                protectedRanges.push({ start, end });
+            }
+        });
+
+        for (const match of text.matchAll(URL_RE)) {
+            protectedRanges.push({ start: match.index, end: match.index + match[0].length });
+        }
+
+        // Telegram never overlaps code blocks, but don't trust it
+        verbatim.sort((a, b) => a.start - b.start);
+        const blocks = verbatim.filter((v, i) => i === 0 || v.start >= verbatim[i - 1].end);
+
+        const bullets = this._bullets(text, blocks);
+        const runs = this._runs(text, styles, [...blocks, ...bullets]);
+        return { runs, blocks, quotes, links, bullets, protectedRanges };
+    }
+
+    /** Entity offsets clamped to the text, never splitting a surrogate pair. */
+    _range(text, { offset, length }) {
+        let start = Math.max(0, Math.min(text.length, Number(offset) || 0));
+        let end = Math.max(start, Math.min(text.length, start + (Number(length) || 0)));
+        if (start > 0 && this._isLowSurrogate(text, start) && this._isHighSurrogate(text, start - 1)) start--;
+        if (end < text.length && this._isLowSurrogate(text, end) && this._isHighSurrogate(text, end - 1)) end++;
+        return { start, end };
+    }
+
+    /** Bullet prefixes to rewrite as list items: { start, end, output }. */
+    _bullets(text, blocks) {
+        const bullets = [];
+        for (const lineStart of this._lineStarts(text)) {
+            if (this._inside(blocks, lineStart, true)) continue;
+            const match = BULLET_RE.exec(text.slice(lineStart, lineStart + 16));
+            if (match) bullets.push({ start: lineStart, end: lineStart + match[0].length, output: `${match[1]}- ` });
+        }
+        return bullets;
+    }
+
+    /**
+     * Style ranges → per-line runs that skip `holes` (code, bullets), are trimmed
+     * of whitespace, and are merged when the same marker overlaps itself.
+     */
+    _runs(text, styles, holes) {
+        const runs = [];
+        for (const style of styles) {
+            let pieces = this._splitLines(text, style.start, style.end);
+            for (const hole of holes) pieces = pieces.flatMap(p => this._subtract(p, hole));
+            for (const piece of pieces) {
+                const trimmed = this._trim(text, piece);
+                if (trimmed) runs.push({ ...style, ...trimmed, outerStart: style.start, outerEnd: style.end });
+            }
+        }
+
+        // Same marker twice over the same text would print "**" — merge those
+        runs.sort((a, b) => a.marker.localeCompare(b.marker) || a.start - b.start);
+        const merged = [];
+        for (const run of runs) {
+            const last = merged[merged.length - 1];
+            if (last && last.marker === run.marker && run.start <= last.end && !text.slice(last.end, run.start).includes('\n')) {
+                last.end = Math.max(last.end, run.end);
+                last.outerEnd = Math.max(last.outerEnd, run.outerEnd);
+            } else {
+                merged.push({ ...run });
+            }
+        }
+        return merged;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Rendering                                                         */
+    /* ------------------------------------------------------------------ */
+
+    _render(text, { runs, blocks, quotes, links, bullets, protectedRanges }) {
+        const lineStarts = new Set(this._lineStarts(text));
+        const points = new Set([0, text.length, ...lineStarts, ...links.map(l => l.at)]);
+        for (const range of [...runs, ...blocks, ...bullets, ...protectedRanges]) {
+            points.add(range.start);
+            points.add(range.end);
+        }
+        const sorted = [...points].filter(p => p >= 0 && p <= text.length).sort((a, b) => a - b);
+        const escapes = this._escapeSets(text, runs, blocks, protectedRanges);
+
+        let out = '';
+        const stack = [];
+        // Opened runs whose marker waits for the first non-space character
+        let pending = [];
+        const close = (run) => {
+            if (pending.includes(run)) {
+                pending = pending.filter(r => r !== run);
+                return;
+            }
+            // A marker must hug its text — a run cut short before a space closes before it
+            const trailing = /\s*$/.exec(out)[0];
+            out = out.slice(0, out.length - trailing.length) + run.marker + trailing;
+        };
+        const write = (segment) => {
+            const leading = /^\s*/.exec(segment)[0];
+            if (pending.length === 0 || leading === segment) {
+                out += segment;
+                return;
+            }
+            out += leading + pending.map(r => r.marker).join('') + segment.slice(leading.length);
+            pending = [];
+        };
+
+        for (let i = 0; i < sorted.length; i++) {
+            const at = sorted[i];
+            const next = sorted[i + 1];
+
+            const closing = blocks.find(b => b.end === at);
+            if (closing) out += closing.close;
+
+            // Keep the runs that continue past this point, close the rest (innermost first)
+            const wanted = next === undefined ? [] : runs.filter(r => r.start <= at && r.end >= next).sort(this._nesting);
+            let keep = 0;
+            while (keep < stack.length && keep < wanted.length && stack[keep] === wanted[keep]) keep++;
+            while (stack.length > keep) close(stack.pop());
+
+            for (const link of links) {
+                if (link.at === at) out += ` (${link.url})`;
+            }
+            if (next === undefined) break;
+
+            if (lineStarts.has(at) && this._inside(quotes, at, true) && !this._inside(blocks, at)) out += '> ';
+
+            for (const run of wanted.slice(keep)) {
+                pending.push(run);
+                stack.push(run);
+            }
+
+            const opening = blocks.find(b => b.start === at);
+            if (opening) out += opening.open;
+
+            const bullet = bullets.find(b => b.start <= at && at < b.end);
+            if (bullet) {
+                if (bullet.start === at) out += bullet.output;
+                continue;
+            }
+
+            const segment = text.slice(at, next);
+            if (this._inside(blocks, at, true)) {
+                write(segment.replaceAll('`', CODE_BACKTICK));
+            } else {
+                write(this._inside(protectedRanges, at, true)
+                    ? segment
+                    : this._escape(segment, escapes.get(this._lineOf(text, at))));
+            }
+        }
+        return out;
+    }
+
+    /** Outer runs first: earlier start, then later end, then entity order. */
+    _nesting(a, b) {
+        return a.outerStart - b.outerStart || b.outerEnd - a.outerEnd || a.rank - b.rank;
+    }
+
+    /**
+     * Marker characters to escape, per line (keyed by the line's start offset):
+     * those used by a style on that line, or appearing twice in its plain text.
+     */
+    _escapeSets(text, runs, blocks, protectedRanges) {
+        const sets = new Map();
+        const counts = new Map();
+        for (let i = 0; i < text.length; i++) {
+            if (!MARKER_CHARS.includes(text[i])) continue;
+            if (this._inside(blocks, i, true) || this._inside(protectedRanges, i, true)) continue;
+            const key = `${this._lineOf(text, i)}:${text[i]}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        const add = (line, char) => {
+            if (!sets.has(line)) sets.set(line, new Set());
+            sets.get(line).add(char);
+        };
+        for (const [key, count] of counts) {
+            const [line, char] = [Number(key.slice(0, key.lastIndexOf(':'))), key.slice(key.lastIndexOf(':') + 1)];
+            if (count > 1) add(line, char);
+        }
+        for (const run of runs) {
+            if (MARKER_CHARS.includes(run.marker)) add(this._lineOf(text, run.start), run.marker);
+        }
+        for (const block of blocks) add(this._lineOf(text, block.start), '`');
+        return sets;
+    }
+
+    _escape(segment, chars) {
+        if (!chars?.size) return segment;
+        let out = '';
+        for (const char of segment) out += chars.has(char) ? `${ZWSP}${char}${ZWSP}` : char;
+        return out;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    _lineStarts(text) {
+        const starts = [0];
+        for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+        return starts;
+    }
+
+    /** Offset of the start of the line containing `index`. */
+    _lineOf(text, index) {
+        return text.lastIndexOf('\n', index - 1) + 1;
+    }
+
+    /** [start, end) split at newlines (the newline itself belongs to no piece). */
+    _splitLines(text, start, end) {
+        const pieces = [];
+        let from = start;
+        for (let nl = text.indexOf('\n', start); nl !== -1 && nl < end; nl = text.indexOf('\n', nl + 1)) {
+            pieces.push({ start: from, end: nl });
+            from = nl + 1;
+        }
+        pieces.push({ start: from, end });
+        return pieces.filter(p => p.end > p.start);
+    }
+
+    /** `piece` minus `hole` (zero, one or two pieces). */
+    _subtract(piece, hole) {
+        if (hole.end <= piece.start || hole.start >= piece.end) return [piece];
+        return [
+            { start: piece.start, end: Math.max(piece.start, hole.start) },
+            { start: Math.min(piece.end, hole.end), end: piece.end },
+        ].filter(p => p.end > p.start);
+    }
+
+    _trim(text, { start, end }) {
+        while (start < end && /\s/.test(text[start])) start++;
+        while (end > start && /\s/.test(text[end - 1])) end--;
+        return end > start ? { start, end } : null;
+    }
+
+    /** Whether `index` lies in one of `ranges` (start inclusive when `fromStart`). */
+    _inside(ranges, index, fromStart = false) {
+        return ranges.some(r => (fromStart ? r.start <= index : r.start < index) && index < r.end);
+    }
+
+    _sameUrl(label, url) {
+        const bare = (s) => s.trim().replace(/^https?:\/\//i, '').replace(/\/$/, '').toLowerCase();
+        return bare(label) === bare(url);
+    }
+
+    _isHighSurrogate(text, i) {
+        const code = text.charCodeAt(i);
+        return code >= 0xd800 && code <= 0xdbff;
+    }
+
+    _isLowSurrogate(text, i) {
+        const code = text.charCodeAt(i);
+        return code >= 0xdc00 && code <= 0xdfff;
+    }
+}
@@ -0,0 +1,197 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EntityFormatter } from './EntityFormatter.js';
+import { TextTransformer } from './TextTransformer.js';
+
+const formatter = new EntityFormatter();
+const ZWSP = '\u200B';
+
+/** Telegram entity shorthand: e('bold', 0, 5), e('text_link', 0, 4, { url }) */
+const e = (type, offset, length, extra = {}) => ({ type, offset, length, ...extra });
+
+const convert = (text, entities) => formatter.toWhatsApp(text, entities);
+
+describe('EntityFormatter', () => {
+    describe('plain text', () => {
+        it('returns an empty string for empty or missing text', () => {
+            assert.equal(convert('', [e('bold', 0, 3)]), '');
+            assert.equal(convert(undefined), '');
+        });
+
+        it('leaves text without entities untouched', () => {
+            assert.equal(convert('hello world'), 'hello world');
+            assert.equal(convert('hello world', null), 'hello world');
+        });
+
+        it('drops styles WhatsApp has no markup for', () => {
+            assert.equal(convert('plain @user #tag', [e('underline', 0, 5), e('mention', 6, 5), e('hashtag', 12, 4)]),
+                'plain @user #tag');
+        });
+    });
+
+    describe('inline styles', () => {
+        it('maps bold, italic and strikethrough', () => {
+            assert.equal(convert('a b c', [e('bold', 0, 1), e('italic', 2, 1), e('strikethrough', 4, 1)]), '*a* _b_ ~c~');
+        });
+
+        it('leaves spoilers plain — WhatsApp has no spoiler markup', () => {
+            assert.equal(convert('the end is near', [e('spoiler', 4, 3)]), 'the end is near');
+        });
+
+        it('keeps markers off surrounding whitespace', () => {
+            assert.equal(convert('say hello there', [e('bold', 3, 7)]), 'say *hello* there');
+        });
+
+        it('nests a style inside another', () => {
+            assert.equal(convert('bold italic', [e('bold', 0, 11), e('italic', 5, 6)]), '*bold _italic_*');
+            assert.equal(convert('bold italic', [e('italic', 5, 6), e('bold', 0, 11)]), '*bold _italic_*');
+        });
+
+        it('closes and reopens a style that overlaps another', () => {
+            assert.equal(convert('abc def ghi', [e('bold', 0, 7), e('italic', 4, 7)]), '*abc _def_* _ghi_');
+        });
+
+        it('merges the same style applied twice over overlapping text', () => {
+            assert.equal(convert('aaa bbb', [e('bold', 0, 5), e('bold', 2, 5)]), '*aaa bbb*');
+        });
+
+        it('splits a multi-line style into one run per line', () => {
+            assert.equal(convert('line one\nline two', [e('bold', 0, 17)]), '*line one*\n*line two*');
+            assert.equal(convert('one \n two', [e('bold', 0, 9)]), '*one* \n *two*');
+        });
+
+        it('skips blank lines inside a multi-line style', () => {
+            assert.equal(convert('one\n\ntwo', [e('italic', 0, 8)]), '_one_\n\n_two_');
+        });
+    });
+
+    describe('surrogate pairs', () => {
+        it('widens an entity ending mid-emoji to keep the emoji whole', () => {
+            assert.equal(convert('hi 😀 there', [e('bold', 0, 4)]), '*hi 😀* there');
+        });
+
+        it('widens an entity starting mid-emoji', () => {
+            assert.equal(convert('hi 😀 there', [e('bold', 4, 3)]), 'hi *😀 t*here');
+        });
+
+        it('counts offsets in UTF-16 code units', () => {
+            assert.equal(convert('😀 bold', [e('bold', 3, 4)]), '😀 *bold*');
+        });
+
+        it('clamps entities running past the end of the text', () => {
+            assert.equal(convert('short', [e('bold', 2, 50)]), 'sh*ort*');
+        });
+    });
+
+    describe('marker characters in the text', () => {
+        it('leaves a lone marker alone', () => {
+            assert.equal(convert('price 5*3'), 'price 5*3');
+        });
+
+        it('separates markers that could pair up on their line', () => {
+            assert.equal(convert('a*b and c*d'), `a${ZWSP}*${ZWSP}b and c${ZWSP}*${ZWSP}d`);
+            assert.equal(convert('snake_case_name'), `snake${ZWSP}_${ZWSP}case${ZWSP}_${ZWSP}name`);
+        });
+
+        it('only pairs markers within a line', () => {
+            assert.equal(convert('a*b\nc*d'), 'a*b\nc*d');
+        });
+
+        it('escapes a literal marker inside a run of the same style', () => {
+            assert.equal(convert('x*y', [e('bold', 0, 3)]), `*x${ZWSP}*${ZWSP}y*`);
+        });
+
+        it('never escapes inside code', () => {
+            assert.equal(convert('run a_b_c now', [e('code', 4, 5)]), 'run `a_b_c` now');
+        });
+    });
+
+    describe('code', () => {
+        it('maps single-line code to inline code', () => {
+            assert.equal(convert('run npm_i now', [e('code', 4, 5)]), 'run `npm_i` now');
+        });
+
+        it('maps pre and multi-line code to a block', () => {
+            assert.equal(convert('x\nconst a = 1;', [e('pre', 2, 12, { language: 'js' })]), 'x\n```\nconst a = 1;\n```');
+            assert.equal(convert('a\nb', [e('code', 0, 3)]), '```\na\nb\n```');
+        });
+
+        it('replaces backticks inside code so the span stays closed', () => {
+            assert.equal(convert('use `x` here', [e('code', 4, 3)]), 'use `ˋxˋ` here');
+            assert.equal(convert('a\n```b```', [e('pre', 2, 7)]), 'a\n```\nˋˋˋbˋˋˋ\n```');
+        });
+
+        it('keeps styles out of code', () => {
+            assert.equal(convert('see a_b here', [e('bold', 0, 12), e('code', 4, 3)]), '*see* `a_b` *here*');
+        });
+    });
+
+    describe('blockquotes', () => {
+        it('prefixes every quoted line', () => {
+            assert.equal(convert('before\nquoted a\nquoted b', [e('blockquote', 7, 17)]), 'before\n> quoted a\n> quoted b');
+            assert.equal(convert('folded', [e('expandable_blockquote', 0, 6)]), '> folded');
+        });
+
+        it('keeps a pre block inside a quote unprefixed', () => {
+            assert.equal(convert('quote\ncode here\nend', [e('blockquote', 0, 19), e('pre', 6, 9)]),
+                '> quote\n> ```\ncode here\n```\n> end');
+        });
+
+        it('combines with inline styles', () => {
+            assert.equal(convert('quoted bold', [e('blockquote', 0, 11), e('bold', 7, 4)]), '> quoted *bold*');
+        });
+    });
+
+    describe('lists', () => {
+        it('turns Telegram bullets into list items', () => {
+            assert.equal(convert('• one\n◦ two\n  ▪ three'), '- one\n- two\n  - three');
+        });
+
+        it('keeps bullet characters in the middle of a line', () => {
+            assert.equal(convert('a • b'), 'a • b');
+        });
+
+        it('keeps a style over the item text only', () => {
+            assert.equal(convert('• item', [e('bold', 0, 6)]), '- *item*');
+        });
+    });
+
+    describe('links', () => {
+        it('renders a hidden link as "label (url)"', () => {
+            assert.equal(convert('click here', [e('text_link', 0, 10, { url: 'https://example.com' })]),
+                'click here (https://example.com)');
+        });
+
+        it('prints a text_link once when its label is the url', () => {
+            assert.equal(convert('https://example.com', [e('text_link', 0, 19, { url: 'https://example.com/' })]),
+                'https://example.com');
+            assert.equal(convert('example.com', [e('text_link', 0, 11, { url: 'http://example.com' })]), 'example.com');
+        });
+
+        it('puts the url after a styled label', () => {
+            assert.equal(convert('docs', [e('bold', 0, 4), e('text_link', 0, 4, { url: 'https://d.io' })]), '*docs* (https://d.io)');
+        });
+
+        it('never escapes markers inside url entities', () => {
+            assert.equal(convert('see https://x.com/a_b_c*d*', [e('url', 4, 22)]), 'see https://x.com/a_b_c*d*');
+        });
+
+        it('never escapes markers inside bare urls', () => {
+            assert.equal(convert('https://x.com/a_b_c'), 'https://x.com/a_b_c');
+        });
+
+        it('never escapes markers inside emails', () => {
+            assert.equal(convert('mail first_last_x@x.io', [e('email', 5, 17)]), 'mail first_last_x@x.io');
+        });
+
+        it('leaves no empty brackets when t.me links are stripped afterwards', () => {
+            const body = convert('Join our channel now', [e('text_link', 5, 11, { url: 'https://t.me/mychan' })]);
+            assert.equal(body, 'Join our channel (https://t.me/mychan) now');
+            assert.equal(new TextTransformer().apply(body, [{ type: 'stripTelegramLinks' }], {}), 'Join our channel now');
+        });
+
+        it('keeps a url intact inside a style', () => {
+            assert.equal(convert('see https://x.com/a_b_c', [e('bold', 0, 23), e('url', 4, 19)]), '*see https://x.com/a_b_c*');
+        });
+    });
+});
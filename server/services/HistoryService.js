@@ -0,0 +1,274 @@
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { serialisedWrite, readJsonFile, writeJsonAtomic } from '../db/database.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const HISTORY_FILE = join(__dirname, '..', 'data', 'history.json');
+
+/** Retention used when settings.historyRetention is missing. */
+const DEFAULT_RETENTION = { maxRecords: 10000, maxDays: 30 };
+
+/** Writes are batched — at most one save per this many ms. */
+const SAVE_DELAY_MS = 2000;
+
+/**
+ * HistoryService — persisted audit log of every bridged message and what
+ * happened to it in each target.
+ *
+ * Record shape (array on disk, oldest first):
+ *   { id, direction: 'tg-wa'|'wa-tg', source: { chatId, chatTitle, messageId },
+ *     contentType, excerpt, postedAt, createdAt, updatedAt, status, reason?,
+ *     targets: { [targetId]: { status, at, latencyMs?, error?, messageIds? } } }
+ *
+ * Target status: pending | held | queued | sent | failed | rejected.
+ * Record status: 'filtered', 'failed' before any target was tried, or the
+ * "worst" target status (failed > … > sent).
+ */
+export class HistoryService {
+    /**
+     * @param {object}   io
+     * @param {Function} getSettings  async fn returning current settings (retention)
+     */
+    constructor(io, getSettings) {
+        /** @type {import('socket.io').Server} */
+        this.io = io;
+        this.getSettings = getSettings;
+        this.records = [];
+        /** Map<key, record> — key is "<direction>:<chatId>:<messageId>" */
+        this._index = new Map();
+        this._saveTimer = null;
+        this._outcomeHandlers = [];
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Lifecycle                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Load saved history from disk and apply retention. */
+    async init() {
+        this.records = await readJsonFile(HISTORY_FILE, [], 'History');
+        this._rebuildIndex();
+        await this.prune();
+    }
+
+    /** Write pending changes now (shutdown). */
+    async flush() {
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        await this._save();
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Recording                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Start (or return) the record of a source message.
+     * @param {object} data  { direction, chatId, chatTitle, messageId, contentType, text, postedAt }
+     */
+    begin(data) {
+        const direction = data.direction || 'tg-wa';
+        const key = this._key(direction, data.chatId, data.messageId);
+        const existing = this._index.get(key);
+        if (existing) return existing;
+
+        const text = String(data.text || '');
+        const now = new Date().toISOString();
+        const record = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+            direction,
+            source: { chatId: String(data.chatId), chatTitle: data.chatTitle || '', messageId: String(data.messageId) },
+            contentType: data.contentType || 'text',
+            excerpt: text.length > 200 ? `${text.slice(0, 200)}…` : text,
+            postedAt: data.postedAt || now,
+            createdAt: now,
+            updatedAt: now,
+            status: 'pending',
+            targets: {},
+        };
+        this.records.push(record);
+        this._index.set(key, record);
+        this._scheduleSave();
+        return record;
+    }
+
+    /** Mark a source message as dropped by the content filter. */
+    markFiltered(direction, chatId, messageId, reason) {
+        const record = this._index.get(this._key(direction, chatId, messageId));
+        if (!record) return;
+        record.status = 'filtered';
+        record.reason = reason;
+        record.updatedAt = new Date().toISOString();
+        this._scheduleSave();
+        this._notify(record, null, { status: 'filtered' });
+    }
+
+    /** Mark a source message that failed before any target was tried (e.g. its download). */
+    markFailed(direction, chatId, messageId, error) {
+        const record = this._index.get(this._key(direction, chatId, messageId));
+        if (!record) return;
+        record.status = 'failed';
+        record.reason = String(error);
+        record.updatedAt = new Date().toISOString();
+        this._scheduleSave();
+    }
+
+    /**
+     * Record what happened in one target.
+     * @param {object} outcome  { status, error?, messageId? }
+     */
+    setOutcome(direction, chatId, messageId, targetId, outcome) {
+        const record = this._index.get(this._key(direction, chatId, messageId));
+        if (!record) return;
+
+        const now = new Date();
+        const previous = record.targets[targetId] || {};
+        const target = { ...previous, status: outcome.status, at: now.toISOString() };
+        if (outcome.status === 'sent') {
+            target.latencyMs = now.getTime() - new Date(record.postedAt).getTime();
+            delete target.error;
+        }
+        if (outcome.error) target.error = String(outcome.error);
+        if (outcome.messageId) {
+            target.messageIds = [...new Set([...(previous.messageIds || []), outcome.messageId])];
+        }
+
+        record.targets[targetId] = target;
+        record.status = this._overallStatus(record);
+        record.updatedAt = target.at;
+        this._scheduleSave();
+        this._notify(record, targetId, target);
+    }
+
+    /**
+     * Listen to every recorded outcome: handler(record, targetId, target).
+     * `targetId` is null for messages dropped by the filter.
+     */
+    onOutcome(handler) {
+        this._outcomeHandlers.push(handler);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Query                                                             */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Filtered, newest-first page of records.
+     * @param {object} query  { page, pageSize, direction, chatId, messageId, targetId, status, contentType, q, from, to }
+     * @returns {{ items: object[], total: number, page: number, pageSize: number }}
+     */
+    query(query = {}) {
+        const page = Math.max(1, Number(query.page) || 1);
+        const pageSize = Math.min(200, Math.max(1, Number(query.pageSize) || 50));
+        const q = query.q ? String(query.q).toLowerCase() : '';
+        const from = query.from ? new Date(query.from).getTime() : null;
+        const to = query.to ? new Date(query.to).getTime() : null;
+
+        const matches = this.records.filter(r => {
+            if (query.direction && r.direction !== query.direction) return false;
+            if (query.chatId && r.source.chatId !== String(query.chatId)) return false;
+            if (query.messageId && r.source.messageId !== String(query.messageId)) return false;
+            if (query.contentType && r.contentType !== query.contentType) return false;
+            if (query.targetId && !r.targets[query.targetId]) return false;
+            if (query.status) {
+                // With a target filter, the status applies to that target
+                const status = query.targetId ? r.targets[query.targetId]?.status : r.status;
+                if (status !== query.status) return false;
+            }
+            const at = new Date(r.postedAt).getTime();
+            if (from !== null && at < from) return false;
+            if (to !== null && at > to) return false;
+            if (q && !`${r.excerpt} ${r.source.chatTitle}`.toLowerCase().includes(q)) return false;
+            return true;
+        });
+
+        const total = matches.length;
+        const start = (page - 1) * pageSize;
+        const items = matches.reverse().slice(start, start + pageSize);
+        return { items, total, page, pageSize };
+    }
+
+    /** Number of stored records. */
+    get size() {
+        return this.records.length;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Retention                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Drop records older than maxDays and keep at most maxRecords. */
+    async prune() {
+        const { maxRecords, maxDays } = await this._retention();
+        const before = this.records.length;
+
+        if (maxDays > 0) {
+            const cutoff = Date.now() - maxDays * 24 * 60 * 60 * 1000;
+            this.records = this.records.filter(r => new Date(r.createdAt).getTime() >= cutoff);
+        }
+        if (maxRecords > 0 && this.records.length > maxRecords) {
+            this.records = this.records.slice(this.records.length - maxRecords);
+        }
+
+        if (this.records.length !== before) {
+            this._rebuildIndex();
+            this._scheduleSave();
+        }
+        return before - this.records.length;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    _notify(record, targetId, target) {
+        for (const handler of this._outcomeHandlers) {
+            try {
+                handler(record, targetId, target);
+            } catch (err) {
+                console.error(`[History] outcome handler failed: ${err.message}`);
+            }
+        }
+    }
+
+    _key(direction, chatId, messageId) {
+        return `${direction}:${chatId}:${messageId}`;
+    }
+
+    _rebuildIndex() {
+        this._index.clear();
+        for (const r of this.records) {
+            this._index.set(this._key(r.direction, r.source.chatId, r.source.messageId), r);
+        }
+    }
+
+    /** Worst outcome across targets — what an operator needs to look at first. */
+    _overallStatus(record) {
+        const order = ['failed', 'rejected', 'pending', 'held', 'queued', 'sent'];
+        const statuses = Object.values(record.targets).map(t => t.status);
+        return order.find(s => statuses.includes(s)) || 'pending';
+    }
+
+    async _retention() {
+        try {
+            const settings = await this.getSettings();
+            return { ...DEFAULT_RETENTION, ...(settings.historyRetention || {}) };
+        } catch {
+            return DEFAULT_RETENTION;
+        }
+    }
+
+    _scheduleSave() {
+        if (this._saveTimer) return;
+        this._saveTimer = setTimeout(() => {
+            this._saveTimer = null;
+            this.prune()
+                .then(() => this._save())
+                .catch((err) => console.error(`[History] prune failed: ${err.message}`));
+        }, SAVE_DELAY_MS);
+    }
+
+    _save() {
+        return serialisedWrite(HISTORY_FILE, () => writeJsonAtomic(HISTORY_FILE, this.records), 'History');
+    }
+}
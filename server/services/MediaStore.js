@@ -0,0 +1,257 @@
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createHash, randomBytes } from 'node:crypto';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import fs from 'fs-extra';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MEDIA_DIR = join(__dirname, '..', 'data', 'media');
+const TMP_DIR = join(MEDIA_DIR, 'tmp');
+
+/** Size limit used when settings.mediaMaxBytes is missing (64 MB). */
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+
+/** Unreferenced files younger than this survive GC (still travelling through a live send). */
+const GC_GRACE_MS = 15 * 60 * 1000;
+
+/** How often unreferenced files are collected. */
+const GC_INTERVAL_MS = 30 * 60 * 1000;
+
+const REF_PATTERN = /^[a-f0-9]{64}$/;
+
+/** A file above settings.mediaMaxBytes (size is at least `size` when cut off mid-stream). */
+export class MediaTooLargeError extends Error {
+    constructor(size, limit) {
+        const mb = (n) => (n / 1024 / 1024).toFixed(1);
+        super(`הקובץ גדול מדי (${mb(size)}MB, מקסימום ${mb(limit)}MB)`);
+        this.size = size;
+        this.limit = limit;
+    }
+}
+
+/**
+ * Filesystem path of a file: URL from a local Bot API server. Telegraf keeps
+ * the server's host name in it (file://telegram-bot-api/var/…), which
+ * fileURLToPath rejects — the file is on the shared mount, so drop the host.
+ */
+export function localFilePath(url) {
+    const fileUrl = new URL(url);
+    fileUrl.hostname = '';
+    return fileURLToPath(fileUrl);
+}
+
+/**
+ * MediaStore — content-addressed media files under data/media/<sha256>.
+ *
+ * Payloads carry a reference instead of the file itself:
+ *   media: { ref, mimetype, filename, size }
+ * so queue.json / pending.json stay small, and the same file sent to many
+ * groups (or posted twice) is stored once.
+ *
+ * Files are downloaded as a stream (never fully in memory), rejected above
+ * the size limit, and deleted by `gc()` once no registered source
+ * (queue, dead letters, pending approvals …) references them.
+ */
+export class MediaStore {
+    /**
+     * @param {Function} getSettings  async fn returning settings (mediaMaxBytes)
+     * @param {Function} [logFn]      (message, level) => void
+     */
+    constructor(getSettings, logFn = null) {
+        this.getSettings = getSettings;
+        this._log = logFn || ((msg) => console.log(`[Media] ${msg}`));
+        /** Functions returning the entries (payloads / queue entries) that may reference media */
+        this._sources = [];
+        this._gcTimer = null;
+        /** Bytes fetched by `download()` since startup (metrics) */
+        this.bytesDownloaded = 0;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Lifecycle                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Create the store and drop partial downloads left by a crash. */
+    async init() {
+        await fs.ensureDir(MEDIA_DIR);
+        await fs.emptyDir(TMP_DIR);
+    }
+
+    /**
+     * Register something that holds payloads — `fn` returns an array of
+     * entries with `media` and / or `payloads[].media`.
+     */
+    addSource(fn) {
+        this._sources.push(fn);
+    }
+
+    /** Run `gc()` now and then periodically. */
+    startGc(intervalMs = GC_INTERVAL_MS) {
+        clearInterval(this._gcTimer);
+        const run = () => this.gc().catch((err) => this._log(`❌ ניקוי קבצי מדיה נכשל: ${err.message}`, 'error'));
+        run();
+        this._gcTimer = setInterval(run, intervalMs);
+        this._gcTimer.unref?.();
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Storing                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Stream a URL into the store. file: URLs (a local Bot API server hands
+     * out paths on its own disk) are read from the filesystem.
+     * @returns {Promise<{ ref, mimetype, filename, size }>}
+     */
+    async download(url, { mimetype, filename } = {}) {
+        const maxBytes = await this.maxBytes();
+        if (String(url).startsWith('file:')) {
+            return this._storeLocalFile(localFilePath(url), maxBytes, { mimetype, filename });
+        }
+        const res = await fetch(url);
+        if (!res.ok || !res.body) {
+            throw new Error(`הורדת הקובץ נכשלה (HTTP ${res.status})`);
+        }
+        const declared = Number(res.headers.get('content-length')) || 0;
+        if (declared > maxBytes) {
+            await res.body.cancel().catch(() => { });
+            throw new MediaTooLargeError(declared, maxBytes);
+        }
+        const stored = await this._store(Readable.fromWeb(res.body), maxBytes, { mimetype, filename });
+        this.bytesDownloaded += stored.size;
+        return stored;
+    }
+
+    /**
+     * Store an in-memory buffer (e.g. media WhatsApp already downloaded).
+     * @returns {Promise<{ ref, mimetype, filename, size }>}
+     */
+    async putBuffer(buffer, { mimetype, filename } = {}) {
+        const maxBytes = await this.maxBytes();
+        if (buffer.length > maxBytes) throw new MediaTooLargeError(buffer.length, maxBytes);
+        return this._store(Readable.from([buffer]), maxBytes, { mimetype, filename });
+    }
+
+    /** Largest accepted file (settings.mediaMaxBytes), in bytes. */
+    async maxBytes() {
+        try {
+            const settings = await this.getSettings();
+            return Number(settings.mediaMaxBytes) > 0 ? Number(settings.mediaMaxBytes) : DEFAULT_MAX_BYTES;
+        } catch {
+            return DEFAULT_MAX_BYTES;
+        }
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Reading                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /** File contents for a ref. */
+    async read(ref) {
+        return fs.readFile(this._path(ref));
+    }
+
+    /** Media object with inline base64 `data` (what the WhatsApp client needs). */
+    async resolve(media) {
+        if (!media) return media;
+        const ref = String(media.ref ?? '');
+        const buffer = await this.read(ref).catch(() => {
+            throw new Error(`קובץ המדיה ${ref.slice(0, 12)} לא נמצא במאגר`);
+        });
+        return { mimetype: media.mimetype, filename: media.filename, data: buffer.toString('base64') };
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Garbage collection                                                */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Delete files no source references any more (past the grace period).
+     * @returns {Promise<number>} how many files were removed
+     */
+    async gc() {
+        const referenced = new Set();
+        for (const source of this._sources) {
+            for (const entry of source() || []) {
+                for (const payload of [entry, ...(entry?.payloads || [])]) {
+                    if (payload?.media?.ref) referenced.add(payload.media.ref);
+                }
+            }
+        }
+
+        const cutoff = Date.now() - GC_GRACE_MS;
+        let removed = 0;
+        let freed = 0;
+        for (const name of await fs.readdir(MEDIA_DIR)) {
+            if (!REF_PATTERN.test(name) || referenced.has(name)) continue;
+            const file = join(MEDIA_DIR, name);
+            const stat = await fs.stat(file).catch(() => null);
+            if (!stat || stat.mtimeMs > cutoff) continue;
+            await fs.remove(file);
+            removed++;
+            freed += stat.size;
+        }
+        if (removed) {
+            this._log(`🧹 נמחקו ${removed} קבצי מדיה שאינם בשימוש (${(freed / 1024 / 1024).toFixed(1)}MB)`, 'info');
+        }
+        return removed;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Write a stream to a temp file while hashing it, then move it to its content address. */
+    async _store(stream, maxBytes, { mimetype, filename }) {
+        await fs.ensureDir(TMP_DIR);
+        const tmp = join(TMP_DIR, randomBytes(8).toString('hex'));
+        const hash = createHash('sha256');
+        let size = 0;
+
+        const meter = new Transform({
+            transform: (chunk, _enc, callback) => {
+                size += chunk.length;
+                if (size > maxBytes) return callback(new MediaTooLargeError(size, maxBytes));
+                hash.update(chunk);
+                callback(null, chunk);
+            },
+        });
+
+        try {
+            await pipeline(stream, meter, fs.createWriteStream(tmp));
+        } catch (err) {
+            await fs.remove(tmp);
+            throw err;
+        }
+
+        const ref = hash.digest('hex');
+        const target = this._path(ref);
+        if (await fs.pathExists(target)) {
+            // Same content already stored — keep one copy, refresh its age for GC
+            await fs.remove(tmp);
+            const now = new Date();
+            await fs.utimes(target, now, now);
+        } else {
+            // A concurrent store of the same content may land first — identical bytes, and
+            // rename (same filesystem) replaces atomically, so readers never see it missing
+            await fs.rename(tmp, target);
+        }
+        return { ref, mimetype, filename: filename || 'file', size };
+    }
+
+    async _storeLocalFile(path, maxBytes, meta) {
+        const { size } = await fs.stat(path).catch(() => {
+            throw new Error(`הקובץ ${path} לא נמצא — האם תיקיית שרת ה-Bot API המקומי משותפת?`);
+        });
+        if (size > maxBytes) throw new MediaTooLargeError(size, maxBytes);
+        const stored = await this._store(fs.createReadStream(path), maxBytes, meta);
+        this.bytesDownloaded += stored.size;
+        return stored;
+    }
+
+    _path(ref) {
+        if (!REF_PATTERN.test(String(ref))) throw new Error(`מזהה מדיה לא תקין: ${ref}`);
+        return join(MEDIA_DIR, ref);
+    }
+}
@@ -0,0 +1,136 @@
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { serialisedWrite, readJsonFile, writeJsonAtomic } from '../db/database.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MAP_FILE = join(__dirname, '..', 'data', 'message-map.json');
+
+/** Keep at most this many forwarded Telegram messages in the map. */
+const MAX_ENTRIES = 5000;
+
+/**
+ * MessageMapService — persists which WhatsApp messages were produced
+ * from which Telegram message, so edits / deletions can follow them.
+ *
+ * Shape on disk:
+ *   { "<tgChatId>:<tgMessageId>": { chatId, messageId, origin, createdAt, targets: { [waGroupId]: string[] } } }
+ *
+ * `origin` is 'telegram' for posts forwarded TG → WA and 'whatsapp' for
+ * messages relayed WA → TG (used for loop prevention).
+ */
+export class MessageMapService {
+    constructor(io) {
+        /** @type {import('socket.io').Server} */
+        this.io = io;
+        this.map = {};
+        /** Reverse index — Map<waCoreMessageId, mapKey> */
+        this._waIndex = new Map();
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Lifecycle                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Load saved map from disk. */
+    async init() {
+        this.map = await readJsonFile(MAP_FILE, {}, 'MessageMap');
+        this._rebuildIndex();
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Public API                                                        */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Remember that a Telegram message and a WA message are copies of each other.
+     * @param {'telegram'|'whatsapp'} [origin] side the message was originally posted on
+     */
+    async record(chatId, messageId, waGroupId, waMessageId, origin = 'telegram') {
+        if (!waMessageId) return;
+        const key = this._key(chatId, messageId);
+        const entry = this.map[key] ||= {
+            chatId: String(chatId),
+            messageId: Number(messageId),
+            origin,
+            createdAt: new Date().toISOString(),
+            targets: {},
+        };
+        const ids = entry.targets[waGroupId] ||= [];
+        if (!ids.includes(waMessageId)) ids.push(waMessageId);
+        this._waIndex.set(this._waCoreId(waMessageId), key);
+
+        this._prune();
+        await this._save();
+    }
+
+    /** Return the mapping for a Telegram message (or null). */
+    get(chatId, messageId) {
+        return this.map[this._key(chatId, messageId)] || null;
+    }
+
+    /** Find the mapping that contains a given WA message id (or null). */
+    findByWaMessage(waMessageId) {
+        const key = this._waIndex.get(this._waCoreId(waMessageId));
+        return key ? this.map[key] || null : null;
+    }
+
+    /** Forget a Telegram message. */
+    async remove(chatId, messageId) {
+        const key = this._key(chatId, messageId);
+        if (!this.map[key]) return;
+        this._unindex(this.map[key]);
+        delete this.map[key];
+        await this._save();
+    }
+
+    /** Number of mapped Telegram messages. */
+    get size() {
+        return Object.keys(this.map).length;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    _key(chatId, messageId) {
+        return `${chatId}:${messageId}`;
+    }
+
+    /**
+     * The serialized WA id is "<fromMe>_<chat>_<id>[_<participant>]" and its
+     * fromMe part differs per observing account — index on the core id only.
+     */
+    _waCoreId(waMessageId) {
+        return String(waMessageId).split('_')[2] || String(waMessageId);
+    }
+
+    _rebuildIndex() {
+        this._waIndex.clear();
+        for (const [key, entry] of Object.entries(this.map)) {
+            for (const ids of Object.values(entry.targets || {})) {
+                for (const id of ids) this._waIndex.set(this._waCoreId(id), key);
+            }
+        }
+    }
+
+    _unindex(entry) {
+        for (const ids of Object.values(entry.targets || {})) {
+            for (const id of ids) this._waIndex.delete(this._waCoreId(id));
+        }
+    }
+
+    /** Drop the oldest entries once the map grows past MAX_ENTRIES. */
+    _prune() {
+        const keys = Object.keys(this.map);
+        if (keys.length <= MAX_ENTRIES) return;
+        // Insertion order == chronological order for string keys
+        for (const key of keys.slice(0, keys.length - MAX_ENTRIES)) {
+            this._unindex(this.map[key]);
+            delete this.map[key];
+        }
+    }
+
+    _save() {
+        return serialisedWrite(MAP_FILE, () => writeJsonAtomic(MAP_FILE, this.map), 'MessageMap');
+    }
+}
@@ -0,0 +1,132 @@
+/** Default histogram buckets (seconds) — from a live send to a message held for hours. */
+const LATENCY_BUCKETS = [0.5, 1, 2, 5, 10, 30, 60, 300, 900, 3600, 21600];
+
+/**
+ * MetricsService — minimal Prometheus registry (text exposition format 0.0.4).
+ *
+ * Counters / histograms are updated as events happen; collectors registered
+ * with `addCollector()` run on every scrape to fill in point-in-time values
+ * (queue depth, session status …).
+ */
+export class MetricsService {
+    constructor() {
+        /** Map<name, { type, help, buckets?, values: Map<labelKey, value> }> */
+        this._metrics = new Map();
+        this._collectors = [];
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Definition                                                        */
+    /* ------------------------------------------------------------------ */
+
+    counter(name, help) {
+        return this._define(name, 'counter', help);
+    }
+
+    gauge(name, help) {
+        return this._define(name, 'gauge', help);
+    }
+
+    histogram(name, help, buckets = LATENCY_BUCKETS) {
+        return this._define(name, 'histogram', help, [...buckets].sort((a, b) => a - b));
+    }
+
+    /** Run `fn()` before every scrape (it typically calls set() on gauges). */
+    addCollector(fn) {
+        this._collectors.push(fn);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Updates                                                           */
+    /* ------------------------------------------------------------------ */
+
+    inc(name, labels = {}, value = 1) {
+        const metric = this._metrics.get(name);
+        const key = this._labelKey(labels);
+        metric.values.set(key, (metric.values.get(key) || 0) + value);
+    }
+
+    /** Set a gauge (or a counter mirrored from a service's own running total). */
+    set(name, labels = {}, value = 0) {
+        this._metrics.get(name).values.set(this._labelKey(labels), value);
+    }
+
+    /** Drop every series of a gauge (before a collector re-fills it). */
+    reset(name) {
+        this._metrics.get(name).values.clear();
+    }
+
+    observe(name, labels = {}, value = 0) {
+        const metric = this._metrics.get(name);
+        const key = this._labelKey(labels);
+        let series = metric.values.get(key);
+        if (!series) {
+            series = { buckets: metric.buckets.map(() => 0), sum: 0, count: 0 };
+            metric.values.set(key, series);
+        }
+        metric.buckets.forEach((le, i) => {
+            if (value <= le) series.buckets[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Exposition                                                        */
+    /* ------------------------------------------------------------------ */
+
+    /** Prometheus text format. */
+    async render() {
+        for (const collect of this._collectors) {
+            try {
+                await collect();
+            } catch (err) {
+                console.error(`[Metrics] collector failed: ${err.message}`);
+            }
+        }
+
+        const lines = [];
+        for (const [name, metric] of this._metrics) {
+            lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+            for (const [key, value] of metric.values) {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${name}${this._labels(key)} ${value}`);
+                    continue;
+                }
+                metric.buckets.forEach((le, i) => {
+                    lines.push(`${name}_bucket${this._labels(key, { le: String(le) })} ${value.buckets[i]}`);
+                });
+                lines.push(`${name}_bucket${this._labels(key, { le: '+Inf' })} ${value.count}`);
+                lines.push(`${name}_sum${this._labels(key)} ${value.sum}`);
+                lines.push(`${name}_count${this._labels(key)} ${value.count}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    _define(name, type, help, buckets = null) {
+        if (!this._metrics.has(name)) {
+            this._metrics.set(name, { type, help, buckets, values: new Map() });
+        }
+        return name;
+    }
+
+    /** Stable key for a label set (sorted by label name). */
+    _labelKey(labels) {
+        return JSON.stringify(Object.entries(labels)
+            .filter(([, v]) => v !== undefined && v !== null)
+            .map(([k, v]) => [k, String(v)])
+            .sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    _labels(key, extra = {}) {
+        const pairs = [...JSON.parse(key), ...Object.entries(extra)];
+        if (pairs.length === 0) return '';
+        const escape = (v) => v.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return `{${pairs.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+    }
+}
@@ -0,0 +1,137 @@
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { serialisedWrite, readJsonFile, writeJsonAtomic } from '../db/database.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PENDING_FILE = join(__dirname, '..', 'data', 'pending.json');
+
+/**
+ * ModerationService — holds posts from moderated channels / routes until a
+ * human approves or rejects them (REST, dashboard or the Telegram admin chat).
+ *
+ * Shape on disk (array, oldest first):
+ *   { id, createdAt, source: { chatId, messageId }, chatTitle,
+ *     targets: [{ groupId, delayMs }], payloads: [payload], adminMessage? }
+ *
+ * An album is a single pending item with several payloads.
+ */
+export class ModerationService {
+    constructor(io) {
+        /** @type {import('socket.io').Server} */
+        this.io = io;
+        this.items = [];
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Lifecycle                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Load pending items from disk. */
+    async init() {
+        this.items = await readJsonFile(PENDING_FILE, [], 'Moderation');
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Public API                                                        */
+    /* ------------------------------------------------------------------ */
+
+    /** Park a post for approval. */
+    async add({ source, chatTitle = '', targets, payloads }) {
+        const item = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+            createdAt: new Date().toISOString(),
+            source,
+            chatTitle,
+            targets,
+            payloads,
+        };
+        this.items.push(item);
+        await this._save();
+        this._emit('added', { item: this.summary(item), count: this.items.length });
+        return item;
+    }
+
+    /** Summaries of every pending item (no media data). */
+    list() {
+        return this.items.map(item => this.summary(item));
+    }
+
+    /** Full pending item (including media) or null. */
+    get(id) {
+        return this.items.find(i => i.id === id) || null;
+    }
+
+    /**
+     * Replace the text of one payload (default: the first one that has text — the album caption).
+     * @returns {object | null} updated item
+     */
+    async updateText(id, text, index = null) {
+        const item = this.get(id);
+        if (!item) return null;
+        const target = index !== null && index !== undefined
+            ? item.payloads[Number(index)]
+            : item.payloads.find(p => p.text) || item.payloads[0];
+        if (!target) throw new Error('פריט לא קיים בהודעה');
+
+        target.text = String(text ?? '');
+        await this._save();
+        this._emit('updated', { item: this.summary(item) });
+        return item;
+    }
+
+    /** Remember the admin-chat message that offers approve / reject buttons. */
+    async setAdminMessage(id, adminMessage) {
+        const item = this.get(id);
+        if (!item) return;
+        item.adminMessage = adminMessage;
+        await this._save();
+    }
+
+    /**
+     * Remove an item and return it — whoever takes it first decides,
+     * so a double click (or REST + Telegram at once) acts only once.
+     * @param {'approved'|'rejected'} decision
+     */
+    async take(id, decision) {
+        const index = this.items.findIndex(i => i.id === id);
+        if (index === -1) return null;
+        const [item] = this.items.splice(index, 1);
+        await this._save();
+        this._emit('removed', { id, decision, count: this.items.length });
+        return item;
+    }
+
+    /** Re-send the whole list, e.g. after a dashboard acted on an item that was already handled. */
+    broadcast() {
+        this._emit('list', { items: this.list(), count: this.items.length });
+    }
+
+    /** Number of pending items. */
+    get length() {
+        return this.items.length;
+    }
+
+    /** Lightweight view of an item for lists and socket events. */
+    summary(item) {
+        return {
+            id: item.id,
+            createdAt: item.createdAt,
+            source: item.source,
+            chatTitle: item.chatTitle,
+            targets: item.targets.map(t => t.groupId),
+            items: item.payloads.map(p => ({ text: p.text || '', mimetype: p.media?.mimetype || null })),
+        };
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    _emit(event, data) {
+        if (this.io) this.io.emit(`moderation:${event}`, data);
+    }
+
+    _save() {
+        return serialisedWrite(PENDING_FILE, () => writeJsonAtomic(PENDING_FILE, this.items), 'Moderation');
+    }
+}
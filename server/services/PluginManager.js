@@ -0,0 +1,226 @@
+import { join, dirname, basename, extname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import fs from 'fs-extra';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PLUGINS_DIR = process.env.PLUGINS_DIR || join(__dirname, '..', 'plugins');
+
+/** Hooks a plugin may implement, in pipeline order. */
+export const PLUGIN_HOOKS = ['onIncoming', 'transformPayload', 'beforeSend', 'afterSend', 'onStatusChange'];
+
+/** A hook that hasn't settled by then is abandoned — delivery goes on without it. */
+const HOOK_TIMEOUT_MS = 5000;
+
+/**
+ * PluginManager — in-house behaviour for the Telegram → WhatsApp pipeline
+ * without patching the bridge.
+ *
+ * Plugins are ES modules in plugins/ (or PLUGINS_DIR): `<name>.js` / `.mjs`,
+ * or a `<name>/index.js` folder. The default export is an object, or a
+ * function returning one:
+ *
+ *   export default {
+ *     name: 'my-plugin',            // optional, defaults to the file name
+ *     description: '…',
+ *     defaults: { … },              // config used when settings have none
+ *     init(api) { },                // once, after loading
+ *
+ *     onIncoming(ctx, api)          // Telegraf ctx of a source post; return false to drop it
+ *     transformPayload(payload, route, api)
+ *                                   // built payload { text, media?, content?, … } and the
+ *                                   // route of the source channel; return the new payload
+ *                                   // (plain JSON — it may be queued), null to drop it,
+ *                                   // undefined to keep it
+ *     beforeSend(target, payload, api)
+ *                                   // once per WhatsApp group; same return rules, null skips the group
+ *     afterSend(result, api)        // { target, payload, messageId?, error? }
+ *     onStatusChange(event, api)    // { source: 'whatsapp' | 'telegram', id, status, error? }
+ *   };
+ *
+ * `api` = { name, config, log(message, level) }. Config lives in
+ * settings.plugins[name] = { enabled, config } and is re-read on every call.
+ *
+ * Every call is isolated: a throw or a hook slower than 5s is logged,
+ * counted, and the pipeline continues with the value it had. Hooks get a
+ * copy of the payload, so changing it in place has no effect — return it.
+ */
+export class PluginManager {
+    /**
+     * @param {Function} getSettings  async fn returning settings (plugins)
+     * @param {Function} [logFn]      (message, level) => void
+     */
+    constructor(getSettings, logFn = null) {
+        this.getSettings = getSettings;
+        this._log = logFn || ((msg) => console.log(`[Plugins] ${msg}`));
+        /** @type {Array<{ name, file, entry, module, error, errors, lastError }>} */
+        this.plugins = [];
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Loading                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /** Import every plugin in the plugins directory. A broken file is skipped. */
+    async load(dir = PLUGINS_DIR) {
+        if (!(await fs.pathExists(dir))) return;
+
+        for (const entry of (await fs.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+            const file = this._entryFile(dir, entry);
+            if (!file || !(await fs.pathExists(file))) continue;
+
+            const fallbackName = entry.isDirectory() ? entry.name : basename(entry.name, extname(entry.name));
+            const plugin = { name: fallbackName, file, entry: entry.name, module: null, error: null, errors: 0, lastError: null };
+            try {
+                const exported = (await import(pathToFileURL(file).href)).default;
+                const module = typeof exported === 'function' ? await exported() : exported;
+                if (!module || typeof module !== 'object') throw new Error('אין ייצוא ברירת מחדל (export default)');
+                plugin.module = module;
+                plugin.name = String(module.name || fallbackName);
+                if (this.plugins.some(p => p.name === plugin.name)) throw new Error(`שם התוסף ${plugin.name} כבר בשימוש`);
+                if (typeof module.init === 'function') await this._withTimeout(module.init(await this._api(plugin)));
+                this._log(`🧩 תוסף נטען: ${plugin.name} (${this.hooksOf(plugin).join(', ') || 'ללא hooks'})`, 'success');
+            } catch (err) {
+                plugin.error = err.message;
+                this._log(`❌ טעינת התוסף ${plugin.name} נכשלה: ${err.message}`, 'error');
+            }
+            this.plugins.push(plugin);
+        }
+    }
+
+    /** Plugin list for the dashboard. */
+    async list() {
+        const settings = await this._settings();
+        return this.plugins.map(p => ({
+            name: p.name,
+            file: p.entry,
+            description: p.module?.description || '',
+            version: p.module?.version || '',
+            hooks: this.hooksOf(p),
+            defaults: p.module?.defaults || {},
+            enabled: !p.error && settings[p.name]?.enabled !== false,
+            loadError: p.error,
+            errors: p.errors,
+            lastError: p.lastError,
+        }));
+    }
+
+    hooksOf(plugin) {
+        return PLUGIN_HOOKS.filter(h => typeof plugin.module?.[h] === 'function');
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Hooks                                                             */
+    /* ------------------------------------------------------------------ */
+
+    /** Whether every plugin lets the post through. */
+    async onIncoming(ctx) {
+        for (const plugin of await this._active('onIncoming')) {
+            const { ok, value } = await this._call(plugin, 'onIncoming', [ctx]);
+            if (ok && value === false) {
+                this._log(`🧩 התוסף ${plugin.name} עצר הודעה ${(ctx.message || ctx.channelPost)?.message_id ?? ''}`, 'info');
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /** Payload after every plugin's transformPayload; null when one dropped it. */
+    async transformPayload(payload, route) {
+        return this._chain('transformPayload', payload, (current) => [current, structuredClone(route)]);
+    }
+
+    /** Payload for one target after every plugin's beforeSend; null skips the target. */
+    async beforeSend(target, payload) {
+        return this._chain('beforeSend', payload, (current) => [target, current]);
+    }
+
+    async afterSend(result) {
+        // The same payload goes on to the other targets — copy it before anything else runs
+        const payload = structuredClone(result.payload);
+        for (const plugin of await this._active('afterSend')) {
+            await this._call(plugin, 'afterSend', [{ ...result, payload: structuredClone(payload) }]);
+        }
+    }
+
+    async onStatusChange(event) {
+        for (const plugin of await this._active('onStatusChange')) {
+            await this._call(plugin, 'onStatusChange', [event]);
+        }
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Pass `value` through each plugin's `hook`. undefined keeps the value,
+     * null / false drops it (stops the chain), a failing plugin is skipped.
+     *
+     * Each plugin works on its own copy: a hook that timed out keeps running,
+     * and must not change a payload that has since been queued or sent.
+     */
+    async _chain(hook, value, args) {
+        let current = value;
+        for (const plugin of await this._active(hook)) {
+            const { ok, value: next } = await this._call(plugin, hook, args(structuredClone(current)));
+            if (!ok || next === undefined) continue;
+            if (next === null || next === false) {
+                this._log(`🧩 התוסף ${plugin.name} עצר את ההודעה (${hook})`, 'info');
+                return null;
+            }
+            current = next;
+        }
+        return current;
+    }
+
+    async _call(plugin, hook, args) {
+        try {
+            const value = await this._withTimeout(plugin.module[hook](...args, await this._api(plugin)));
+            return { ok: true, value };
+        } catch (err) {
+            plugin.errors++;
+            plugin.lastError = { hook, message: err.message, at: new Date().toISOString() };
+            this._log(`❌ התוסף ${plugin.name} נכשל ב-${hook}: ${err.message} — ממשיך בלעדיו`, 'error');
+            return { ok: false };
+        }
+    }
+
+    _withTimeout(result) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`לא הסתיים תוך ${HOOK_TIMEOUT_MS / 1000} שניות`)), HOOK_TIMEOUT_MS);
+        });
+        return Promise.race([Promise.resolve(result), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /** Loaded, enabled plugins implementing `hook`. */
+    async _active(hook) {
+        const withHook = this.plugins.filter(p => !p.error && typeof p.module[hook] === 'function');
+        if (withHook.length === 0) return withHook;
+        const settings = await this._settings();
+        return withHook.filter(p => settings[p.name]?.enabled !== false);
+    }
+
+    async _api(plugin) {
+        const settings = await this._settings();
+        return {
+            name: plugin.name,
+            config: { ...plugin.module.defaults, ...settings[plugin.name]?.config },
+            log: (message, level = 'info') => this._log(`🧩 [${plugin.name}] ${message}`, level),
+        };
+    }
+
+    async _settings() {
+        try {
+            return (await this.getSettings())?.plugins || {};
+        } catch {
+            return {};
+        }
+    }
+
+    _entryFile(dir, entry) {
+        if (entry.name.startsWith('.') || entry.name.startsWith('_')) return null;
+        if (entry.isDirectory()) return join(dir, entry.name, 'index.js');
+        return ['.js', '.mjs'].includes(extname(entry.name)) ? join(dir, entry.name) : null;
+    }
+}
@@ -1,20 +1,67 @@
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
-import fs from 'fs-extra';
+import { serialisedWrite, readJsonFile, writeJsonAtomic } from '../db/database.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const QUEUE_FILE = join(__dirname, '..', 'data', 'queue.json');
+const DATA_DIR = join(__dirname, '..', 'data');
+
+/** Longest single timer wait — re-armed until the release time (setTimeout caps at ~24.8 days). */
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+/** Retry policy used when settings are unavailable (same as the settings defaults). */
+const DEFAULT_RETRY_POLICY = { autoRetry: true, retryIntervalMs: 5000, maxRetries: 10 };
+
+/** Upper bound of the exponential back-off between retries (unless retryIntervalMs is larger). */
+const MAX_BACKOFF_MS = 30_000;
 
 /**
  * QueueService — persists Telegram messages when WhatsApp is offline,
  * then flushes them once the WA client reconnects.
+ *
+ * Entries with a `notBefore` ISO timestamp (delivery windows / route delays)
+ * are held until that time; a release handler registered via `onRelease()`
+ * is called when the earliest held entry becomes due.
+ *
+ * Operators can cancel, purge or reorder entries and pause delivery; every
+ * change is emitted as `<prefix>:<event>` so all dashboards stay in sync.
+ *
+ * Failed sends are retried per settings.autoRetry / retryIntervalMs /
+ * maxRetries, with an exponential back-off held by `notBefore` (other entries
+ * keep flowing meanwhile); entries that run out of retries move to the
+ * dead-letter store.
+ *
+ * The same class backs the reverse (WhatsApp → Telegram) queue; pass a
+ * different file / event prefix / log category to keep them apart.
  */
 export class QueueService {
-    constructor(io) {
+    /**
+     * @param {object} io
+     * @param {object} [options]
+     * @param {string} [options.fileName='queue.json']  file inside data/
+     * @param {string} [options.eventPrefix='queue']    socket event prefix (`<prefix>:added` …)
+     * @param {string} [options.category='QUEUE']       log category
+     * @param {Function} [options.getSettings]          async fn returning settings (retry policy)
+     * @param {import('./DeadLetterService.js').DeadLetterService} [options.deadLetter]  where exhausted entries go
+     * @param {number} [options.sendGapMs=1500]  pause between flushed messages (0 when a SendScheduler paces them)
+     */
+    constructor(io, {
+        fileName = 'queue.json', eventPrefix = 'queue', category = 'QUEUE',
+        getSettings = null, deadLetter = null, sendGapMs = 1500,
+    } = {}) {
         /** @type {import('socket.io').Server} */
         this.io = io;
+        this.file = join(DATA_DIR, fileName);
+        this.eventPrefix = eventPrefix;
+        this.category = category;
+        this.getSettings = getSettings;
+        this.deadLetter = deadLetter;
+        this.sendGapMs = sendGapMs;
         this.queue = [];
         this.isFlushing = false;
+        this.paused = false;
+        this._releaseHandler = null;
+        this._releaseTimer = null;
+        this._releasePending = false;
     }
 
     /* ------------------------------------------------------------------ */
@@ -23,14 +70,15 @@ export class QueueService {
 
     /** Load saved queue from disk. */
     async init() {
-        try {
-            await fs.ensureFile(QUEUE_FILE);
-            const raw = await fs.readFile(QUEUE_FILE, 'utf-8');
-            this.queue = raw ? JSON.parse(raw) : [];
-        } catch {
-            this.queue = [];
-        }
-        this._emit('queue:loaded', { count: this.queue.length });
+        this.queue = await readJsonFile(this.file, [], this.category);
+        this._emit('loaded', { count: this.queue.length });
+        this._armReleaseTimer();
+    }
+
+    /** Called (with no arguments) whenever a held entry reaches its `notBefore` time. */
+    onRelease(handler) {
+        this._releaseHandler = handler;
+        this._armReleaseTimer();
     }
 
     /* ------------------------------------------------------------------ */
@@ -46,56 +94,228 @@ export class QueueService {
             ...message,
         };
         this.queue.push(entry);
-        await this._save();
-        this._emit('queue:added', { id: entry.id, count: this.queue.length });
-        this._log(`📥 הודעה נוספה לתור (${this.queue.length} בתור)`, 'info');
+        try {
+            await this._save();
+        } catch (err) {
+            // Not on disk → not queued; the caller decides what to do with the message
+            this._remove(entry);
+            throw err;
+        }
+        this._emit('added', { id: entry.id, count: this.queue.length, notBefore: entry.notBefore || null });
+        if (entry.notBefore) {
+            this._log(`⏰ הודעה נוספה לתור — תשוחרר ב-${new Date(entry.notBefore).toLocaleString('he-IL')} (${this.queue.length} בתור)`, 'info');
+            this._armReleaseTimer();
+        } else {
+            this._log(`📥 הודעה נוספה לתור (${this.queue.length} בתור)`, 'info');
+        }
         return entry;
     }
 
+    /**
+     * Park a message whose immediate send failed: queued for a retry after
+     * retryIntervalMs, or straight to the dead-letter store when auto-retry is off.
+     * @returns {Promise<'queued'|'dead'>}
+     */
+    async enqueueFailed(message, error) {
+        const policy = await this._retryPolicy();
+        const entry = { retries: 1, ...message, lastError: String(error?.message ?? error ?? '') };
+        if (!policy.autoRetry || policy.maxRetries <= 1) {
+            await this._deadLetter({
+                id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+                timestamp: new Date().toISOString(),
+                ...entry,
+            }, error);
+            return 'dead';
+        }
+        await this.enqueue({ ...entry, notBefore: new Date(Date.now() + policy.retryIntervalMs).toISOString() });
+        return 'queued';
+    }
+
+    /**
+     * Move dead letters back into the queue with a fresh retry budget.
+     * @param {string[]} [ids]  omitted = all of them
+     * @returns {Promise<number>} how many were re-queued
+     */
+    async retryDead(ids) {
+        if (!this.deadLetter) return 0;
+        const items = await this.deadLetter.take(ids, 'retried');
+        for (const { failedAt, lastError, attempts, notBefore, ...entry } of items) {
+            await this.enqueue({ ...entry, retries: 0 });
+        }
+        if (items.length) this._log(`🔁 ${items.length} הודעות הוחזרו לתור מרשימת הכישלונות`, 'info');
+        return items.length;
+    }
+
+    /**
+     * Hold due entries that must not go out yet — e.g. queued while WhatsApp was
+     * offline and their group's delivery window has closed since.
+     * @param {(entry: object) => Date|null} releaseFor  when the entry may be sent, or null for now
+     * @returns {Promise<number>} how many entries were held
+     */
+    async hold(releaseFor) {
+        const now = Date.now();
+        let held = 0;
+        for (const entry of this.queue) {
+            if (!this.isDue(entry, now)) continue;
+            const release = releaseFor(entry);
+            if (!release) continue;
+            entry.notBefore = release.toISOString();
+            held++;
+        }
+        if (held === 0) return 0;
+        await this._save();
+        this._armReleaseTimer();
+        this._log(`⏰ ${held} הודעות מוחזקות בתור עד לפתיחת חלון השליחה`, 'info');
+        return held;
+    }
+
     /** Remove and return the oldest message. */
     async dequeue() {
         if (this.queue.length === 0) return null;
         const entry = this.queue.shift();
         await this._save();
-        this._emit('queue:removed', { id: entry.id, count: this.queue.length });
+        this._emit('removed', { id: entry.id, count: this.queue.length });
+        return entry;
+    }
+
+    /**
+     * Cancel one entry.
+     * @returns {Promise<object | null>} the removed entry
+     */
+    async remove(id) {
+        const entry = this.queue.find(e => e.id === id);
+        if (!entry) return null;
+        this._remove(entry);
+        await this._save();
+        this._armReleaseTimer();
+        this._emit('removed', { id, count: this.queue.length, reason: 'cancelled' });
+        this._log(`🗑️ הודעה ${id} בוטלה והוסרה מהתור`, 'info');
+        return entry;
+    }
+
+    /**
+     * Cancel every entry for one target chat / group.
+     * @returns {Promise<number>} how many were removed
+     */
+    async purge(chatId) {
+        const removed = this.queue.filter(e => String(e.chatId) === String(chatId));
+        if (removed.length === 0) return 0;
+        this.queue = this.queue.filter(e => !removed.includes(e));
+        await this._save();
+        this._armReleaseTimer();
+        this._emit('purged', { chatId: String(chatId), ids: removed.map(e => e.id), count: this.queue.length });
+        this._log(`🗑️ ${removed.length} הודעות ל-${chatId} הוסרו מהתור`, 'info');
+        return removed.length;
+    }
+
+    /**
+     * Move an entry to the head of the queue (it is sent next once due).
+     * @returns {Promise<object | null>} the moved entry
+     */
+    async moveToFront(id) {
+        const entry = this.queue.find(e => e.id === id);
+        if (!entry) return null;
+        this._remove(entry);
+        this.queue.unshift(entry);
+        await this._save();
+        this._emit('reordered', { ids: this.queue.map(e => e.id), count: this.queue.length });
+        this._log(`⏫ הודעה ${id} הועברה לראש התור`, 'info');
         return entry;
     }
 
-    /** Flush all queued messages via the provided sender function. */
-    async flush(sendFn) {
-        if (this.isFlushing || this.queue.length === 0) return;
+    /** Stop sending from the queue (a flush in progress stops after its current message). */
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this._emit('paused', { paused: true, count: this.queue.length });
+        this._log('⏸️ שליחת התור הושהתה', 'warning');
+    }
+
+    /** Resume sending and flush whatever is ready. */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this._emit('paused', { paused: false, count: this.queue.length });
+        this._log('▶️ שליחת התור חודשה', 'info');
+        if (this.queue.length) this._release();
+    }
+
+    /**
+     * Flush queued messages via the provided sender function.
+     * @param {(entry: object) => Promise<any>} sendFn  resolves to `false` when the entry was
+     *        dropped on purpose (e.g. by a plugin) — it leaves the queue as filtered, not sent
+     * @param {(entry: object) => boolean} [canSend]  only entries passing this are sent;
+     *        re-checked before every message (e.g. only groups whose WA session is ready).
+     *        Entries held by `notBefore` are skipped until they are due.
+     */
+    async flush(sendFn, canSend = () => true) {
+        const ready = (entry) => this.isDue(entry) && canSend(entry);
+        if (this.paused || this.isFlushing || !this.queue.some(ready)) return;
 
         this.isFlushing = true;
-        this._log(`🔄 מתחיל שליחת ${this.queue.length} הודעות מהתור...`, 'info');
-
-        while (this.queue.length > 0) {
-            const entry = this.queue[0];
-            try {
-                await sendFn(entry);
-                this.queue.shift(); // success → remove
-                await this._save();
-                this._emit('queue:sent', { id: entry.id, remaining: this.queue.length });
-                this._log(`✅ הודעה ${entry.id} נשלחה מהתור`, 'success');
-
-                // Small delay between messages to avoid rate-limiting
-                await this._sleep(1500);
-            } catch (err) {
-                entry.retries = (entry.retries || 0) + 1;
-                if (entry.retries >= 10) {
-                    this.queue.shift(); // give up after 10 retries
-                    this._log(`❌ הודעה ${entry.id} נכשלה אחרי 10 ניסיונות — נמחקת`, 'error');
-                } else {
-                    this._log(`⚠️ ניסיון ${entry.retries}/10 נכשל ל-${entry.id}: ${err.message}`, 'warning');
-                    // Exponential back-off (capped at 30s)
-                    const delay = Math.min(1000 * 2 ** entry.retries, 30_000);
-                    await this._sleep(delay);
+        try {
+            const policy = await this._retryPolicy();
+            this._log(`🔄 מתחיל שליחת ${this.queue.filter(ready).length} הודעות מהתור...`, 'info');
+
+            let entry;
+            while (!this.paused && (entry = this.queue.find(ready))) {
+                try {
+                    const result = await sendFn(entry);
+                    this._remove(entry); // success → remove
+                    await this._saveOrLog();
+                    if (result === false) {
+                        this._emit('removed', { id: entry.id, count: this.queue.length, reason: 'filtered' });
+                        this._log(`🚫 הודעה ${entry.id} סוננה ולא נשלחה מהתור`, 'info');
+                        continue;
+                    }
+                    this._emit('sent', { id: entry.id, remaining: this.queue.length });
+                    this._log(`✅ הודעה ${entry.id} נשלחה מהתור`, 'success');
+
+                    // Small delay between messages to avoid rate-limiting
+                    if (this.sendGapMs) await this._sleep(this.sendGapMs);
+                } catch (err) {
+                    if (!this.queue.includes(entry)) continue; // cancelled while it was being sent
+                    entry.retries = (entry.retries || 0) + 1;
+                    entry.lastError = err.message;
+                    if (!policy.autoRetry || entry.retries >= policy.maxRetries) {
+                        this._remove(entry);
+                        await this._deadLetter(entry, err);
+                    } else {
+                        // Exponential back-off from retryIntervalMs (capped) — held by notBefore so
+                        // the other due entries go on; the release timer brings this one back
+                        const delay = Math.min(
+                            policy.retryIntervalMs * 2 ** (entry.retries - 1),
+                            Math.max(MAX_BACKOFF_MS, policy.retryIntervalMs),
+                        );
+                        entry.notBefore = new Date(Date.now() + delay).toISOString();
+                        this._log(`⚠️ ניסיון ${entry.retries}/${policy.maxRetries} נכשל ל-${entry.id}: ${err.message} — ניסיון נוסף בעוד ${Math.round(delay / 1000)} שניות`, 'warning');
+                    }
+                    await this._saveOrLog();
                 }
-                await this._save();
             }
+        } catch (err) {
+            this._log(`❌ שגיאה בשליחת התור: ${err.message}`, 'error');
+        } finally {
+            this.isFlushing = false;
+            this._armReleaseTimer();
+            if (this._releasePending) this._release();
         }
 
-        this.isFlushing = false;
-        this._log('✅ תור ההודעות רוקן בהצלחה', 'success');
+        const held = this.queue.filter(e => !this.isDue(e)).length;
+        if (this.paused) {
+            this._log(`⏸️ השליחה הושהתה — ${this.queue.length} הודעות נותרו בתור`, 'info');
+        } else if (this.queue.length === 0) {
+            this._log('✅ תור ההודעות רוקן בהצלחה', 'success');
+        } else if (held === this.queue.length) {
+            this._log(`⏰ ${held} הודעות מוחזקות בתור עד לחלון השליחה או לניסיון הבא`, 'info');
+        } else {
+            this._log(`⏸️ ${this.queue.length} הודעות נותרו בתור (ממתינות לחיבור${held ? `, ${held} עד לחלון השליחה או לניסיון הבא` : ''})`, 'info');
+        }
+    }
+
+    /** Whether an entry's `notBefore` time (if any) has passed. */
+    isDue(entry, now = Date.now()) {
+        return !entry.notBefore || new Date(entry.notBefore).getTime() <= now;
     }
 
     /** Return current queue length. */
@@ -112,18 +332,89 @@ export class QueueService {
     /*  Internals                                                         */
     /* ------------------------------------------------------------------ */
 
-    async _save() {
-        await fs.ensureFile(QUEUE_FILE);
-        await fs.writeJson(QUEUE_FILE, this.queue, { spaces: 2 });
+    /** Retry settings (autoRetry / retryIntervalMs / maxRetries) with sane bounds. */
+    async _retryPolicy() {
+        let settings = {};
+        try {
+            settings = (await this.getSettings?.()) || {};
+        } catch { /* fall back to defaults */ }
+        return {
+            autoRetry: settings.autoRetry ?? DEFAULT_RETRY_POLICY.autoRetry,
+            retryIntervalMs: Math.max(0, Number(settings.retryIntervalMs ?? DEFAULT_RETRY_POLICY.retryIntervalMs) || 0),
+            maxRetries: Math.max(1, Number(settings.maxRetries) || DEFAULT_RETRY_POLICY.maxRetries),
+        };
+    }
+
+    /** Hand an entry that won't be retried any more to the dead-letter store (or drop it). */
+    async _deadLetter(entry, err) {
+        if (!this.deadLetter) {
+            this._log(`❌ הודעה ${entry.id} נכשלה אחרי ${entry.retries} ניסיונות — נמחקת`, 'error');
+            return;
+        }
+        await this.deadLetter.add(entry, err);
+        this._emit('dead', { id: entry.id, count: this.queue.length, deadCount: this.deadLetter.length });
+        this._log(`☠️ הודעה ${entry.id} נכשלה אחרי ${entry.retries} ניסיונות — הועברה לרשימת הכישלונות: ${err?.message ?? err}`, 'error');
+    }
+
+    /** Schedule the release handler for the earliest held entry. */
+    _armReleaseTimer() {
+        clearTimeout(this._releaseTimer);
+        this._releaseTimer = null;
+        if (!this._releaseHandler) return;
+
+        const now = Date.now();
+        const next = Math.min(...this.queue
+            .filter(e => !this.isDue(e, now))
+            .map(e => new Date(e.notBefore).getTime()));
+        if (!Number.isFinite(next)) return;
+
+        const wait = Math.min(next - now, MAX_TIMER_MS);
+        this._releaseTimer = setTimeout(() => {
+            this._releaseTimer = null;
+            if (Date.now() < next) {
+                this._armReleaseTimer();
+                return;
+            }
+            this._log('⏰ חלון שליחה נפתח — משחרר הודעות מהתור', 'info');
+            this._release();
+        }, wait);
+        this._releaseTimer.unref?.();
+    }
+
+    /** Run the release handler — deferred to the end of a flush already in progress. */
+    _release() {
+        if (this.isFlushing) {
+            this._releasePending = true;
+            return;
+        }
+        this._releasePending = false;
+        Promise.resolve(this._releaseHandler?.()).catch((err) => {
+            this._log(`❌ שגיאה בשחרור הודעות מהתור: ${err.message}`, 'error');
+        });
+    }
+
+    _remove(entry) {
+        const index = this.queue.indexOf(entry);
+        if (index !== -1) this.queue.splice(index, 1);
+    }
+
+    /** Persist the queue; rejects when the write fails. */
+    _save() {
+        return serialisedWrite(this.file, () => writeJsonAtomic(this.file, this.queue, { spaces: 2 }), this.category, { rethrow: true });
+    }
+
+    /** Persist after something already happened (a send, a reschedule) that a failed write can't undo. */
+    _saveOrLog() {
+        return this._save().catch((err) => this._log(`❌ שמירת התור נכשלה: ${err.message}`, 'error'));
     }
 
     _emit(event, data) {
-        if (this.io) this.io.emit(event, data);
+        if (this.io) this.io.emit(`${this.eventPrefix}:${event}`, data);
     }
 
     _log(message, level = 'info') {
-        const entry = { timestamp: new Date().toISOString(), message, category: 'QUEUE', level };
-        console.log(`[Queue] ${message}`);
+        const entry = { timestamp: new Date().toISOString(), message, category: this.category, level };
+        console.log(`[${this.category}] ${message}`);
         if (this.io) this.io.emit('log', entry);
     }
 
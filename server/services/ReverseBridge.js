@@ -0,0 +1,249 @@
+/** Telegram limits, counted on the text after HTML parsing: message text / media caption. */
+const TEXT_LIMIT = 4096;
+const CAPTION_LIMIT = 1024;
+
+/**
+ * ReverseBridge — optional WhatsApp → Telegram direction.
+ *
+ * Messages posted in a WA group are relayed to Telegram when a route that
+ * targets that group has `reverse: true`. They go to `route.reverseChatId`
+ * or, when unset, back to the route's source channel. The existing Telegraf
+ * bot of TelegramBridge is used for sending.
+ *
+ * Loop prevention: WA messages sent by the bridge itself and Telegram
+ * messages relayed here are both tracked in the MessageMapService.
+ */
+export class ReverseBridge {
+    /**
+     * @param {object}               io       Socket.io server
+     * @param {import('./WhatsAppPool.js').WhatsAppPool} waPool
+     * @param {import('./TelegramBridge.js').TelegramBridge}   tgBridge
+     * @param {import('./QueueService.js').QueueService}       queueService  dedicated reverse queue
+     * @param {Function}             getRoutes    async fn returning configured routes
+     * @param {import('./MessageMapService.js').MessageMapService} messageMap
+     * @param {import('./MediaStore.js').MediaStore} mediaStore  on-disk store for downloaded media
+     * @param {import('./HistoryService.js').HistoryService} [history]  audit log of bridged messages
+     */
+    constructor(io, waPool, tgBridge, queueService, getRoutes, messageMap, mediaStore, history = null) {
+        this.io = io;
+        this.wa = waPool;
+        this.tg = tgBridge;
+        this.queue = queueService;
+        this.getRoutes = getRoutes;
+        this.messageMap = messageMap;
+        this.history = history;
+        this.media = mediaStore;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Lifecycle                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Subscribe to incoming WA messages; queued retries go out once due. */
+    start() {
+        this.wa.onMessage((msg, manager) => this._handleWhatsAppMessage(msg, manager));
+        this.queue.onRelease(() => this.flush());
+    }
+
+    /** Retry everything waiting in the reverse queue. */
+    flush() {
+        if (this.queue.length === 0) return;
+        this.queue.flush((entry) => this.sendPayload(entry.chatId, entry)).catch((err) => {
+            this._log(`❌ שגיאה בריקון תור Telegram: ${err.message}`, 'error');
+        });
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Incoming WhatsApp messages                                        */
+    /* ------------------------------------------------------------------ */
+
+    async _handleWhatsAppMessage(waMsg, manager) {
+        // Our own sends never come back; also skip anything the bridge produced
+        // (another linked session may observe it as incoming).
+        if (waMsg.fromMe || waMsg.isStatus) return;
+        if (this.messageMap.findByWaMessage(waMsg.id._serialized)) return;
+
+        const groupId = waMsg.from;
+        if (!groupId?.endsWith('@g.us')) return;
+        // Several linked sessions may sit in the same group — only its owner relays
+        if (manager && this.wa.sessionIdForGroup(groupId) !== manager.sessionId) return;
+
+        const routes = (await this.getRoutes()).filter(r =>
+            r.enabled !== false && r.reverse && (r.targetGroupIds || []).includes(groupId));
+        if (routes.length === 0) return;
+
+        const payload = await this._buildPayload(waMsg);
+        if (!payload) return;
+
+        this.history?.begin({
+            direction: 'wa-tg',
+            chatId: groupId,
+            chatTitle: payload.source.groupName,
+            messageId: waMsg.id._serialized,
+            contentType: payload.mediaType || 'text',
+            text: waMsg.body,
+            postedAt: waMsg.timestamp ? new Date(waMsg.timestamp * 1000).toISOString() : undefined,
+        });
+
+        const chatIds = [...new Set(routes.map(r => String(r.reverseChatId || r.sourceChannelId)))];
+        for (const chatId of chatIds) {
+            await this._dispatchPayload(chatId, payload);
+        }
+    }
+
+    /**
+     * Build a normalised payload from a WA message.
+     * Returns { text, media?, mediaType?, quotedWaId?, source } or null.
+     */
+    async _buildPayload(waMsg) {
+        const contact = await waMsg.getContact().catch(() => null);
+        const chat = await waMsg.getChat().catch(() => null);
+        const sender = contact?.pushname || contact?.name || contact?.number || waMsg.author || 'WhatsApp';
+        const header = `👤 <b>${this._escape(sender)}</b>${chat?.name ? ` · ${this._escape(chat.name)}` : ''}`;
+        const plainHeader = `👤 ${sender}${chat?.name ? ` · ${chat.name}` : ''}`;
+
+        let media = null;
+        if (waMsg.hasMedia) {
+            try {
+                const downloaded = await waMsg.downloadMedia();
+                if (downloaded) {
+                    // Keep the reverse queue small — reference the file instead of inlining it
+                    media = await this.media.putBuffer(Buffer.from(downloaded.data, 'base64'), {
+                        mimetype: downloaded.mimetype,
+                        filename: downloaded.filename || 'file',
+                    });
+                }
+            } catch (err) {
+                this._log(`⚠️ הורדת מדיה מ-WhatsApp נכשלה: ${err.message}`, 'warning');
+            }
+        }
+
+        // Cut the raw text before escaping — a cut in the HTML could split an entity or a tag
+        const limit = (media ? CAPTION_LIMIT : TEXT_LIMIT) - plainHeader.length - 1;
+        const body = waMsg.body ? this._escape(this._truncate(waMsg.body, limit)) : '';
+
+        if (!body && !media) return null;
+
+        let quotedWaId = null;
+        if (waMsg.hasQuotedMsg) {
+            const quoted = await waMsg.getQuotedMessage().catch(() => null);
+            quotedWaId = quoted?.id?._serialized || null;
+        }
+
+        return {
+            text: body ? `${header}\n${body}` : header,
+            media,
+            mediaType: media ? waMsg.type : null,
+            quotedWaId,
+            source: { groupId: waMsg.from, groupName: chat?.name || '', waMessageId: waMsg.id._serialized },
+        };
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Sending                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /** Send now, or park the payload in the reverse queue (or dead-letter store) when sending fails. */
+    async _dispatchPayload(chatId, payload) {
+        try {
+            await this.sendPayload(chatId, payload);
+            this._log(`📤 הודעה מ-WhatsApp הועברה ל-Telegram (${chatId})`, 'success');
+        } catch (err) {
+            try {
+                const where = await this.queue.enqueueFailed({ chatId, ...payload }, err);
+                if (where === 'queued') {
+                    this._log(`⚠️ שליחה ל-Telegram נכשלה (${err.message}) — ההודעה נוספה לתור`, 'warning');
+                    this._recordOutcome(payload, chatId, { status: 'queued', error: err.message });
+                }
+            } catch (parkErr) {
+                this._log(`❌ שליחה ל-Telegram נכשלה (${err.message}) ושמירת ההודעה בתור נכשלה: ${parkErr.message}`, 'error');
+                this._recordOutcome(payload, chatId, { status: 'failed', error: err.message });
+            }
+        }
+    }
+
+    /** Send a payload to a Telegram chat and record the outcome in the history. */
+    async sendPayload(chatId, payload) {
+        let messageId;
+        try {
+            messageId = await this._send(chatId, payload);
+        } catch (err) {
+            this._recordOutcome(payload, chatId, { status: 'failed', error: err.message });
+            throw err;
+        }
+        this._recordOutcome(payload, chatId, { status: 'sent', messageId });
+        return messageId;
+    }
+
+    /** Send a payload to a Telegram chat and record the mapping. */
+    async _send(chatId, payload) {
+        const telegram = await this.tg.telegramFor(chatId);
+        if (!telegram) {
+            throw new Error('Telegram Bot לא פעיל');
+        }
+
+        const extra = { parse_mode: 'HTML' };
+        const quoted = payload.quotedWaId ? this.messageMap.findByWaMessage(payload.quotedWaId) : null;
+        if (quoted && quoted.chatId === String(chatId)) {
+            extra.reply_parameters = { message_id: quoted.messageId, allow_sending_without_reply: true };
+        }
+
+        let sent;
+        if (payload.media) {
+            const file = { source: await this.media.read(payload.media.ref), filename: payload.media.filename };
+            const caption = payload.text;
+            switch (payload.mediaType) {
+                case 'image':
+                    sent = await telegram.sendPhoto(chatId, file, { ...extra, caption });
+                    break;
+                case 'video':
+                    sent = await telegram.sendVideo(chatId, file, { ...extra, caption });
+                    break;
+                case 'ptt':
+                    sent = await telegram.sendVoice(chatId, file, { ...extra, caption });
+                    break;
+                case 'audio':
+                    sent = await telegram.sendAudio(chatId, file, { ...extra, caption });
+                    break;
+                default:
+                    sent = await telegram.sendDocument(chatId, file, { ...extra, caption });
+            }
+        } else {
+            sent = await telegram.sendMessage(chatId, payload.text, extra);
+        }
+
+        if (payload.source) {
+            await this.messageMap.record(chatId, sent.message_id, payload.source.groupId, payload.source.waMessageId, 'whatsapp');
+        }
+        return sent.message_id;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Helpers                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /** Record a per-chat outcome for the source WA message of a payload. */
+    _recordOutcome(payload, chatId, outcome) {
+        if (!this.history || !payload?.source) return;
+        this.history.setOutcome('wa-tg', payload.source.groupId, payload.source.waMessageId, String(chatId), outcome);
+    }
+
+    /** At most `max` characters (ending in "…" when cut), never splitting a surrogate pair. */
+    _truncate(text, max) {
+        if (text.length <= max) return text;
+        let end = Math.max(0, max - 1);
+        const code = text.charCodeAt(end - 1);
+        if (code >= 0xd800 && code <= 0xdbff) end--;
+        return `${text.slice(0, end)}…`;
+    }
+
+    _escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    _log(message, level = 'info') {
+        const entry = { timestamp: new Date().toISOString(), message, category: 'REVERSE', level };
+        console.log(`[Reverse] ${message}`);
+        if (this.io) this.io.emit('log', entry);
+    }
+}
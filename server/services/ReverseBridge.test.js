@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReverseBridge } from './ReverseBridge.js';
+
+const bridge = new ReverseBridge(null, {}, {}, {}, async () => [], {});
+
+/** Minimal whatsapp-web.js message. */
+const waMessage = (body, extra = {}) => ({
+    body,
+    from: '120363@g.us',
+    id: { _serialized: 'false_120363@g.us_ABC' },
+    hasMedia: false,
+    hasQuotedMsg: false,
+    getContact: async () => ({ pushname: 'Dana' }),
+    getChat: async () => ({ name: 'Group' }),
+    ...extra,
+});
+
+/** Text length as Telegram counts it — after HTML parsing. */
+const parsedLength = (html) => html.replace(/<[^>]+>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&').length;
+
+describe('ReverseBridge', () => {
+    describe('_buildPayload', () => {
+        it('escapes the body under a bold sender header', async () => {
+            const payload = await bridge._buildPayload(waMessage('a < b & c'));
+            assert.equal(payload.text, '👤 <b>Dana</b> · Group\na &lt; b &amp; c');
+        });
+
+        it('keeps long text within the Telegram message limit without cutting an entity', async () => {
+            const payload = await bridge._buildPayload(waMessage('&'.repeat(5000)));
+            assert.equal(parsedLength(payload.text), 4096);
+            assert.ok(payload.text.endsWith('&amp;…'));
+        });
+
+        it('keeps captions within the caption limit', async () => {
+            const media = { hasMedia: true, type: 'image', downloadMedia: async () => ({ mimetype: 'image/jpeg', data: '' }) };
+            const store = new ReverseBridge(null, {}, {}, {}, async () => [], {}, {
+                putBuffer: async (_buffer, meta) => ({ ref: 'ref', mimetype: meta.mimetype, filename: meta.filename }),
+            });
+            const payload = await store._buildPayload(waMessage('<'.repeat(2000), media));
+            assert.equal(parsedLength(payload.text), 1024);
+            assert.ok(payload.text.endsWith('&lt;…'));
+        });
+
+        it('never splits a surrogate pair', () => {
+            assert.equal(bridge._truncate('ab😀cd', 4), 'ab…');
+            assert.equal(bridge._truncate('short', 10), 'short');
+        });
+    });
+});
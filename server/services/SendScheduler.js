@@ -0,0 +1,174 @@
+/** Limits used when settings.sendRate is missing. 0 = unlimited. */
+const DEFAULT_LIMITS = { globalPerMinute: 40, perChatPerMinute: 12, jitterMs: 800, maxConcurrent: 1 };
+
+/** Gap between items of one album (same batch) — close enough for WhatsApp to group them. */
+const BATCH_GAP_MS = 150;
+
+/** Idle chats are forgotten after this long (their rate window has long passed). */
+const IDLE_CHAT_MS = 10 * 60 * 1000;
+
+/**
+ * SendScheduler — single outbound gate for everything sent to WhatsApp.
+ *
+ * Each chat has its own FIFO, so messages to one group always go out in the
+ * order they were scheduled. Chats are served round-robin, so a burst to one
+ * group cannot starve the others. Between sends it enforces (settings.sendRate):
+ *   globalPerMinute   — spacing between any two sends
+ *   perChatPerMinute  — spacing between two sends to the same chat
+ *   jitterMs          — random extra wait (0…jitterMs) on top of both
+ *   maxConcurrent     — sends in flight at once (never more than one per chat)
+ *
+ * Jobs sharing a `batch` key (album items) follow each other in the same chat
+ * BATCH_GAP_MS apart, without waiting for the rate limits in between.
+ */
+export class SendScheduler {
+    /**
+     * @param {Function} getSettings  async fn returning settings (sendRate)
+     */
+    constructor(getSettings) {
+        this.getSettings = getSettings;
+        /** Map<chatId, { jobs, busy, lastSentAt, lastBatch, jitter }> — insertion order = round-robin order */
+        this._chats = new Map();
+        this._cursor = 0;
+        this._lastStartAt = 0;
+        this._globalJitter = 0;
+        this._inFlight = 0;
+        this._timer = null;
+        this._pumping = false;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Public API                                                        */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Run `task` when the limits allow. Resolves / rejects with its result.
+     * @param {string} chatId
+     * @param {() => Promise<any>} task
+     * @param {object} [options]
+     * @param {string} [options.batch]  album key — items of one batch are sent back to back
+     */
+    schedule(chatId, task, { batch = null } = {}) {
+        return new Promise((resolve, reject) => {
+            const key = String(chatId);
+            let chat = this._chats.get(key);
+            if (!chat) {
+                chat = { jobs: [], busy: false, lastSentAt: 0, lastBatch: null, jitter: 0 };
+                this._chats.set(key, chat);
+            }
+            chat.jobs.push({ task, batch, resolve, reject });
+            this._pump();
+        });
+    }
+
+    /** Jobs waiting for their turn / sends in flight. */
+    stats() {
+        let pending = 0;
+        for (const chat of this._chats.values()) pending += chat.jobs.length;
+        return { pending, inFlight: this._inFlight };
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /** Start every job that may go now, and wake up again when the next one may. */
+    async _pump() {
+        if (this._pumping) return;
+        this._pumping = true;
+        try {
+            clearTimeout(this._timer);
+            this._timer = null;
+            const limits = await this._limits();
+
+            while (this._inFlight < limits.maxConcurrent) {
+                const next = this._next(Date.now(), limits);
+                if (!next) break;
+                if (next.wait > 0) {
+                    this._timer = setTimeout(() => this._pump(), next.wait);
+                    break;
+                }
+                this._start(next.key, next.chat, limits);
+            }
+        } finally {
+            this._pumping = false;
+        }
+    }
+
+    /**
+     * Next chat to serve: an album already being sent, else the first chat in
+     * round-robin order whose limits have passed.
+     * @returns {{ key, chat, wait: number } | null}
+     */
+    _next(now, limits) {
+        // Album continuation first — keep the items together
+        for (const [key, chat] of this._chats) {
+            if (!chat.busy && chat.jobs[0]?.batch && chat.jobs[0].batch === chat.lastBatch) {
+                return { key, chat, wait: Math.max(0, chat.lastSentAt + BATCH_GAP_MS - now) };
+            }
+        }
+
+        const keys = [...this._chats.keys()];
+        let soonest = null;
+
+        for (let i = 0; i < keys.length; i++) {
+            const key = keys[(this._cursor + i) % keys.length];
+            const chat = this._chats.get(key);
+
+            if (!chat.jobs.length) {
+                if (!chat.busy && now - chat.lastSentAt > IDLE_CHAT_MS) this._chats.delete(key);
+                continue;
+            }
+            if (chat.busy) continue;
+
+            const readyAt = Math.max(
+                chat.lastSentAt ? chat.lastSentAt + limits.perChatIntervalMs + chat.jitter : 0,
+                this._lastStartAt ? this._lastStartAt + limits.globalIntervalMs + this._globalJitter : 0,
+            );
+            const wait = Math.max(0, readyAt - now);
+            if (wait === 0) return { key, chat, wait };
+            if (!soonest || wait < soonest.wait) soonest = { key, chat, wait };
+        }
+        return soonest;
+    }
+
+    _start(key, chat, limits) {
+        const job = chat.jobs.shift();
+        chat.busy = true;
+        chat.lastBatch = job.batch;
+        chat.jitter = Math.random() * limits.jitterMs;
+        this._globalJitter = Math.random() * limits.jitterMs;
+        this._lastStartAt = Date.now();
+        this._inFlight++;
+
+        // Round-robin: the next search starts after this chat
+        const keys = [...this._chats.keys()];
+        this._cursor = (keys.indexOf(key) + 1) % keys.length;
+
+        Promise.resolve()
+            .then(() => job.task())
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                chat.busy = false;
+                chat.lastSentAt = Date.now();
+                this._inFlight--;
+                this._pump();
+            });
+    }
+
+    /** settings.sendRate as intervals. */
+    async _limits() {
+        let rate = {};
+        try {
+            rate = (await this.getSettings())?.sendRate || {};
+        } catch { /* fall back to defaults */ }
+        const value = (name) => Math.max(0, Number(rate[name] ?? DEFAULT_LIMITS[name]) || 0);
+        const interval = (perMinute) => (perMinute > 0 ? 60_000 / perMinute : 0);
+        return {
+            globalIntervalMs: interval(value('globalPerMinute')),
+            perChatIntervalMs: interval(value('perChatPerMinute')),
+            jitterMs: value('jitterMs'),
+            maxConcurrent: Math.max(1, value('maxConcurrent') || 1),
+        };
+    }
+}
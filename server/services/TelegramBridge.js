@@ -1,4 +1,40 @@
 import { Telegraf } from 'telegraf';
+import { execFile } from 'node:child_process';
+import { ContentFilter } from './ContentFilter.js';
+import { TextTransformer } from './TextTransformer.js';
+import { EntityFormatter } from './EntityFormatter.js';
+import { DeliveryWindow } from './DeliveryWindow.js';
+import { MediaTooLargeError } from './MediaStore.js';
+
+/** Self-hosted Bot API server (telegram-bot-api --local) — lifts the download limit to 2 GB. */
+const TELEGRAM_API_ROOT = process.env.TELEGRAM_API_ROOT || '';
+
+/** Largest file getFile serves: 20 MB on the cloud Bot API, 2000 MB on a local server. */
+const TELEGRAM_DOWNLOAD_LIMIT = (TELEGRAM_API_ROOT ? 2000 : 20) * 1024 * 1024;
+
+/** What to send instead of a file that can't be bridged (settings.largeFilePolicy). */
+const LARGE_FILE_POLICIES = ['link', 'notice', 'skip'];
+
+/** A file above the Telegram download limit or the WhatsApp media limit. */
+class FileTooLargeError extends Error {
+    /**
+     * @param {number|null} size   bytes, when known
+     * @param {number} limit       bytes
+     * @param {'telegram'|'whatsapp'} side  which limit was hit
+     */
+    constructor(size, limit, side) {
+        const mb = (n) => (n / 1024 / 1024).toFixed(1);
+        super(side === 'telegram'
+            ? `מעל מגבלת ההורדה של Telegram Bot API (${mb(limit)}MB)${TELEGRAM_API_ROOT ? '' : ' — שרת Bot API מקומי (TELEGRAM_API_ROOT) מאפשר עד 2GB'}`
+            : `מעל מגבלת הקבצים (${size ? `${mb(size)}MB, ` : ''}מקסימום ${mb(limit)}MB)`);
+        this.size = size;
+        this.limit = limit;
+        this.side = side;
+    }
+}
+
+/** Telegram message kinds with no WhatsApp mapping — named in the "not forwarded" log. */
+const UNSUPPORTED_TYPES = ['game', 'invoice', 'story', 'giveaway', 'giveaway_winners', 'paid_media', 'checklist'];
 
 /**
  * TelegramBridge — listens to a Telegram channel via Telegraf
@@ -7,17 +43,48 @@ import { Telegraf } from 'telegraf';
 export class TelegramBridge {
     /**
      * @param {object}               io       Socket.io server
-     * @param {import('./WhatsAppManager.js').WhatsAppManager} waManager
+     * @param {import('./WhatsAppPool.js').WhatsAppPool} waPool
      * @param {import('./QueueService.js').QueueService}       queueService
      * @param {Function}             getSettings  async fn returning current settings
+     * @param {Function}             getRoutes    async fn returning configured routes
+     * @param {import('./MessageMapService.js').MessageMapService} messageMap
+     * @param {import('./MediaStore.js').MediaStore} mediaStore  on-disk store every Telegram download goes into
+     * @param {import('./ModerationService.js').ModerationService} [moderation]  pending store for moderated posts
+     * @param {import('./HistoryService.js').HistoryService} [history]  audit log of bridged messages
      */
-    constructor(io, waManager, queueService, getSettings) {
+    constructor(io, waPool, queueService, getSettings, getRoutes, messageMap, mediaStore, moderation = null, history = null) {
         this.io = io;
-        this.wa = waManager;
+        this.wa = waPool;
         this.queue = queueService;
         this.getSettings = getSettings;
-        /** @type {Telegraf | null} */
-        this.bot = null;
+        this.getRoutes = getRoutes;
+        this.messageMap = messageMap;
+        this.moderation = moderation;
+        this.history = history;
+        this.media = mediaStore;
+
+        /**
+         * Running bots.
+         * Map<botId, { id, name, bot: Telegraf, status, username, error }>
+         * status: stopped | starting | running | error
+         */
+        this.bots = new Map();
+
+        /** Launch / polling failures per bot since startup (metrics). Map<botId, count> */
+        this.pollingErrors = new Map();
+
+        /** Bot status listeners (see onBotStatus) */
+        this._botStatusHandlers = [];
+
+        /** Promise<boolean> — whether ffmpeg is installed (checked on the first video sticker) */
+        this._ffmpeg = null;
+
+        /** @type {import('./PluginManager.js').PluginManager | null} — see usePlugins */
+        this.plugins = null;
+        /** Sends waiting in the SendScheduler or in flight — Set<{ media }> (see sendingPayloads) */
+        this._sending = new Set();
+        /** Extra handlers installed on every bot before it launches (see onBotSetup) */
+        this._botSetups = [];
 
         /**
          * Cache for Media Groups (Albums).
@@ -27,9 +94,20 @@ export class TelegramBridge {
 
         /**
          * Recent Channels Cache (Discovery)
-         * Map<channelId, { id, name, username, lastSeen }>
+         * Map<channelId, { id, name, username, lastSeen, botIds: string[] }>
          */
         this.recentChannels = new Map();
+
+        /**
+         * Updates already handled by one of the bots (several bots may sit in
+         * the same channel). Map<"chatId:messageId[:editDate]", timestamp>
+         */
+        this._seenUpdates = new Map();
+
+        this.filter = new ContentFilter((msg, level) => this._log(msg, level));
+        this.transformer = new TextTransformer((msg, level) => this._log(msg, level));
+        this.formatter = new EntityFormatter();
+        this.windows = new DeliveryWindow((msg, level) => this._log(msg, level));
     }
 
     getRecentChannels() {
@@ -38,77 +116,233 @@ export class TelegramBridge {
             .sort((a, b) => b.lastSeen - a.lastSeen);
     }
 
+    /** Bot status changes: handler({ id, name, status, username, error }). */
+    onBotStatus(handler) {
+        this._botStatusHandlers.push(handler);
+    }
+
+    /** Run the pipeline hooks of these plugins (onIncoming, transformPayload, beforeSend, afterSend). */
+    usePlugins(plugins) {
+        this.plugins = plugins;
+    }
+
+    /**
+     * Install extra handlers (commands, actions) on every bot, ahead of the
+     * forwarding handlers: setup(bot, botId).
+     */
+    onBotSetup(setup) {
+        this._botSetups.push(setup);
+    }
+
+    /** Status summary of every configured / running bot. */
+    async getBots() {
+        const settings = await this.getSettings();
+        return this._configuredBots(settings).map(({ id, name }) => {
+            const entry = this.bots.get(id);
+            return {
+                id,
+                name,
+                status: entry?.status || 'stopped',
+                username: entry?.username || null,
+                error: entry?.error || null,
+            };
+        });
+    }
+
+    /**
+     * Default bot instance (kept for single-bot callers).
+     * @returns {Telegraf | null}
+     */
+    get bot() {
+        return this._runningBot()?.bot || null;
+    }
+
+    /**
+     * Telegram API client to use for sending to a chat: the bot the channel is
+     * assigned to, else a bot that has seen the chat, else any running bot.
+     */
+    async telegramFor(chatId) {
+        const settings = await this.getSettings();
+        const chatKey = String(chatId);
+        const assigned = (settings.channels || []).find(ch => String(ch.id) === chatKey)?.botId;
+        const seenBy = this.recentChannels.get(chatKey)?.botIds || [];
+
+        for (const id of [assigned, ...seenBy]) {
+            const entry = id && this.bots.get(id);
+            if (entry?.status === 'running') return entry.bot.telegram;
+        }
+        return this._runningBot()?.bot.telegram || null;
+    }
+
     /* ------------------------------------------------------------------ */
     /*  Lifecycle                                                         */
     /* ------------------------------------------------------------------ */
 
-    /** Launch the Telegraf bot. */
-    async start() {
+    /**
+     * Launch the configured Telegraf bots.
+     * @param {string} [botId] only (re)start this bot
+     */
+    async start(botId = null) {
         const settings = await this.getSettings();
-        const token = settings.telegramBotToken?.trim();
+        const configured = this._configuredBots(settings);
 
-        if (!token) {
+        if (configured.length === 0) {
             this._log('⚠️ Telegram Bot Token לא הוגדר — הבוט לא יופעל', 'warning');
             return;
         }
 
-        // Stop existing bot if running
-        if (this.bot) {
-            try { this.bot.stop(); } catch { /* ignore */ }
-            this.bot = null;
+        const targets = botId ? configured.filter(b => b.id === botId) : configured;
+        if (botId && targets.length === 0) {
+            throw new Error(`בוט לא נמצא: ${botId}`);
         }
 
+        await Promise.all(targets.map(config => this._startBot(config)));
+    }
+
+    /**
+     * Stop bots.
+     * @param {string} [botId] only stop this bot (default: all)
+     */
+    stop(botId = null, reason = 'stop') {
+        const ids = botId ? [botId] : [...this.bots.keys()];
+        for (const id of ids) {
+            const entry = this.bots.get(id);
+            if (!entry) continue;
+            entry.status = 'stopped';
+            try { entry.bot.stop(reason); } catch { /* not running */ }
+            this.bots.delete(id);
+            this._emitBotStatus(entry);
+            this._log(`🛑 Telegram Bot הופסק${this._botLabel(entry)}`, 'info');
+        }
+    }
+
+    async _startBot({ id, name, token }) {
+        // Stop existing instance if running
+        this.stop(id, 'restart');
+
+        const entry = { id, name, bot: this._createBot(token), status: 'starting', username: null, error: null };
+        this.bots.set(id, entry);
+        this._emitBotStatus(entry);
+        const { bot } = entry;
+
         try {
-            this._log(`🔄 מתחיל חיבור ל-Telegram... (Token length: ${token.length})`, 'info');
-            this.bot = new Telegraf(token);
+            this._log(`🔄 מתחיל חיבור ל-Telegram${this._botLabel(entry)}... (Token length: ${token.length})`, 'info');
+
+            for (const setup of this._botSetups) setup(bot, id);
 
             // Handle all message types (groups/private)
-            this.bot.on('message', (ctx) => this._handleMessage(ctx));
+            bot.on('message', (ctx) => this._handleMessage(ctx, id));
 
             // Handle channel posts (REQUIRED for Channels)
-            this.bot.on('channel_post', (ctx) => this._handleMessage(ctx));
+            bot.on('channel_post', (ctx) => this._handleMessage(ctx, id));
+
+            // Propagate edits to the already-forwarded WhatsApp copies
+            bot.on('edited_message', (ctx) => this._handleEdit(ctx, id));
+            bot.on('edited_channel_post', (ctx) => this._handleEdit(ctx, id));
+
+            // Approve / reject buttons in the moderation admin chat
+            bot.action(/^mod:(approve|reject):(.+)$/, (ctx) => this._handleModerationAction(ctx));
 
             // Error handling
-            this.bot.catch((err) => {
-                this._log(`❌ שגיאת Telegraf: ${err.message}`, 'error');
+            bot.catch((err) => {
+                entry.error = err.message;
+                this._log(`❌ שגיאת Telegraf${this._botLabel(entry)}: ${err.message}`, 'error');
             });
 
-            await this.bot.launch();
-            const botInfo = await this.bot.telegram.getMe();
-            this._log(`🤖 Telegram Bot הופעל בהצלחה: @${botInfo.username}`, 'success');
+            // launch() only settles when polling ends — wait for the onLaunch
+            // callback instead, and watch the polling promise for later failures.
+            await new Promise((resolve, reject) => {
+                bot.launch(resolve).catch((err) => {
+                    reject(err);
+                    if (entry.status === 'running') this._onPollingFailure(entry, err);
+                });
+            });
+
+            entry.status = 'running';
+            entry.username = bot.botInfo?.username || null;
+            entry.error = null;
+            this._emitBotStatus(entry);
+            this._log(`🤖 Telegram Bot הופעל בהצלחה: @${entry.username}${this._botLabel(entry)}`, 'success');
 
         } catch (err) {
-            this._log(`❌ שגיאה בהפעלת הבוט: ${err.message}`, 'error');
-            this.bot = null;
+            entry.status = 'error';
+            entry.error = err.message;
+            this._countPollingError(entry);
+            this._emitBotStatus(entry);
+            this._log(`❌ שגיאה בהפעלת הבוט${this._botLabel(entry)}: ${err.message}`, 'error');
         }
+    }
+
+    /** Polling died after a successful launch (e.g. token revoked, 409 conflict). */
+    _onPollingFailure(entry, err) {
+        entry.status = 'error';
+        entry.error = err.message;
+        this._countPollingError(entry);
+        this._emitBotStatus(entry);
+        this._log(`❌ Telegram Bot הפסיק לפעול${this._botLabel(entry)}: ${err.message}`, 'error');
+    }
 
-        // Graceful stop
-        process.once('SIGINT', () => this.bot?.stop('SIGINT'));
-        process.once('SIGTERM', () => this.bot?.stop('SIGTERM'));
+    _countPollingError(entry) {
+        this.pollingErrors.set(entry.id, (this.pollingErrors.get(entry.id) || 0) + 1);
     }
 
-    /** Stop the bot. */
-    stop() {
-        if (this.bot) {
-            this.bot.stop();
-            this.bot = null;
-            this._log('🛑 Telegram Bot הופסק', 'info');
+    /**
+     * Bots from settings.bots, or the legacy single token as bot "default".
+     * @returns {Array<{ id: string, name: string, token: string }>}
+     */
+    _configuredBots(settings) {
+        const bots = (settings.bots || [])
+            .filter(b => b.id && b.token?.trim() && b.enabled !== false)
+            .map(b => ({ id: String(b.id), name: b.name || '', token: b.token.trim() }));
+
+        const legacy = settings.telegramBotToken?.trim();
+        if (legacy && !bots.some(b => b.id === 'default')) {
+            bots.unshift({ id: 'default', name: '', token: legacy });
+        }
+        return bots;
+    }
+
+    _runningBot() {
+        const running = [...this.bots.values()].filter(b => b.status === 'running');
+        return running.find(b => b.id === 'default') || running[0] || null;
+    }
+
+    _emitBotStatus(entry) {
+        for (const handler of this._botStatusHandlers) {
+            try { handler(entry); } catch (err) { console.error(`[TG] bot status handler failed: ${err.message}`); }
         }
+        if (!this.io) return;
+        this.io.emit('tg:status', {
+            botId: entry.id,
+            name: entry.name,
+            status: entry.status,
+            username: entry.username,
+            error: entry.error,
+        });
+    }
+
+    _botLabel(entry) {
+        return this.bots.size > 1 || entry.id !== 'default' ? ` [${entry.name || entry.id}]` : '';
     }
 
     /* ------------------------------------------------------------------ */
     /*  Message handling                                                  */
     /* ------------------------------------------------------------------ */
 
-    async _handleMessage(ctx) {
+    async _handleMessage(ctx, botId = 'default') {
         const settings = await this.getSettings();
         // Cache Channel Info (Discovery)
         if (ctx.chat && (ctx.chat.type === 'channel' || ctx.chat.type === 'supergroup')) {
-            this.recentChannels.set(String(ctx.chat.id), {
-                id: String(ctx.chat.id),
+            const key = String(ctx.chat.id);
+            const previous = this.recentChannels.get(key);
+            // Re-insert so the Map stays ordered by last activity
+            this.recentChannels.delete(key);
+            this.recentChannels.set(key, {
+                id: key,
                 name: ctx.chat.title || 'Unknown Channel',
                 username: ctx.chat.username,
-                lastSeen: Date.now()
+                lastSeen: Date.now(),
+                botIds: [...new Set([...(previous?.botIds || []), botId])],
             });
             // Keep size limited
             if (this.recentChannels.size > 20) {
@@ -117,41 +351,35 @@ export class TelegramBridge {
             }
         }
 
-        const _isValidSource = async (chat) => {
-            // Allow if no channels configured (open mode) ?? No, secure by default.
-            const currentSettings = await this.getSettings(); // Use this.getSettings()
-
-            // Support both new array structure and legacy fallback
-            const allowedChannels = currentSettings.channels || [];
+        // Filter: only listen to the configured channels
+        if (!(await this._isValidSource(ctx.chat))) {
+            return;
+        }
 
-            // Also check legacy if array is empty (though getSettings migration should handle this)
-            if (allowedChannels.length === 0 && currentSettings.telegramChannelId) {
-                const ids = currentSettings.telegramChannelId.split(',').map(id => id.trim());
-                allowedChannels.push(...ids.map(id => ({ id })));
-            }
+        const msg = ctx.message || ctx.channelPost;
 
-            if (!allowedChannels.length) {
-                this._log('⚠️ לא הוגדרו ערוצי מקור ב-Telegram. מתעלם מההודעה.', 'warning');
-                return false;
-            }
+        // Several bots may receive the same post — only one handles it
+        if (!msg || !this._shouldHandle(settings, msg, botId)) {
+            return;
+        }
 
-            const chatId = String(chat.id);
-            const isAllowed = allowedChannels.some(ch => String(ch.id) === chatId);
+        // Loop prevention: this post was relayed here from WhatsApp
+        if (msg && this.messageMap.get(ctx.chat.id, msg.message_id)?.origin === 'whatsapp') {
+            return;
+        }
 
-            if (!isAllowed) {
-                this._log(`⛔ הודעה מערוץ לא מורשה (${chat.title || chat.id}) - מתעלם.`, 'warning');
-                return false;
-            }
-            return true;
-        };
+        // Admin command: reply "/delete" to a bridged post to revoke its WhatsApp copies
+        if (msg?.reply_to_message && /^\/(delete|del)(@\w+)?$/i.test(msg.text?.trim() || '')) {
+            await this._handleDeleteCommand(ctx, msg);
+            return;
+        }
 
-        // Filter: only listen to the configured channels
-        if (!(await _isValidSource(ctx.chat))) {
+        // Plugins may drop the post before anything else looks at it
+        if (this.plugins && !(await this.plugins.onIncoming(ctx))) {
             return;
         }
 
         // Check for Media Group (Album)
-        const msg = ctx.message || ctx.channelPost;
         if (msg && msg.media_group_id) {
             this._handleMediaGroup(ctx, msg.media_group_id, settings);
             return;
@@ -161,6 +389,58 @@ export class TelegramBridge {
         await this._processSingleMessage(ctx, settings);
     }
 
+    /**
+     * Decide which bot handles an update: the bot the channel is assigned to
+     * (while it is running), otherwise whichever bot sees it first.
+     */
+    _shouldHandle(settings, msg, botId, variant = '') {
+        const assigned = (settings.channels || []).find(ch => String(ch.id) === String(msg.chat.id))?.botId;
+        if (assigned && assigned !== botId && this.bots.get(assigned)?.status === 'running') {
+            return false;
+        }
+
+        const key = `${msg.chat.id}:${msg.message_id}:${variant}`;
+        if (this._seenUpdates.has(key)) return false;
+        this._seenUpdates.set(key, Date.now());
+        if (this._seenUpdates.size > 1000) {
+            this._seenUpdates.delete(this._seenUpdates.keys().next().value);
+        }
+        return true;
+    }
+
+    /** Whether a chat is one of the configured source channels. */
+    async _isValidSource(chat) {
+        // Allow if no channels configured (open mode) ?? No, secure by default.
+        const currentSettings = await this.getSettings(); // Use this.getSettings()
+
+        // Support both new array structure and legacy fallback
+        const allowedChannels = [...(currentSettings.channels || [])];
+
+        // Also check legacy if array is empty (though getSettings migration should handle this)
+        if (allowedChannels.length === 0 && currentSettings.telegramChannelId) {
+            const ids = currentSettings.telegramChannelId.split(',').map(id => id.trim());
+            allowedChannels.push(...ids.map(id => ({ id })));
+        }
+
+        // Channels referenced by a route are allowed as well
+        const routes = await this.getRoutes();
+        allowedChannels.push(...routes.map(r => ({ id: r.sourceChannelId })));
+
+        if (!allowedChannels.length) {
+            this._log('⚠️ לא הוגדרו ערוצי מקור ב-Telegram. מתעלם מההודעה.', 'warning');
+            return false;
+        }
+
+        const chatId = String(chat.id);
+        const isAllowed = allowedChannels.some(ch => String(ch.id) === chatId);
+
+        if (!isAllowed) {
+            this._log(`⛔ הודעה מערוץ לא מורשה (${chat.title || chat.id}) - מתעלם.`, 'warning');
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Buffer media group messages and process them together.
      */
@@ -183,7 +463,15 @@ export class TelegramBridge {
 
         group.timeout = setTimeout(() => {
             this.mediaGroupCache.delete(groupId);
-            this._processMediaGroup(group.messages, settings);
+            // Outside Telegraf's handler — an uncaught rejection here would end the process
+            this._processMediaGroup(group.messages, settings).catch((err) => {
+                this._log(`❌ שגיאה בטיפול באלבום (ID: ${groupId}): ${err.message}`, 'error');
+                for (const c of group.messages) {
+                    const msg = c.message || c.channelPost;
+                    this._beginHistory(msg);
+                    this.history?.markFailed('tg-wa', msg.chat.id, msg.message_id, err.message);
+                }
+            });
         }, 2000); // Wait 2 seconds for all parts to arrive
     }
 
@@ -197,115 +485,560 @@ export class TelegramBridge {
             return msgA.message_id - msgB.message_id;
         });
 
+        const first = ctxList[0];
+        const targets = await this._resolveTargets(first.chat.id, settings);
+        const delays = await this._resolveDelays(first.chat.id, settings);
 
-        const groups = settings.groups || [];
-        // Legacy fallback
-        if (groups.length === 0 && settings.whatsappGroupId) {
-            const ids = settings.whatsappGroupId.split(',').map(i => i.trim()).filter(Boolean);
-            groups.push(...ids.map(id => ({ id })));
-        }
-
-        if (groups.length === 0) {
+        if (targets.length === 0) {
             this._log('⚠️ לא הוגדרו קבוצות יעד (WhatsApp) לאלבום.', 'warning');
             return;
         }
 
+        for (const c of ctxList) this._beginHistory(c.message || c.channelPost);
+
+        // Filters: text rules look at the album caption (usually on a single item)
+        const albumCaption = ctxList.map(c => (c.message || c.channelPost).caption).find(Boolean) || '';
+        ctxList = ctxList.filter(c => this._passesFilters(c.message || c.channelPost, settings, { text: albumCaption }));
+        if (ctxList.length === 0) return;
+
         // 1. Prepare (Download) All payloads in Parallel
         // This ensures that we have all media ready in memory, so we can send them 
         // as fast as possible to WhatsApp, triggering the "visual grouping".
-        const payloadPromises = ctxList.map(ctx => this._buildPayload(ctx, settings));
-        const payloads = await Promise.all(payloadPromises);
-
-        this._log(`📦 כל המדיה ירדה (${payloads.filter(Boolean).length} קבצים), שולח ל-WhatsApp...`, 'info');
-
-        // 2. Send Rapidly (Fire & Forget Strategy)
-        // We do NOT await the result of each message here, because waiting for WA to ACK 
-        // adds a delay (~500ms) that breaks the "visual grouping".
-        // Instead, we fire them into the browser queue comfortably apart (100ms) to ensure order,
-        // but close enough to be grouped.
+        const payloadPromises = ctxList.map(async ctx => this._withSource(await this._buildPayload(ctx, settings), ctx));
+        const built = (await Promise.all(payloadPromises)).filter(Boolean);
+        const payloads = (await Promise.all(built.map(p => this._transformWithPlugins(p, first.chat.id, settings)))).filter(Boolean);
+        // Album key — the send scheduler keeps these items together in each group
+        const albumId = (first.message || first.channelPost).media_group_id;
+        for (const payload of payloads) payload.albumId = albumId;
+
+        // Moderated targets wait for approval; the rest go out now
+        const moderated = this._moderatedTargets(first.chat.id, targets, settings, await this._resolveRoutes(first.chat.id, settings));
+        if (moderated.length > 0) {
+            await this._submitForApproval(first.chat, payloads, moderated, delays, settings);
+        }
+        const direct = targets.filter(g => !moderated.includes(g));
+        if (direct.length === 0 || payloads.length === 0) return;
 
-        let promiseChain = Promise.resolve();
-        const sendPromises = [];
+        this._log(`📦 כל המדיה ירדה (${payloads.length} קבצים), שולח ל-WhatsApp...`, 'info');
+        await this._dispatchAlbum(payloads, direct, settings, delays);
+        this._log(`✅ טיפול באלבום הסתיים (${payloads.length} קבצים ל-${direct.length} קבוצות)`, 'success');
+    }
 
+    /**
+     * Submit album items to every target in order. The send scheduler keeps
+     * each group's items in submission order and back to back (same albumId),
+     * close enough together for WhatsApp to group them visually.
+     * Resolves once every send has settled (sent, queued, held or parked).
+     */
+    async _dispatchAlbum(payloads, targets, settings, delays) {
+        // Submit everything synchronously, item by item — that is what fixes the order.
+        // Waiting for each WA ack before the next submit would only hold up the other groups.
+        const sends = [];
         for (const payload of payloads) {
-            if (!payload) continue;
-
-            // Chain the *initiation* of sends to ensure order is submitted to browser in 1->2->3 order
-            promiseChain = promiseChain.then(async () => {
-                // Dispatch without awaiting the full roundtrip inside the chain lock
-                // We trust wwebjs to queue them.
-                const pPromises = groups.map(group => {
-                    return this._dispatchPayload(group.id, payload).catch(err => {
-                        this._log(`❌ שגיאה בשליחה לקבוצה ${group.id}: ${err.message}`, 'error');
-                    });
-                });
-
-                // Add all group promises to the tracking list
-                sendPromises.push(...pPromises);
-
-                // Tiny delay to ensure the browser processes the submission order
-                await new Promise(r => setTimeout(r, 150));
-            });
+            for (const groupId of targets) {
+                sends.push(this._dispatchPayload(groupId, payload, settings, delays.get(groupId)).catch(err => {
+                    this._log(`❌ שגיאה בשליחה לקבוצה ${groupId}: ${err.message}`, 'error');
+                }));
+            }
         }
-
-        // Wait for all to be submitted
-        await promiseChain;
-        // Optionally wait for them to finish sending (background)
-        // await Promise.all(sendPromises); 
-
-        this._log(`✅ אלבום נשלח (תהליך שליחה ברקע)`, 'success');
+        await Promise.all(sends);
     }
 
     // New helper to handle the Send vs Queue decision
-    async _dispatchPayload(waGroupId, payload) {
+    async _dispatchPayload(waGroupId, payload, settings, delayMs = 0) {
         try {
-            if (this.wa.isReady) {
-                await this._sendToWhatsApp(waGroupId, payload);
-                this._log(`📤 הודעה הועברה ל-WhatsApp`, 'success');
+            const notBefore = this._releaseTime(waGroupId, settings, delayMs);
+            if (notBefore) {
+                await this.queue.enqueue({ chatId: waGroupId, ...payload, notBefore: notBefore.toISOString() });
+                this._recordOutcome(payload, waGroupId, { status: 'held' });
+                this._log(`⏰ ההודעה לקבוצה ${waGroupId} מוחזקת עד ${notBefore.toLocaleString('he-IL')}`, 'info', {
+                    event: 'held',
+                    groupId: waGroupId,
+                    notBefore: notBefore.toISOString(),
+                    delayMs: delayMs || 0,
+                });
+            } else if (this.wa.isReadyFor(waGroupId)) {
+                if (await this.sendPayload(waGroupId, payload) !== false) {
+                    this._log(`📤 הודעה הועברה ל-WhatsApp`, 'success');
+                }
             } else {
                 await this.queue.enqueue({ chatId: waGroupId, ...payload });
+                this._recordOutcome(payload, waGroupId, { status: 'queued' });
                 this._log('📥 WhatsApp לא מחובר — ההודעה נוספה לתור', 'warning');
             }
         } catch (err) {
             this._log(`❌ שגיאה בהעברת הודעה: ${err.message}`, 'error');
+            await this._parkFailed(waGroupId, payload, err);
+        }
+    }
+
+    /** A failed live send goes to the queue for a retry (or the dead-letter store) instead of being lost. */
+    async _parkFailed(waGroupId, payload, err) {
+        try {
+            const where = await this.queue.enqueueFailed({ chatId: waGroupId, ...payload }, err);
+            if (where === 'queued') {
+                this._recordOutcome(payload, waGroupId, { status: 'queued', error: err.message });
+                this._log(`🔁 ההודעה לקבוצה ${waGroupId} תישלח שוב מהתור`, 'warning', { event: 'retry', groupId: waGroupId });
+            }
+        } catch (parkErr) {
+            this._log(`❌ שמירת הודעה שנכשלה בתור נכשלה: ${parkErr.message}`, 'error');
         }
     }
 
     async _processSingleMessage(ctx, settings) {
-        const payload = await this._buildPayload(ctx, settings);
+        this._beginHistory(ctx.message || ctx.channelPost);
+        if (!this._passesFilters(ctx.message || ctx.channelPost, settings)) return;
+
+        const payload = await this._transformWithPlugins(this._withSource(await this._buildPayload(ctx, settings), ctx), ctx.chat.id, settings);
         if (!payload) return;
 
-        // Broadcast to ALL configured WhatsApp groups
-        const groups = settings.groups || [];
+        const targets = await this._resolveTargets(ctx.chat.id, settings);
+
+        if (targets.length === 0) {
+            this._log('⚠️ לא הוגדרו קבוצות יעד (WhatsApp).', 'warning');
+            return;
+        }
+
+        const delays = await this._resolveDelays(ctx.chat.id, settings);
+        const moderated = this._moderatedTargets(ctx.chat.id, targets, settings, await this._resolveRoutes(ctx.chat.id, settings));
+        if (moderated.length > 0) {
+            await this._submitForApproval(ctx.chat, [payload], moderated, delays, settings);
+        }
+
+        // All groups at once — the send scheduler paces them fairly
+        await Promise.all(targets
+            .filter(groupId => !moderated.includes(groupId))
+            .map(groupId => this._dispatchPayload(groupId, payload, settings, delays.get(groupId))));
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Moderation                                                        */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Targets that need a human approval: all of them when the channel has
+     * `moderation: true`, otherwise those reached through a moderated route.
+     */
+    _moderatedTargets(chatId, targets, settings, routes) {
+        const channel = (settings.channels || []).find(ch => String(ch.id) === String(chatId));
+        if (channel?.moderation) return [...targets];
+
+        const moderated = new Set(routes.filter(r => r.moderation).flatMap(r => r.targetGroupIds || []));
+        return targets.filter(g => moderated.has(g));
+    }
+
+    /** Park payloads in the pending store and ask the admin chat (if any). */
+    async _submitForApproval(chat, payloads, groupIds, delays, settings) {
+        if (!this.moderation) {
+            this._log('⚠️ מצב אישור מוגדר אך שירות האישורים לא זמין — ההודעה לא נשלחה', 'warning');
+            return;
+        }
+        const item = await this.moderation.add({
+            source: { chatId: String(chat.id), messageId: payloads[0]?.source?.messageId ?? null },
+            chatTitle: chat.title || '',
+            targets: groupIds.map(groupId => ({ groupId, delayMs: delays.get(groupId) || 0 })),
+            payloads,
+        });
+        for (const payload of payloads) {
+            for (const groupId of groupIds) this._recordOutcome(payload, groupId, { status: 'pending' });
+        }
+        this._log(`🛂 הודעה ממתינה לאישור (${item.id}) — ${groupIds.length} קבוצות`, 'info', {
+            event: 'pending',
+            pendingId: item.id,
+            chatId: String(chat.id),
+            targets: groupIds,
+        });
+        await this._notifyModerators(item, settings);
+    }
+
+    /**
+     * Send the pending item to settings.moderationChatId with approve / reject buttons.
+     */
+    async _notifyModerators(item, settings) {
+        const adminChatId = settings.moderationChatId;
+        if (!adminChatId) return;
+
+        try {
+            const telegram = await this.telegramFor(adminChatId);
+            if (!telegram) throw new Error('Telegram Bot לא פעיל');
+
+            const sent = await telegram.sendMessage(adminChatId, this._moderationText(item, settings), {
+                parse_mode: 'HTML',
+                link_preview_options: { is_disabled: true },
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '✅ אשר', callback_data: `mod:approve:${item.id}` },
+                        { text: '❌ דחה', callback_data: `mod:reject:${item.id}` },
+                    ]],
+                },
+            });
+            await this.moderation.setAdminMessage(item.id, { chatId: String(adminChatId), messageId: sent.message_id });
+        } catch (err) {
+            this._log(`⚠️ שליחת בקשת אישור לצ'אט המנהלים נכשלה: ${err.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Approve a pending item: dispatch it as if it had just arrived.
+     * @returns {Promise<object | null>} the item, or null if it was already handled
+     */
+    async approvePending(id, by = 'dashboard') {
+        const item = await this.moderation?.take(id, 'approved');
+        if (!item) return null;
+
+        const settings = await this.getSettings();
+        const targets = item.targets.map(t => t.groupId);
+        const delays = new Map(item.targets.map(t => [t.groupId, t.delayMs || 0]));
+
+        if (item.payloads.length > 1) {
+            await this._dispatchAlbum(item.payloads, targets, settings, delays);
+        } else {
+            await Promise.all(targets.map(groupId =>
+                this._dispatchPayload(groupId, item.payloads[0], settings, delays.get(groupId))));
+        }
+
+        this._log(`✅ הודעה ${id} אושרה (${by})`, 'success', { event: 'approved', pendingId: id, by });
+        await this._closeAdminMessage(item, `✅ אושר (${by})`, settings);
+        return item;
+    }
+
+    /**
+     * Reject a pending item — it is dropped.
+     * @returns {Promise<object | null>} the item, or null if it was already handled
+     */
+    async rejectPending(id, by = 'dashboard') {
+        const item = await this.moderation?.take(id, 'rejected');
+        if (!item) return null;
+
+        for (const payload of item.payloads) {
+            for (const { groupId } of item.targets) this._recordOutcome(payload, groupId, { status: 'rejected' });
+        }
+        this._log(`🚫 הודעה ${id} נדחתה (${by})`, 'info', { event: 'rejected', pendingId: id, by });
+        await this._closeAdminMessage(item, `❌ נדחה (${by})`, await this.getSettings());
+        return item;
+    }
+
+    /** Inline-keyboard callback from the admin chat: "mod:<approve|reject>:<id>". */
+    async _handleModerationAction(ctx) {
+        const [, action, id] = ctx.match;
+        const settings = await this.getSettings();
+        if (!settings.moderationChatId || String(ctx.chat?.id) !== String(settings.moderationChatId)) {
+            await ctx.answerCbQuery('אין הרשאה').catch(() => { });
+            return;
+        }
+
+        const by = ctx.from?.username ? `@${ctx.from.username}` : ctx.from?.first_name || 'Telegram';
+        const item = action === 'approve'
+            ? await this.approvePending(id, by)
+            : await this.rejectPending(id, by);
+
+        await ctx.answerCbQuery(item ? (action === 'approve' ? 'אושר' : 'נדחה') : 'כבר טופל').catch(() => { });
+        if (!item) await ctx.editMessageReplyMarkup(undefined).catch(() => { });
+    }
+
+    /** Replace the buttons of the admin-chat message with the decision. */
+    async _closeAdminMessage(item, status, settings) {
+        if (!item.adminMessage) return;
+        const { chatId, messageId } = item.adminMessage;
+        try {
+            const telegram = await this.telegramFor(chatId);
+            const text = `${this._moderationText(item, settings)}\n\n<b>${this._escapeHtml(status)}</b>`;
+            await telegram?.editMessageText(chatId, messageId, undefined, text, {
+                parse_mode: 'HTML',
+                link_preview_options: { is_disabled: true },
+            });
+        } catch (err) {
+            this._log(`⚠️ עדכון הודעת האישור נכשל: ${err.message}`, 'warning');
+        }
+    }
+
+    /** HTML preview of a pending item for the admin chat. */
+    _moderationText(item, settings) {
+        const groups = item.targets
+            .map(t => (settings.groups || []).find(g => g.id === t.groupId)?.name || t.groupId)
+            .join(', ');
+        const media = item.payloads.filter(p => p.media).map(p => p.media.mimetype);
+        const text = item.payloads.map(p => p.text).find(Boolean) || '';
+        const excerpt = text.length > 3000 ? `${text.slice(0, 3000)}…` : text;
+        return [
+            `🛂 <b>ממתין לאישור</b> · ${this._escapeHtml(item.chatTitle || item.source.chatId)}`,
+            `🎯 ${this._escapeHtml(groups)}`,
+            media.length ? `📎 ${this._escapeHtml(media.join(', '))}` : '',
+            excerpt ? `\n${this._escapeHtml(excerpt)}` : '',
+        ].filter(Boolean).join('\n');
+    }
+
+    _escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Edits & deletions                                                 */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * A bridged Telegram post was edited — edit the original WA copy in each
+     * group, or post a corrected copy (quoting it) when WA refuses the edit.
+     * Groups under moderation are skipped: the approved version stays.
+     */
+    async _handleEdit(ctx, botId = 'default') {
+        const msg = ctx.editedChannelPost || ctx.editedMessage;
+        if (!msg || !(await this._isValidSource(msg.chat))) return;
+        // Live locations arrive as a stream of edits — the WA pin stays where it was sent
+        if (msg.location) return;
+
+        const settings = await this.getSettings();
+        if (!this._shouldHandle(settings, msg, botId, msg.edit_date)) return;
+
+        const mapping = this.messageMap.get(msg.chat.id, msg.message_id);
+        if (!mapping) {
+            this._log(`✏️ הודעה ${msg.message_id} נערכה אך לא הועברה בעבר — מתעלם`, 'info');
+            return;
+        }
+        const text = msg.text
+            ? this._renderText(msg.text, msg.entities, msg, settings)
+            : this._renderText(msg.caption, msg.caption_entities, msg, settings);
+
+        // An edit would bypass the approval the original needed — moderated groups keep the approved version
+        const moderated = this._moderatedTargets(msg.chat.id, Object.keys(mapping.targets), settings, await this._resolveRoutes(msg.chat.id, settings));
+
+        for (const [groupId, waIds] of Object.entries(mapping.targets)) {
+            if (moderated.includes(groupId)) {
+                this._log(`🛂 עריכת הודעה ${msg.message_id} לא הועברה ל-${groupId} — הקבוצה במצב אישור`, 'warning');
+                continue;
+            }
+            if (!this.wa.isReadyFor(groupId)) {
+                this._log(`⚠️ WhatsApp לא מחובר — עריכת הודעה ${msg.message_id} לא הועברה ל-${groupId}`, 'warning');
+                continue;
+            }
+            // Only the original copy — later ids are earlier corrections, kept in the map so /delete revokes them too
+            const [waId] = waIds;
+            try {
+                if (await this.wa.editMessage(waId, text)) {
+                    this._log(`✏️ הודעה נערכה ב-WhatsApp (${groupId})`, 'success');
+                    continue;
+                }
+                // Edit not possible → corrected re-post quoting the original
+                const newId = await this._sendToWhatsApp(groupId, { text: `✏️ *תיקון:*\n${text}` }, { quotedMessageId: waId });
+                await this.messageMap.record(msg.chat.id, msg.message_id, groupId, newId);
+                this._log(`✏️ נשלח תיקון להודעה ב-WhatsApp (${groupId})`, 'info');
+            } catch (err) {
+                this._log(`❌ שגיאה בעדכון עריכה ל-${groupId}: ${err.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * "/delete" sent as a reply to a bridged post: revoke the WA copies and
+     * remove the command message itself from the channel.
+     */
+    async _handleDeleteCommand(ctx, msg) {
+        const target = msg.reply_to_message;
+        if (!(await this._isChatAdmin(ctx, msg))) {
+            const by = msg.from?.username ? `@${msg.from.username}` : msg.from?.id ?? 'unknown';
+            this._log(`🚫 פקודת /delete מ-${by} ב-${msg.chat.id} נדחתה — רק מנהלי הצ'אט יכולים למחוק`, 'warning');
+            return;
+        }
+        let revoked = null;
+        try {
+            revoked = await this.revokeForwarded(msg.chat.id, target.message_id);
+        } catch (err) {
+            this._log(`❌ מחיקת ההעתקים ב-WhatsApp להודעה ${target.message_id} נכשלה: ${err.message}`, 'error');
+        }
+        try {
+            await ctx.telegram.deleteMessage(msg.chat.id, msg.message_id);
+        } catch { /* bot may lack delete permission */ }
+        if (revoked === 0) {
+            this._log(`🗑️ לא נמצאו העתקים ב-WhatsApp להודעה ${target.message_id}`, 'warning');
+        }
+    }
+
+    /**
+     * Whether the sender of `msg` administers its chat. Channel posts always
+     * come from admins; in groups an anonymous admin posts as the chat itself.
+     */
+    async _isChatAdmin(ctx, msg) {
+        if (ctx.channelPost) return true;
+        if (msg.sender_chat?.id === msg.chat.id) return true;
+        if (!msg.from) return false;
+        try {
+            const member = await ctx.telegram.getChatMember(msg.chat.id, msg.from.id);
+            return ['creator', 'administrator'].includes(member.status);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Revoke every WhatsApp copy of a Telegram message.
+     * @returns {Promise<number>} how many WA messages were deleted
+     */
+    async revokeForwarded(chatId, messageId) {
+        const mapping = this.messageMap.get(chatId, messageId);
+        if (!mapping) return 0;
+
+        let revoked = 0;
+        let unreachable = 0;
+        for (const [groupId, waIds] of Object.entries(mapping.targets)) {
+            if (!this.wa.isReadyFor(groupId)) {
+                this._log(`⚠️ WhatsApp לא מחובר — לא ניתן למחוק ב-${groupId}`, 'warning');
+                unreachable++;
+                continue;
+            }
+            for (const waId of waIds) {
+                if (await this.wa.deleteMessage(waId)) revoked++;
+            }
+        }
+        // Keep the mapping while a session is down so a later /delete can still reach those copies
+        if (unreachable === 0) await this.messageMap.remove(chatId, messageId);
+        this._log(`🗑️ ${revoked} הודעות נמחקו ב-WhatsApp (מקור: ${messageId})`, revoked ? 'success' : 'warning');
+        return revoked;
+    }
+
+    /**
+     * Run the content filter rules. Logs a structured entry for every drop.
+     */
+    _passesFilters(msg, settings, opts = {}) {
+        if (!msg) return false;
+        const result = this.filter.evaluate(msg, settings.filters, opts);
+        if (result.allowed) return true;
+
+        this.history?.markFiltered('tg-wa', msg.chat?.id, msg.message_id, result.reason);
+        this._log(`🚫 הודעה ${msg.message_id} סוננה (${result.scope}): ${result.reason}`, 'info', {
+            event: 'filtered',
+            chatId: String(msg.chat?.id),
+            messageId: msg.message_id,
+            messageType: this.filter.getMessageType(msg),
+            scope: result.scope,
+            rule: result.rule,
+            reason: result.reason,
+        });
+        return false;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Routing                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Resolve the routes that apply to a source chat.
+     * When no route references the chat, fall back to a synthetic route
+     * that broadcasts to all globally configured groups (legacy behaviour).
+     */
+    async _resolveRoutes(chatId, settings) {
+        const sourceId = String(chatId);
+        const routes = (await this.getRoutes()).filter(r => String(r.sourceChannelId) === sourceId);
+        if (routes.length > 0) {
+            return routes.filter(r => r.enabled !== false);
+        }
+
+        const groups = [...(settings.groups || [])];
         // Legacy fallback
         if (groups.length === 0 && settings.whatsappGroupId) {
             const ids = settings.whatsappGroupId.split(',').map(i => i.trim()).filter(Boolean);
             groups.push(...ids.map(id => ({ id })));
         }
 
-        if (groups.length === 0) {
-            this._log('⚠️ לא הוגדרו קבוצות יעד (WhatsApp).', 'warning');
-            return;
+        return [{
+            id: null,
+            sourceChannelId: sourceId,
+            targetGroupIds: groups.map(g => g.id).filter(Boolean),
+            enabled: true,
+        }];
+    }
+
+    /**
+     * Plugins' transformPayload, given the first route of the source chat.
+     * Returns null when a plugin dropped the payload.
+     */
+    async _transformWithPlugins(payload, chatId, settings) {
+        if (!this.plugins || !payload) return payload;
+        const [route] = await this._resolveRoutes(chatId, settings);
+        const transformed = await this.plugins.transformPayload(payload, route || null);
+        // History and the message map key on `source` — keep it even if a plugin rebuilt the payload
+        return transformed && { source: payload.source, ...transformed };
+    }
+
+    /**
+     * Unique WhatsApp group ids that should receive messages from a source chat.
+     */
+    async _resolveTargets(chatId, settings) {
+        const routes = await this._resolveRoutes(chatId, settings);
+        return [...new Set(routes.flatMap(r => r.targetGroupIds || []))];
+    }
+
+    /**
+     * Per-group delay (ms) from the routes of a source chat (`route.delaySeconds`).
+     * When several routes reach the same group the longest delay wins.
+     * @returns {Map<string, number>}
+     */
+    async _resolveDelays(chatId, settings) {
+        const delays = new Map();
+        for (const route of await this._resolveRoutes(chatId, settings)) {
+            const ms = Math.max(0, Number(route.delaySeconds) || 0) * 1000;
+            for (const groupId of route.targetGroupIds || []) {
+                delays.set(groupId, Math.max(delays.get(groupId) || 0, ms));
+            }
         }
+        return delays;
+    }
+
+    /**
+     * When a queued send to this group may go out: the next opening of its
+     * delivery window, or null while the window is open.
+     */
+    windowRelease(waGroupId, settings) {
+        return this._releaseTime(waGroupId, settings);
+    }
 
-        for (const group of groups) {
-            if (!group.id) continue;
-            await this._dispatchPayload(group.id, payload);
+    /**
+     * When a message for a group must be held: after the route delay, and not
+     * before the group's delivery window opens. Returns null to send right away.
+     * @returns {Date | null}
+     */
+    _releaseTime(waGroupId, settings, delayMs = 0) {
+        const now = Date.now();
+        const earliest = new Date(now + (delayMs || 0));
+        const schedule = (settings?.groups || []).find(g => g.id === waGroupId)?.schedule;
+
+        let release = earliest;
+        if (schedule) {
+            release = this.windows.nextOpening(schedule, earliest);
+            if (!release) {
+                this._log(`⚠️ לקבוצה ${waGroupId} אין חלון שליחה פתוח — שולח ללא השהיה`, 'warning');
+                release = earliest;
+            }
         }
+        return release.getTime() > now ? release : null;
     }
 
     /**
-     * Build a normalised payload from a Telegram context.
-     * Returns { text, media? } or null.
+     * Build a normalised payload from a Telegram context; a file too large to
+     * bridge is replaced according to settings.largeFilePolicy.
      */
     async _buildPayload(ctx, settings) {
-        const footer = settings.footerText ? `\n\n${settings.footerText}` : '';
+        try {
+            return await this._buildMessagePayload(ctx, settings);
+        } catch (err) {
+            if (!(err instanceof FileTooLargeError)) throw err;
+            return this._largeFilePayload(ctx.message || ctx.channelPost, err, settings);
+        }
+    }
+
+    /**
+     * Payload for one Telegram message.
+     * Returns { text, media?, content?, sendOptions? } or null. `content` describes
+     * a native WhatsApp object (poll / location / contact); `text` is then its
+     * readable fallback, used for previews and history. `sendOptions` are extra
+     * whatsapp-web.js send options (sticker / GIF playback).
+     */
+    async _buildMessagePayload(ctx, settings) {
         const msg = ctx.message || ctx.channelPost;
         if (!msg) return null;
 
-        // Use new Entity Parser for text/caption
-        const caption = msg.caption ? this._parseEntities(msg.caption, msg.caption_entities) + footer : footer;
-        const text = msg.text ? this._parseEntities(msg.text, msg.entities) + footer : '';
+        // Entity Parser + transformation pipeline + footer for text/caption
+        const caption = this._renderText(msg.caption, msg.caption_entities, msg, settings);
+        const text = msg.text ? this._renderText(msg.text, msg.entities, msg, settings) : '';
 
         // --- Text ---
         if (msg.text) {
@@ -319,6 +1052,18 @@ export class TelegramBridge {
             return { text: caption, media };
         }
 
+        // --- Animation (GIF) — before Document: animations also carry a 'document' field ---
+        // Telegram stores them as silent MP4; WhatsApp plays those as GIFs
+        if (msg.animation) {
+            const media = await this._downloadTelegramFile(
+                ctx,
+                msg.animation.file_id,
+                msg.animation.mime_type || 'video/mp4',
+                msg.animation.file_name || 'animation.mp4',
+            );
+            return { text: caption, media, sendOptions: { sendVideoAsGif: true } };
+        }
+
         // --- Document ---
         if (msg.document) {
             const media = await this._downloadTelegramFile(
@@ -343,18 +1088,7 @@ export class TelegramBridge {
 
         // --- Sticker ---
         if (msg.sticker) {
-            return { text: `[Sticker] ${msg.sticker.emoji || ''}${footer}` };
-        }
-
-        // --- Animation (GIF) ---
-        if (msg.animation) {
-            const media = await this._downloadTelegramFile(
-                ctx,
-                msg.animation.file_id,
-                'video/mp4',
-                'animation.mp4',
-            );
-            return { text: footer || '', media };
+            return this._buildStickerPayload(ctx, msg, settings);
         }
 
         // --- Audio ---
@@ -379,107 +1113,349 @@ export class TelegramBridge {
             return { text: caption, media };
         }
 
-        return null; // unsupported type
+        // --- Video Note (round video) — sent as a regular video ---
+        if (msg.video_note) {
+            const media = await this._downloadTelegramFile(ctx, msg.video_note.file_id, 'video/mp4', 'video_note.mp4');
+            return { text: this._renderText('', null, msg, settings), media };
+        }
+
+        // --- Poll ---
+        if (msg.poll) {
+            const { question, options, allows_multiple_answers, type } = msg.poll;
+            const fallback = [
+                `📊 ${question}${type === 'quiz' ? ' (חידון)' : ''}`,
+                ...options.map(o => `• ${o.text}`),
+            ].join('\n');
+            return {
+                text: this._renderText(fallback, null, msg, settings),
+                content: {
+                    type: 'poll',
+                    question,
+                    options: options.map(o => o.text),
+                    allowMultipleAnswers: Boolean(allows_multiple_answers),
+                },
+            };
+        }
+
+        // --- Venue / Location ('venue' messages also carry a 'location' field — check it first) ---
+        if (msg.venue || msg.location) {
+            const { latitude, longitude, live_period } = msg.venue?.location || msg.location;
+            const url = `https://maps.google.com/?q=${latitude},${longitude}`;
+            const name = msg.venue?.title || (live_period ? 'מיקום חי' : '');
+            const address = msg.venue?.address || '';
+            const fallback = [`📍 ${name || 'מיקום'}`, address, url].filter(Boolean).join('\n');
+            return {
+                text: this._renderText(fallback, null, msg, settings),
+                content: { type: 'location', latitude, longitude, name, address, url },
+            };
+        }
+
+        // --- Contact ---
+        if (msg.contact) {
+            const name = [msg.contact.first_name, msg.contact.last_name].filter(Boolean).join(' ');
+            const phone = msg.contact.phone_number;
+            return {
+                text: this._renderText(`👤 ${name}\n${phone}`, null, msg, settings),
+                content: { type: 'contact', vcard: this._vCard(name, phone) },
+            };
+        }
+
+        // --- Dice (no WhatsApp equivalent) ---
+        if (msg.dice) {
+            return { text: this._renderText(`${msg.dice.emoji} ${msg.dice.value}`, null, msg, settings) };
+        }
+
+        const kind = UNSUPPORTED_TYPES.find(t => msg[t]) || 'unknown';
+        this._log(`⚠️ סוג הודעה לא נתמך (${kind}) בערוץ ${msg.chat?.title || msg.chat?.id} — ההודעה לא הועברה`, 'warning');
+        return null;
+    }
+
+    /**
+     * Stickers go out as WhatsApp stickers (whatsapp-web.js converts them to
+     * WebP): static .webp as is, video .webm through ffmpeg. Animated .tgs
+     * (Lottie) can't be rendered here — its static thumbnail is sent instead,
+     * and the emoji as text when there is none.
+     */
+    async _buildStickerPayload(ctx, msg, settings) {
+        const { sticker } = msg;
+        const sendOptions = {
+            sendMediaAsSticker: true,
+            stickerName: sticker.set_name || undefined,
+            stickerAuthor: msg.chat?.title || undefined,
+            stickerCategories: sticker.emoji ? [sticker.emoji] : undefined,
+        };
+
+        if (!sticker.is_animated && !sticker.is_video) {
+            const media = await this._downloadTelegramFile(ctx, sticker.file_id, 'image/webp', 'sticker.webp');
+            return { text: '', media, sendOptions };
+        }
+
+        const format = sticker.is_video ? 'webm' : 'tgs';
+        if (sticker.is_video && await this._ffmpegAvailable()) {
+            const media = await this._downloadTelegramFile(ctx, sticker.file_id, 'video/webm', 'sticker.webm');
+            return { text: '', media, sendOptions };
+        }
+
+        if (sticker.thumbnail) {
+            this._log(`🖼️ מדבקה מונפשת (${format}) נשלחת כמדבקה סטטית${sticker.is_video ? ' — ffmpeg לא מותקן' : ''}`, 'info');
+            const media = await this._downloadTelegramFile(ctx, sticker.thumbnail.file_id, 'image/webp', 'sticker.webp');
+            return { text: '', media, sendOptions };
+        }
+
+        this._log(`⚠️ מדבקה מונפשת (${format}) ללא תמונה סטטית — נשלח האימוג'י בלבד`, 'warning');
+        return { text: this._renderText(`[Sticker] ${sticker.emoji || ''}`, null, msg, settings) };
+    }
+
+    /**
+     * A file that can't be bridged: send the caption with a link to the
+     * original post ('link'), with a notice only ('notice'), or nothing ('skip').
+     */
+    _largeFilePayload(msg, err, settings) {
+        const policy = LARGE_FILE_POLICIES.includes(settings.largeFilePolicy) ? settings.largeFilePolicy : 'link';
+        const source = msg.chat?.title || msg.chat?.id;
+        const size = err.size || this._fileSize(msg);
+        const sizeLabel = size ? ` (${(size / 1024 / 1024).toFixed(1)}MB)` : '';
+
+        if (policy === 'skip') {
+            this._log(`📎 קובץ${sizeLabel} מ-${source} ${err.message} — ההודעה לא הועברה`, 'warning');
+            return null;
+        }
+
+        const context = this.transformer.contextFromMessage(msg);
+        const link = policy === 'link' ? this.transformer.renderTemplate('{originalLink}', context) : '';
+        const notice = link
+            ? `📎 הקובץ${sizeLabel} גדול מדי להעברה — לצפייה בטלגרם: ${link}`
+            : `📎 [קובץ${sizeLabel} גדול מדי — לא הועבר]`;
+        this._log(`📎 קובץ${sizeLabel} מ-${source} ${err.message} — ${link ? 'נשלח קישור להודעה המקורית' : 'נשלחה הודעה במקום הקובץ'}`, 'warning');
+
+        // Caption, then the notice, then the footer
+        const caption = this._renderText(msg.caption, msg.caption_entities, msg, { ...settings, footerText: '' });
+        const body = caption ? `${caption}\n\n${notice}` : notice;
+        return { text: settings.footerText ? `${body}\n\n${settings.footerText}` : body };
+    }
+
+    /** Declared size of the message's file (Telegram includes it in most updates). */
+    _fileSize(msg) {
+        const file = msg[this.filter.getMessageType(msg)];
+        return (Array.isArray(file) ? file[file.length - 1] : file)?.file_size || null;
     }
 
     /* ------------------------------------------------------------------ */
     /*  Helpers                                                           */
     /* ------------------------------------------------------------------ */
 
+    /** Telegraf instance, talking to the local Bot API server when TELEGRAM_API_ROOT is set. */
+    _createBot(token) {
+        return TELEGRAM_API_ROOT ? new Telegraf(token, { telegram: { apiRoot: TELEGRAM_API_ROOT } }) : new Telegraf(token);
+    }
+
+    /** Whether ffmpeg (FFMPEG_PATH or on PATH) runs — whatsapp-web.js needs it for video stickers. */
+    _ffmpegAvailable() {
+        this._ffmpeg ??= new Promise((resolve) => {
+            execFile(process.env.FFMPEG_PATH || 'ffmpeg', ['-version'], { timeout: 5000 }, (err) => resolve(!err));
+        });
+        return this._ffmpeg;
+    }
+
+    /**
+     * Convert Telegram text to WhatsApp markup, run the per-channel
+     * transformation pipeline and append the global footer.
+     */
+    _renderText(raw, entities, msg, settings) {
+        const body = raw ? this.formatter.toWhatsApp(raw, entities) : '';
+        const steps = this.transformer.stepsFor(settings.transforms, msg.chat?.id);
+        const transformed = this.transformer.apply(body, steps, this.transformer.contextFromMessage(msg));
+
+        if (!settings.footerText) return transformed;
+        return transformed ? `${transformed}\n\n${settings.footerText}` : settings.footerText;
+    }
+
+    /**
+     * Minimal vCard for a shared contact. The waid parameter lets WhatsApp link
+     * the card to the account behind the number.
+     */
+    _vCard(name, phone) {
+        const digits = String(phone).replace(/\D/g, '');
+        return [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `FN:${name || phone}`,
+            `TEL;type=CELL;waid=${digits}:+${digits}`,
+            'END:VCARD',
+        ].join('\n');
+    }
+
     /**
-     * Download a file from Telegram and return it as a Base64 media object.
+     * Download a file from Telegram into the media store and return its reference.
+     * @throws {FileTooLargeError} above the Bot API download limit or the media size limit
      */
     async _downloadTelegramFile(ctx, fileId, mimetype, filename) {
-        const fileLink = await ctx.telegram.getFileLink(fileId);
-        const res = await fetch(fileLink.href);
-        const buffer = Buffer.from(await res.arrayBuffer());
-
-        return {
-            mimetype,
-            data: buffer.toString('base64'),
-            filename: filename || 'file',
-        };
+        let file;
+        try {
+            file = await ctx.telegram.getFile(fileId);
+        } catch (err) {
+            // Bot API: "Bad Request: file is too big"
+            if (/file is too big/i.test(err.description || err.message)) {
+                throw new FileTooLargeError(null, TELEGRAM_DOWNLOAD_LIMIT, 'telegram');
+            }
+            throw err;
+        }
+        const maxBytes = await this.media.maxBytes();
+        if (file.file_size > maxBytes) throw new FileTooLargeError(file.file_size, maxBytes, 'whatsapp');
+
+        // file_size may be missing or wrong — the store enforces the limit while downloading
+        const fileLink = await ctx.telegram.getFileLink(file);
+        try {
+            return await this.media.download(fileLink.href, { mimetype, filename: filename || 'file' });
+        } catch (err) {
+            if (err instanceof MediaTooLargeError) throw new FileTooLargeError(err.size, err.limit, 'whatsapp');
+            throw err;
+        }
     }
 
     /**
-     * Send a payload to WhatsApp.
-     */
-    async _sendToWhatsApp(chatId, payload) {
-        await this.wa.sendMessage(chatId, payload.text, payload.media || null);
-    }
-
-    /**
-     * Parse formatting entities (Bold, Italic, Code, etc.)
-     * Telegram Entities: [{ offset, length, type }]
-     */
-    _parseEntities(text, entities) {
-        if (!entities || !entities.length) return text;
-
-        // Convert string to array of characters because JS strings are immutable
-        // and UTF-16 split can be tricky, but for simple markers, array split is easiest usually.
-        // However, simple slice works fine if we handle indices backwards to avoid shifting.
-
-        // We will insert markers into the string.
-        let result = text;
-
-        // Sort entities by offset descending so we can modify string from end to start
-        // without messing up the offsets of earlier entities.
-        const sorted = [...entities].sort((a, b) => b.offset - a.offset);
-
-        for (const ent of sorted) {
-            const { offset, length, type } = ent;
-            const start = offset;
-            const end = offset + length;
-
-            let prefix = '';
-            let suffix = '';
-
-            switch (type) {
-                case 'bold':
-                    prefix = '*'; suffix = '*';
-                    break;
-                case 'italic':
-                    prefix = '_'; suffix = '_';
-                    break;
-                case 'strikethrough':
-                    prefix = '~'; suffix = '~';
-                    break;
-                case 'code':
-                    prefix = '```'; suffix = '```';
-                    break;
-                case 'pre':
-                    prefix = '```\n'; suffix = '\n```';
-                    break;
-                case 'spoiler':
-                    // WA doesn't support spoilers standardized, maybe simple block?
-                    prefix = '|| '; suffix = ' ||'; // generic conventions
-                    break;
-                // 'text_link' (URL) is usually just clickable in WA, but we can format it if needed.
-                // For now, keep as plain text (WA auto-links URLs).
-                case 'text_link':
-                    // e.g. [text](url) -> WA doesn't support Markdown links properly, only raw URLs.
-                    // So we just leave the text as is, or maybe append (url).
-                    // decided: Leave as is.
-                    break;
-                default:
-                    continue;
+     * Send a payload to WhatsApp. Returns the sent WA message id.
+     */
+    async _sendToWhatsApp(chatId, payload, options = {}) {
+        // Stored media is read only when the scheduler gets to this send
+        const media = payload.media ? () => this.media.resolve(payload.media) : null;
+        return this.wa.sendMessage(chatId, payload.text, media, {
+            ...payload.sendOptions,
+            ...options,
+            batch: payload.albumId,
+            content: payload.content,
+        });
+    }
+
+    /**
+     * Send a built payload to one WA group, threading it as a reply when
+     * possible and recording the resulting message id.
+     * Used for both live sends and queue flushes.
+     * @returns {Promise<string|null|false>} the WA message id, or false when a plugin dropped the payload
+     */
+    async sendPayload(waGroupId, payload) {
+        if (this.plugins) {
+            const adjusted = await this.plugins.beforeSend(waGroupId, payload);
+            if (!adjusted) {
+                this._recordOutcome(payload, waGroupId, { status: 'rejected', error: 'נעצר על ידי תוסף' });
+                return false;
             }
+            payload = adjusted;
+        }
 
-            // Insert suffix first, then prefix
-            // Note: JS strings are 16-bit code units. Telegram offsets are usually UTF-16 code units.
-            // So slice works perfectly.
-            const before = result.slice(0, start);
-            const inner = result.slice(start, end);
-            const after = result.slice(end);
+        const reply = this._resolveReply(waGroupId, payload);
+        const sending = { media: payload.media };
+        this._sending.add(sending);
+        let waMessageId;
+        try {
+            try {
+                waMessageId = await this._sendToWhatsApp(waGroupId, { ...payload, text: reply.text }, reply.options);
+            } catch (err) {
+                // The quoted WA message may be gone — retry once with the text excerpt instead
+                if (!reply.options.quotedMessageId) throw err;
+                this._log(`⚠️ ציטוט הודעה נכשל (${err.message}) — שולח עם קטע מצוטט`, 'warning');
+                const fallback = this._resolveReply(waGroupId, payload, { ignoreMap: true });
+                waMessageId = await this._sendToWhatsApp(waGroupId, { ...payload, text: fallback.text });
+            }
+        } catch (err) {
+            this._recordOutcome(payload, waGroupId, { status: 'failed', error: err.message });
+            // Not awaited — a slow plugin must not hold up delivery
+            this.plugins?.afterSend({ target: waGroupId, payload, error: err.message });
+            throw err;
+        } finally {
+            this._sending.delete(sending);
+        }
 
-            result = before + prefix + inner + suffix + after;
+        if (payload.source) {
+            await this.messageMap.record(payload.source.chatId, payload.source.messageId, waGroupId, waMessageId);
         }
+        this._recordOutcome(payload, waGroupId, { status: 'sent', messageId: waMessageId });
+        this.plugins?.afterSend({ target: waGroupId, payload, messageId: waMessageId });
+        return waMessageId;
+    }
+
+    /**
+     * Payloads of sends still waiting for their turn. A rate-limited backlog can
+     * outlast the media GC grace period, so their files must stay referenced.
+     */
+    sendingPayloads() {
+        return [...this._sending];
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  History                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /** Open the audit record of an incoming source message. */
+    _beginHistory(msg) {
+        if (!this.history || !msg) return;
+        this.history.begin({
+            direction: 'tg-wa',
+            chatId: msg.chat.id,
+            chatTitle: msg.chat.title || msg.chat.username || '',
+            messageId: msg.message_id,
+            contentType: this.filter.getMessageType(msg),
+            text: msg.text || msg.caption || '',
+            postedAt: msg.date ? new Date(msg.date * 1000).toISOString() : undefined,
+        });
+    }
+
+    /** Record a per-group outcome for the source message of a payload. */
+    _recordOutcome(payload, waGroupId, outcome) {
+        if (!this.history || !payload?.source) return;
+        this.history.setOutcome('tg-wa', payload.source.chatId, payload.source.messageId, waGroupId, outcome);
+    }
+
+    /**
+     * Decide how a reply is rendered in a specific group: a native quoted reply
+     * when the original was bridged there, otherwise a "> excerpt" prefix.
+     * @returns {{ text: string, options: object }}
+     */
+    _resolveReply(waGroupId, payload, { ignoreMap = false } = {}) {
+        const reply = payload.replyTo;
+        if (!reply) return { text: payload.text, options: {} };
+
+        if (!ignoreMap) {
+            const quotedMessageId = this.messageMap.get(reply.chatId, reply.messageId)?.targets[waGroupId]?.[0];
+            if (quotedMessageId) return { text: payload.text, options: { quotedMessageId } };
+        }
+
+        if (!reply.excerpt) return { text: payload.text, options: {} };
+        const quote = reply.excerpt.split('\n').map(line => `> ${line}`).join('\n');
+        return { text: payload.text ? `${quote}\n\n${payload.text}` : quote, options: {} };
+    }
+
+    /**
+     * Tag a payload with the Telegram message it came from (used by the
+     * message map) and the earlier post it replies to, if any.
+     */
+    _withSource(payload, ctx) {
+        const msg = ctx.message || ctx.channelPost;
+        if (!payload || !msg) return payload;
+
+        const tagged = { ...payload, source: { chatId: String(msg.chat.id), messageId: msg.message_id } };
+        if (msg.reply_to_message) {
+            tagged.replyTo = {
+                chatId: String(msg.reply_to_message.chat?.id ?? msg.chat.id),
+                messageId: msg.reply_to_message.message_id,
+                excerpt: this._replyExcerpt(msg),
+            };
+        }
+        return tagged;
+    }
 
-        return result;
+    /** Short plain-text excerpt of the post being replied to. */
+    _replyExcerpt(msg) {
+        const original = msg.reply_to_message;
+        // Bot API 7.0+: the admin may have quoted only part of the original
+        const raw = msg.quote?.text || original.text || original.caption || '';
+        const text = raw.trim() || `[${this.filter.getMessageType(original)}]`;
+        return text.length > 120 ? `${text.slice(0, 120).trimEnd()}…` : text;
     }
 
-    _log(message, level = 'info') {
+    _log(message, level = 'info', meta = null) {
         const entry = { timestamp: new Date().toISOString(), message, category: 'TELEGRAM', level };
+        if (meta) entry.meta = meta;
         console.log(`[TG] ${message}`);
         if (this.io) this.io.emit('log', entry);
     }
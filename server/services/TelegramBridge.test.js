@@ -0,0 +1,105 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TelegramBridge } from './TelegramBridge.js';
+
+const CHAT_ID = -1001;
+const GROUP = '120363@g.us';
+
+/** In-memory stand-in for MessageMapService (same record/get shape, no disk). */
+class MemoryMessageMap {
+    constructor() { this.map = {}; }
+    async record(chatId, messageId, groupId, waId) {
+        const entry = this.map[`${chatId}:${messageId}`] ||= { targets: {} };
+        (entry.targets[groupId] ||= []).push(waId);
+    }
+    get(chatId, messageId) { return this.map[`${chatId}:${messageId}`] || null; }
+}
+
+/** WhatsApp pool that refuses every edit and records what is sent. */
+const refusingPool = () => ({
+    sent: [],
+    edits: [],
+    isReadyFor: () => true,
+    async editMessage(waId) { this.edits.push(waId); return false; },
+    async sendMessage(chatId, text, media, options) {
+        this.sent.push({ chatId, text, quotedMessageId: options.quotedMessageId });
+        return `correction-${this.sent.length}`;
+    },
+});
+
+const edit = (text, editDate) => ({
+    editedChannelPost: { chat: { id: CHAT_ID, type: 'channel' }, message_id: 7, edit_date: editDate, text },
+});
+
+describe('TelegramBridge', () => {
+    describe('_handleEdit', () => {
+        let wa, messageMap, bridge;
+
+        beforeEach(async () => {
+            wa = refusingPool();
+            messageMap = new MemoryMessageMap();
+            await messageMap.record(CHAT_ID, 7, GROUP, 'original');
+            bridge = new TelegramBridge(null, wa, null, async () => ({ channels: [{ id: String(CHAT_ID) }] }), async () => [], messageMap, null);
+            bridge._log = () => { };
+        });
+
+        it('posts one correction per edit, always quoting the original copy', async () => {
+            await bridge._handleEdit(edit('second', 1), 'default');
+            await bridge._handleEdit(edit('third', 2), 'default');
+
+            assert.deepEqual(wa.edits, ['original', 'original']);
+            assert.equal(wa.sent.length, 2);
+            assert.deepEqual(wa.sent.map(s => s.quotedMessageId), ['original', 'original']);
+            assert.match(wa.sent[1].text, /third/);
+            // Corrections stay mapped so /delete revokes them as well
+            assert.deepEqual(messageMap.get(CHAT_ID, 7).targets[GROUP], ['original', 'correction-1', 'correction-2']);
+        });
+
+        it('leaves copies in moderated groups untouched', async () => {
+            bridge.getSettings = async () => ({ channels: [{ id: String(CHAT_ID), moderation: true }] });
+            await bridge._handleEdit(edit('unapproved', 1), 'default');
+
+            assert.deepEqual(wa.edits, []);
+            assert.deepEqual(wa.sent, []);
+        });
+    });
+
+    describe('_handleDeleteCommand', () => {
+        it('removes the command and keeps the mapping while WhatsApp is offline', async () => {
+            const messageMap = new MemoryMessageMap();
+            await messageMap.record(CHAT_ID, 7, GROUP, 'original');
+            const wa = { isReadyFor: () => false, deleteMessage: async () => assert.fail('nothing is connected') };
+            const bridge = new TelegramBridge(null, wa, null, async () => ({}), async () => [], messageMap, null);
+            bridge._log = () => { };
+
+            const deleted = [];
+            const command = { chat: { id: CHAT_ID }, message_id: 8, text: '/delete', reply_to_message: { message_id: 7 } };
+            const ctx = { channelPost: command, telegram: { deleteMessage: async (chatId, id) => deleted.push(id) } };
+            await bridge._handleDeleteCommand(ctx, command);
+
+            assert.deepEqual(deleted, [8]);
+            assert.deepEqual(messageMap.get(CHAT_ID, 7).targets[GROUP], ['original']);
+        });
+    });
+
+    describe('_handleMediaGroup', () => {
+        it('logs a failed album and marks its history instead of rejecting', async (t) => {
+            t.mock.timers.enable({ apis: ['setTimeout'] });
+            const failed = [];
+            const history = { begin() { }, markFailed: (...args) => failed.push(args) };
+            const bridge = new TelegramBridge(null, {}, null, async () => ({}), async () => [], new MemoryMessageMap(), null, null, history);
+            const logs = [];
+            bridge._log = (message, level) => logs.push(level);
+            bridge._processMediaGroup = async () => { throw new Error('download failed'); };
+
+            for (const id of [10, 11]) {
+                bridge._handleMediaGroup({ channelPost: { chat: { id: CHAT_ID }, message_id: id, media_group_id: 'g' } }, 'g', {});
+            }
+            t.mock.timers.tick(2000);
+            await new Promise(resolve => setImmediate(resolve));
+
+            assert.deepEqual(failed.map(([, , id, error]) => [id, error]), [[10, 'download failed'], [11, 'download failed']]);
+            assert.ok(logs.includes('error'));
+        });
+    });
+});
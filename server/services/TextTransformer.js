@@ -0,0 +1,144 @@
+/**
+ * TextTransformer — ordered pipeline of text transformations applied to
+ * the (already WhatsApp-formatted) message text before it is sent.
+ *
+ * Step shape (applied in array order):
+ *   { type: 'replace',            pattern, replacement?, flags? }   regex find/replace
+ *   { type: 'stripMentions' }                                       remove @username tokens
+ *   { type: 'stripTelegramLinks' }                                  remove t.me / telegram.me links
+ *   { type: 'rewriteUrls',        pattern, replacement? }           regex replace inside each URL only
+ *   { type: 'header',             template, separator? }            prepend a templated line
+ *   { type: 'footer',             template, separator? }            append a templated line
+ *
+ * Every step may carry `enabled: false` to be skipped.
+ *
+ * Template placeholders:
+ *   {channelName} {channelUsername} {chatId} {messageId} {date} {time} {originalLink}
+ */
+
+const URL_RE = /\bhttps?:\/\/[^\s<>()]+|\bwww\.[^\s<>()]+/gi;
+// A hidden link is rendered "label (url)" (see EntityFormatter) — take the brackets with it
+const TG_LINK_RE = /[ \t]?\((?:https?:\/\/)?(?:www\.)?(?:t\.me|telegram\.me|telegram\.dog)\/[^\s<>()]*\)|(?:https?:\/\/)?(?:www\.)?(?:t\.me|telegram\.me|telegram\.dog)\/[^\s<>()]*/gi;
+const MENTION_RE = /(^|[^\w@/])@[A-Za-z][A-Za-z0-9_]{3,31}\b/g;
+
+export class TextTransformer {
+    constructor(logFn = null) {
+        this._logFn = logFn;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Public API                                                        */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Return the ordered steps for a source chat: global steps first,
+     * then the channel-specific ones.
+     * @param {object} transforms  settings.transforms — { global: Step[], channels: { [chatId]: Step[] } }
+     */
+    stepsFor(transforms, chatId) {
+        if (!transforms) return [];
+        return [
+            ...(transforms.global || []),
+            ...(transforms.channels?.[String(chatId)] || []),
+        ];
+    }
+
+    /**
+     * Run the pipeline.
+     * @param {string} text
+     * @param {Array}  steps
+     * @param {object} [context]  { chatId, channelName, channelUsername, messageId, date }
+     */
+    apply(text, steps, context = {}) {
+        let result = text || '';
+        for (const step of steps || []) {
+            if (!step || step.enabled === false) continue;
+            try {
+                result = this._applyStep(result, step, context);
+            } catch (err) {
+                this._logFn?.(`⚠️ שלב המרה "${step.type}" נכשל ודולג: ${err.message}`, 'warning');
+            }
+        }
+        return result;
+    }
+
+    /** Build the template context from a Telegram message. */
+    contextFromMessage(msg) {
+        const chat = msg?.chat || {};
+        return {
+            chatId: chat.id,
+            channelName: chat.title || '',
+            channelUsername: chat.username || '',
+            messageId: msg?.message_id,
+            date: msg?.date ? new Date(msg.date * 1000) : new Date(),
+        };
+    }
+
+    /** Fill {placeholders} in a template. Unknown placeholders are kept as-is. */
+    renderTemplate(template, context = {}) {
+        const date = context.date instanceof Date ? context.date : new Date(context.date || Date.now());
+        const values = {
+            channelName: context.channelName || '',
+            channelUsername: context.channelUsername ? `@${context.channelUsername}` : '',
+            chatId: context.chatId != null ? String(context.chatId) : '',
+            messageId: context.messageId != null ? String(context.messageId) : '',
+            date: date.toLocaleDateString('he-IL'),
+            time: date.toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' }),
+            originalLink: this._originalLink(context),
+        };
+        return String(template || '').replace(/\{(\w+)\}/g, (m, key) => (key in values ? values[key] : m));
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Steps                                                             */
+    /* ------------------------------------------------------------------ */
+
+    _applyStep(text, step, context) {
+        switch (step.type) {
+            case 'replace': {
+                if (!step.pattern) return text;
+                const flags = step.flags ?? 'g';
+                return text.replace(new RegExp(step.pattern, flags), step.replacement ?? '');
+            }
+            case 'stripMentions':
+                return this._tidy(text.replace(MENTION_RE, '$1'));
+            case 'stripTelegramLinks':
+                return this._tidy(text.replace(TG_LINK_RE, ''));
+            case 'rewriteUrls': {
+                if (!step.pattern) return text;
+                const re = new RegExp(step.pattern, step.flags ?? 'g');
+                return text.replace(URL_RE, (url) => url.replace(re, step.replacement ?? ''));
+            }
+            case 'header': {
+                const line = this.renderTemplate(step.template, context);
+                if (!line) return text;
+                return text ? `${line}${step.separator ?? '\n\n'}${text}` : line;
+            }
+            case 'footer': {
+                const line = this.renderTemplate(step.template, context);
+                if (!line) return text;
+                return text ? `${text}${step.separator ?? '\n\n'}${line}` : line;
+            }
+            default:
+                return text;
+        }
+    }
+
+    /** Collapse whitespace left behind after removing tokens. */
+    _tidy(text) {
+        return text
+            .replace(/[ \t]{2,}/g, ' ')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /** Public t.me link for a channel post (private channels use the /c/ form). */
+    _originalLink({ chatId, channelUsername, messageId }) {
+        if (messageId == null) return '';
+        if (channelUsername) return `https://t.me/${channelUsername}/${messageId}`;
+        if (chatId == null) return '';
+        const internalId = String(chatId).replace(/^-100/, '');
+        return `https://t.me/c/${internalId}/${messageId}`;
+    }
+}
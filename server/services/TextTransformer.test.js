@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextTransformer } from './TextTransformer.js';
+
+const transformer = new TextTransformer();
+
+const run = (text, ...steps) => transformer.apply(text, steps, {});
+
+describe('TextTransformer', () => {
+    describe('pipeline', () => {
+        it('orders global steps before channel steps', () => {
+            const transforms = {
+                global: [{ type: 'stripMentions' }],
+                channels: { '-100': [{ type: 'footer', template: 'bye' }] },
+            };
+            assert.deepEqual(transformer.stepsFor(transforms, -100).map(s => s.type), ['stripMentions', 'footer']);
+            assert.deepEqual(transformer.stepsFor(transforms, -200).map(s => s.type), ['stripMentions']);
+            assert.deepEqual(transformer.stepsFor(null, -100), []);
+        });
+
+        it('applies steps in order and skips disabled ones', () => {
+            assert.equal(run('a b', { type: 'replace', pattern: 'a', replacement: 'b' }, { type: 'replace', pattern: 'b', replacement: 'c' }), 'c c');
+            assert.equal(run('a', { type: 'replace', pattern: 'a', replacement: 'b', enabled: false }), 'a');
+        });
+
+        it('skips a failing step, warns and keeps going', () => {
+            const logs = [];
+            const logged = new TextTransformer((message, level) => logs.push(level));
+            const steps = [{ type: 'replace', pattern: '(' }, { type: 'replace', pattern: 'x', replacement: 'y' }];
+            assert.equal(logged.apply('x', steps), 'y');
+            assert.deepEqual(logs, ['warning']);
+        });
+
+        it('returns an empty string for missing text', () => {
+            assert.equal(transformer.apply(undefined, []), '');
+        });
+    });
+
+    describe('replace', () => {
+        it('replaces every match by default', () => {
+            assert.equal(run('a-b-c', { type: 'replace', pattern: '-', replacement: '+' }), 'a+b+c');
+        });
+
+        it('honours custom flags and removes matches without a replacement', () => {
+            assert.equal(run('A a', { type: 'replace', pattern: 'a', flags: 'gi' }), ' ');
+            assert.equal(run('a a', { type: 'replace', pattern: 'a', replacement: 'b', flags: '' }), 'b a');
+        });
+    });
+
+    describe('stripMentions', () => {
+        it('removes @username tokens and tidies spacing', () => {
+            assert.equal(run('thanks @someone for this', { type: 'stripMentions' }), 'thanks for this');
+            assert.equal(run('@someone\nhello', { type: 'stripMentions' }), 'hello');
+        });
+
+        it('keeps emails and url paths', () => {
+            assert.equal(run('mail me@example.com', { type: 'stripMentions' }), 'mail me@example.com');
+            assert.equal(run('https://x.com/@handle', { type: 'stripMentions' }), 'https://x.com/@handle');
+        });
+    });
+
+    describe('stripTelegramLinks', () => {
+        it('removes bare and schemeless t.me links', () => {
+            assert.equal(run('join https://t.me/chan today', { type: 'stripTelegramLinks' }), 'join today');
+            assert.equal(run('join t.me/chan or telegram.me/other', { type: 'stripTelegramLinks' }), 'join or');
+        });
+
+        it('keeps other links', () => {
+            assert.equal(run('see https://example.com/t.me', { type: 'stripTelegramLinks' }), 'see https://example.com/t.me');
+        });
+    });
+
+    describe('rewriteUrls', () => {
+        it('rewrites inside urls only', () => {
+            const step = { type: 'rewriteUrls', pattern: '[?&]utm_[^&]*' };
+            assert.equal(run('utm_x stays https://a.com/p?utm_source=tg', step), 'utm_x stays https://a.com/p');
+        });
+
+        it('does nothing without a pattern', () => {
+            assert.equal(run('https://a.com', { type: 'rewriteUrls' }), 'https://a.com');
+        });
+    });
+
+    describe('header and footer', () => {
+        const context = { channelName: 'News', channelUsername: 'news', chatId: -1001, messageId: 7 };
+
+        it('adds templated lines around the text', () => {
+            const steps = [{ type: 'header', template: '{channelName}' }, { type: 'footer', template: '{originalLink}', separator: '\n' }];
+            assert.equal(transformer.apply('body', steps, context), 'News\n\nbody\nhttps://t.me/news/7');
+        });
+
+        it('stands alone on empty text and is skipped when it renders empty', () => {
+            assert.equal(transformer.apply('', [{ type: 'footer', template: '{channelUsername}' }], context), '@news');
+            assert.equal(transformer.apply('body', [{ type: 'header', template: '{channelName}' }], {}), 'body');
+        });
+    });
+
+    describe('renderTemplate', () => {
+        it('fills known placeholders and keeps unknown ones', () => {
+            const context = { channelName: 'News', chatId: -1001, messageId: 7 };
+            assert.equal(transformer.renderTemplate('{channelName} {chatId}/{messageId} {nope}', context), 'News -1001/7 {nope}');
+        });
+
+        it('links private channels through the /c/ form', () => {
+            assert.equal(transformer.renderTemplate('{originalLink}', { chatId: -1001234, messageId: 9 }), 'https://t.me/c/1234/9');
+            assert.equal(transformer.renderTemplate('{originalLink}', { chatId: -1001234 }), '');
+        });
+
+        it('builds the context from a message', () => {
+            const msg = { chat: { id: -1001, title: 'News', username: 'news' }, message_id: 3, date: 1_700_000_000 };
+            assert.deepEqual(transformer.contextFromMessage(msg), {
+                chatId: -1001,
+                channelName: 'News',
+                channelUsername: 'news',
+                messageId: 3,
+                date: new Date(1_700_000_000_000),
+            });
+        });
+    });
+});
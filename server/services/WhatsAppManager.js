@@ -1,5 +1,5 @@
 import pkg from 'whatsapp-web.js';
-const { Client, LocalAuth, MessageMedia } = pkg;
+const { Client, LocalAuth, MessageMedia, Poll, Location } = pkg;
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import fs from 'fs-extra';
@@ -8,19 +8,61 @@ import QRCode from 'qrcode';
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const AUTH_DIR = join(__dirname, '..', '.wwebjs_auth');
 
+/** Id of the session that owns the legacy (pre multi-session) auth folder. */
+export const DEFAULT_SESSION_ID = 'default';
+
+/**
+ * Socket.io room of dashboards allowed to see login QRs and pairing codes —
+ * whoever holds one can link their own device to the account.
+ */
+export const LOGIN_ROOM = 'wa-login';
+
+/** Events that carry login secrets; only sent to LOGIN_ROOM. */
+const LOGIN_EVENTS = new Set(['wa:qr', 'wa:pairing']);
+
+/** A pairing code is valid this long; WhatsApp Web issues a new one when it runs out. */
+const PAIRING_CODE_TTL_MS = 3 * 60 * 1000;
+
+/** Codes issued before pairing is given up and the session falls back to QR. */
+const PAIRING_MAX_CODES = 3;
+
+/** How long requestPairingCode() waits for the first code (the browser has to start). */
+const PAIRING_START_TIMEOUT_MS = 90_000;
+
 /**
  * WhatsAppManager — self-healing wrapper around whatsapp-web.js Client.
  * Automatically reconnects on failure & exposes status via Socket.io.
+ *
+ * One instance per WhatsApp account (session); see WhatsAppPool.
  */
 export class WhatsAppManager {
-    constructor(io) {
+    /**
+     * @param {object} io
+     * @param {string} [sessionId]  LocalAuth clientId — 'default' keeps the legacy auth folder
+     * @param {string} [name]       display name used in logs
+     */
+    constructor(io, sessionId = DEFAULT_SESSION_ID, name = '') {
         /** @type {import('socket.io').Server} */
         this.io = io;
+        this.sessionId = sessionId;
+        this.name = name;
         /** @type {import('whatsapp-web.js').Client | null} */
         this.client = null;
-        this.status = 'disconnected'; // disconnected | qr | authenticated | ready | error
+        this.status = 'disconnected'; // disconnected | qr | pairing | authenticated | ready | error
         this.qrDataUrl = null;
+        /** Phone-number login in progress: { phoneNumber, code, expiresAt, issued } (see requestPairingCode) */
+        this.pairing = null;
+        this._pairingTimer = null;
+        /** Waiting requestPairingCode() call: { resolve, reject, timer } */
+        this._pairingWaiter = null;
         this._reconnecting = false;
+        this._destroyed = false;
+        /** Incoming message listeners (see onMessage) */
+        this._messageHandlers = [];
+        /** Status change listeners (see onStatusChange) */
+        this._statusHandlers = [];
+        /** New QR code listeners (see onQr) */
+        this._qrHandlers = [];
     }
 
     /* ------------------------------------------------------------------ */
@@ -37,7 +79,17 @@ export class WhatsAppManager {
         this._log('🔌 מאתחל WhatsApp Client...', 'info');
 
         this.client = new Client({
-            authStrategy: new LocalAuth({ dataPath: AUTH_DIR }),
+            authStrategy: new LocalAuth({ dataPath: AUTH_DIR, clientId: this._clientId }),
+            // Converts video stickers to animated WebP
+            ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+            // Phone-number login: the client emits 'code' instead of 'qr'
+            ...(this.pairing && {
+                pairWithPhoneNumber: {
+                    phoneNumber: this.pairing.phoneNumber,
+                    showNotification: true,
+                    intervalMs: PAIRING_CODE_TTL_MS,
+                },
+            }),
             puppeteer: {
                 headless: true,
                 args: [
@@ -59,7 +111,7 @@ export class WhatsAppManager {
         }
     }
 
-    /** Destroy client, delete auth folder, then re-init for a clean login. */
+    /** Destroy client, delete this session's auth folder, then re-init for a clean login. */
     async hardReset() {
         this._log('🔨 Hard Reset — מוחק נתוני אימות...', 'warning');
         try {
@@ -67,39 +119,216 @@ export class WhatsAppManager {
         } catch { /* ignore */ }
         this.client = null;
 
-        await fs.remove(AUTH_DIR);
+        await fs.remove(this.authPath);
         this._log('🗑️ תיקיית auth נמחקה', 'info');
         await this.init();
     }
 
+    /**
+     * Permanently shut this session down (no reconnects).
+     * @param {boolean} [removeAuth=false] also delete the stored login
+     */
+    async destroy(removeAuth = false) {
+        this._destroyed = true;
+        this._endPairing('cancelled');
+        try {
+            if (this.client) await this.client.destroy();
+        } catch { /* ignore */ }
+        this.client = null;
+        if (removeAuth) await fs.remove(this.authPath);
+        this._setStatus('disconnected');
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Pairing code login                                                */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Log in with a pairing code for `phoneNumber` instead of scanning a QR.
+     * Restarts the client in pairing mode; the code is entered on the phone
+     * (WhatsApp → Linked devices → Link with phone number).
+     * Every code is also emitted as `wa:pairing`. After PAIRING_MAX_CODES
+     * unused codes the session goes back to the QR flow.
+     * @param {string} phoneNumber  international format, digits only (e.g. 972501234567)
+     * @returns {Promise<{ phoneNumber, code, expiresAt }>} the first code
+     */
+    async requestPairingCode(phoneNumber) {
+        const digits = String(phoneNumber ?? '').replace(/[\s+()-]/g, '');
+        if (!/^\d{8,15}$/.test(digits)) {
+            throw new Error('מספר טלפון לא תקין — בפורמט בינלאומי, ספרות בלבד (למשל 972501234567)');
+        }
+        if (this.status === 'ready' || this.status === 'authenticated') {
+            throw new Error('WhatsApp כבר מחובר — בצע Hard Reset כדי לקשר מחדש');
+        }
+
+        this._endPairing('cancelled');
+        this.pairing = { phoneNumber: digits, code: null, expiresAt: null, issued: 0 };
+        this._log(`🔢 מבקש קוד צימוד עבור ${this._maskPhone(digits)}...`, 'info');
+
+        const first = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pairingWaiter = null;
+                reject(new Error('לא התקבל קוד צימוד — נסה שוב בעוד רגע'));
+            }, PAIRING_START_TIMEOUT_MS);
+            this._pairingWaiter = { resolve, reject, timer };
+        });
+        this.init();
+        return first;
+    }
+
+    /** Stop a pairing-code login and go back to QR. */
+    async cancelPairing() {
+        if (!this.pairing) return false;
+        this._endPairing('cancelled');
+        this._log('↩️ ההתחברות עם קוד צימוד בוטלה — חוזר ל-QR', 'info');
+        await this.init();
+        return true;
+    }
+
+    /** Current pairing code (null when none is active). */
+    get pairingInfo() {
+        if (!this.pairing?.code) return null;
+        const { phoneNumber, code, expiresAt } = this.pairing;
+        return { phoneNumber, code, expiresAt };
+    }
+
+    /** Folder LocalAuth uses for this session. */
+    get authPath() {
+        return join(AUTH_DIR, this._clientId ? `session-${this._clientId}` : 'session');
+    }
+
+    /** LocalAuth clientId — undefined for the default session (legacy folder layout). */
+    get _clientId() {
+        return this.sessionId === DEFAULT_SESSION_ID ? undefined : this.sessionId;
+    }
+
     /* ------------------------------------------------------------------ */
     /*  Messaging                                                         */
     /* ------------------------------------------------------------------ */
 
     /**
      * Send a message (text or media) to a chat.
-     * @param {string} chatId  — WhatsApp group/chat JID
-     * @param {string} text    — message body
-     * @param {object} [media] — { mimetype, data (base64), filename }
+     * @param {string} chatId    — WhatsApp group/chat JID
+     * @param {string} text      — message body
+     * @param {object} [media]   — { mimetype, data (base64), filename }
+     * @param {object} [options] — extra whatsapp-web.js send options (e.g. quotedMessageId), plus
+     *        `content`: a native object to send instead of `text` — { type: 'poll' | 'location' | 'contact', … }
+     * @returns {Promise<string|null>} serialized id of the sent WA message
      */
-    async sendMessage(chatId, text, media = null) {
+    async sendMessage(chatId, text, media = null, options = {}) {
         if (this.status !== 'ready') {
             throw new Error('WhatsApp לא מחובר');
         }
 
-        if (media) {
+        const { content, ...sendOptions } = options;
+        const native = content ? this._nativeContent(content) : null;
+
+        let sent;
+        if (native) {
+            sent = await this.client.sendMessage(chatId, native, sendOptions);
+        } else if (media) {
             // Proper Base64 MessageMedia creation to prevent "Corrupted Object" errors
             const waMedia = new MessageMedia(
                 media.mimetype,
                 media.data, // already base64
                 media.filename || 'file',
             );
-            await this.client.sendMessage(chatId, waMedia, { caption: text || '' });
+            // Stickers can't carry a caption
+            const caption = sendOptions.sendMediaAsSticker ? undefined : text || '';
+            sent = await this.client.sendMessage(chatId, waMedia, { ...sendOptions, caption });
         } else {
-            await this.client.sendMessage(chatId, text);
+            sent = await this.client.sendMessage(chatId, text, sendOptions);
+        }
+        return sent?.id?._serialized || null;
+    }
+
+    /** whatsapp-web.js object for a payload's `content`; null → send the text fallback. */
+    _nativeContent(content) {
+        switch (content.type) {
+            case 'poll':
+                return new Poll(content.question, content.options, { allowMultipleAnswers: content.allowMultipleAnswers });
+            case 'location':
+                return new Location(content.latitude, content.longitude, {
+                    name: content.name || undefined,
+                    address: content.address || undefined,
+                    url: content.url || undefined,
+                });
+            case 'contact':
+                // A vCard string is sent as a contact card (parseVCards is on by default)
+                return content.vcard;
+            default:
+                this._log(`⚠️ סוג תוכן לא מוכר (${content.type}) — נשלח כטקסט`, 'warning');
+                return null;
         }
     }
 
+    /**
+     * Edit the text / caption of a message we sent earlier.
+     * @returns {Promise<boolean>} false when WA refused (too old, not ours, unsupported type)
+     */
+    async editMessage(messageId, text) {
+        const msg = await this._getOwnMessage(messageId);
+        if (!msg) return false;
+        try {
+            const edited = await msg.edit(text);
+            return Boolean(edited);
+        } catch (err) {
+            this._log(`⚠️ עריכת הודעה ${messageId} נכשלה: ${err.message}`, 'warning');
+            return false;
+        }
+    }
+
+    /**
+     * Revoke ("delete for everyone") a message we sent earlier.
+     * @returns {Promise<boolean>}
+     */
+    async deleteMessage(messageId) {
+        const msg = await this._getOwnMessage(messageId);
+        if (!msg) return false;
+        try {
+            await msg.delete(true);
+            return true;
+        } catch (err) {
+            this._log(`⚠️ מחיקת הודעה ${messageId} נכשלה: ${err.message}`, 'warning');
+            return false;
+        }
+    }
+
+    /** Look up one of our own messages by its serialized id. */
+    async _getOwnMessage(messageId) {
+        if (this.status !== 'ready') {
+            throw new Error('WhatsApp לא מחובר');
+        }
+        const msg = await this.client.getMessageById(messageId);
+        if (!msg || !msg.fromMe) return null;
+        return msg;
+    }
+
+    /**
+     * Subscribe to incoming WhatsApp messages (not our own).
+     * Survives client re-initialisation.
+     * @param {(msg: import('whatsapp-web.js').Message, manager: WhatsAppManager) => any} handler
+     */
+    onMessage(handler) {
+        this._messageHandlers.push(handler);
+    }
+
+    /**
+     * Subscribe to status transitions.
+     * @param {(status: string, manager: WhatsAppManager) => any} handler
+     */
+    onStatusChange(handler) {
+        this._statusHandlers.push(handler);
+    }
+
+    /**
+     * Subscribe to login QR codes (a new one every time WhatsApp rotates it).
+     * @param {(qrDataUrl: string, manager: WhatsAppManager) => any} handler
+     */
+    onQr(handler) {
+        this._qrHandlers.push(handler);
+    }
+
     /** Whether the client is ready to send. */
     get isReady() {
         return this.status === 'ready';
@@ -117,14 +346,23 @@ export class WhatsAppManager {
             this.qrDataUrl = await QRCode.toDataURL(qr);
             this._emit('wa:qr', { qr: this.qrDataUrl });
             this._log('📱 קוד QR נוצר — סרוק עם WhatsApp', 'info');
+            for (const handler of this._qrHandlers) {
+                Promise.resolve()
+                    .then(() => handler(this.qrDataUrl, this))
+                    .catch(err => this._log(`❌ שגיאה בטיפול בקוד QR: ${err.message}`, 'error'));
+            }
         });
 
+        c.on('code', (code) => this._onPairingCode(code));
+
         c.on('authenticated', () => {
+            this._endPairing('paired');
             this._setStatus('authenticated');
             this._log('🔑 אומת בהצלחה', 'success');
         });
 
         c.on('ready', () => {
+            this.qrDataUrl = null;
             this._setStatus('ready');
             this._log('✅ WhatsApp מוכן לשליחה', 'success');
             this._emit('wa:ready', {});
@@ -136,6 +374,14 @@ export class WhatsAppManager {
             this._scheduleReconnect();
         });
 
+        c.on('message', (msg) => {
+            for (const handler of this._messageHandlers) {
+                Promise.resolve()
+                    .then(() => handler(msg, this))
+                    .catch(err => this._log(`❌ שגיאה בטיפול בהודעה נכנסת: ${err.message}`, 'error'));
+            }
+        });
+
         c.on('disconnected', (reason) => {
             this._setStatus('disconnected');
             this._log(`🔌 WhatsApp התנתק: ${reason}`, 'error');
@@ -143,13 +389,69 @@ export class WhatsAppManager {
         });
     }
 
+    _onPairingCode(code) {
+        if (!this.pairing) return;
+        this.pairing.issued++;
+        if (this.pairing.issued > PAIRING_MAX_CODES) {
+            this._expirePairing();
+            return;
+        }
+
+        // "ABCDEFGH" → "ABCD-EFGH", the way the phone displays it
+        this.pairing.code = String(code).replace(/^(.{4})(.{4})$/, '$1-$2');
+        this.pairing.expiresAt = new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString();
+        this.qrDataUrl = null;
+        this._setStatus('pairing');
+        this._emit('wa:pairing', { state: 'active', ...this.pairingInfo });
+        // The log reaches every dashboard — the code itself only goes out as wa:pairing (LOGIN_ROOM)
+        this._log(`🔢 קוד צימוד הונפק, בתוקף עד ${new Date(this.pairing.expiresAt).toLocaleTimeString('he-IL')} — מוצג בדשבורד למפעילים`, 'info');
+
+        if (this._pairingWaiter) {
+            clearTimeout(this._pairingWaiter.timer);
+            this._pairingWaiter.resolve(this.pairingInfo);
+            this._pairingWaiter = null;
+        }
+
+        // WhatsApp Web rotates the code by itself — this only fires if it stops doing so
+        clearTimeout(this._pairingTimer);
+        this._pairingTimer = setTimeout(() => this._expirePairing(), PAIRING_CODE_TTL_MS + 10_000);
+        this._pairingTimer.unref?.();
+    }
+
+    /** No code was used in time — fall back to the QR flow. */
+    _expirePairing() {
+        if (!this.pairing) return;
+        this._endPairing('expired');
+        this._log('⌛ תוקף קוד הצימוד פג — חוזר להתחברות עם QR', 'warning');
+        this.init();
+    }
+
+    /**
+     * Clear pairing state and tell the dashboards how it ended.
+     * @param {'paired'|'expired'|'cancelled'} state
+     */
+    _endPairing(state) {
+        clearTimeout(this._pairingTimer);
+        this._pairingTimer = null;
+        if (this._pairingWaiter) {
+            clearTimeout(this._pairingWaiter.timer);
+            this._pairingWaiter.reject(new Error(state === 'paired' ? 'החשבון כבר קושר' : 'בקשת קוד הצימוד בוטלה'));
+            this._pairingWaiter = null;
+        }
+        if (!this.pairing) return;
+        const { phoneNumber } = this.pairing;
+        this.pairing = null;
+        this._emit('wa:pairing', { state, phoneNumber, code: null, expiresAt: null });
+    }
+
     /** Attempt automatic reconnection after a delay. */
     _scheduleReconnect() {
-        if (this._reconnecting) return;
+        if (this._reconnecting || this._destroyed) return;
         this._reconnecting = true;
         this._log('🔄 ניסיון חיבור מחדש בעוד 10 שניות...', 'warning');
         setTimeout(async () => {
             this._reconnecting = false;
+            if (this._destroyed) return;
             await this.init();
         }, 10_000);
     }
@@ -161,14 +463,28 @@ export class WhatsAppManager {
     _setStatus(status) {
         this.status = status;
         this._emit('wa:status', { status });
+        for (const handler of this._statusHandlers) {
+            try { handler(status, this); } catch (err) { console.error(`[WA] status handler failed: ${err.message}`); }
+        }
     }
 
+    /** "972501234567" → "•••••••••567" for logs every dashboard sees. */
+    _maskPhone(digits) {
+        return `${'•'.repeat(Math.max(0, digits.length - 3))}${digits.slice(-3)}`;
+    }
+
+    /** Every event carries the session id so dashboards can tell sessions apart. */
     _emit(event, data) {
-        if (this.io) this.io.emit(event, data);
+        if (!this.io) return;
+        const target = LOGIN_EVENTS.has(event) ? this.io.to(LOGIN_ROOM) : this.io;
+        target.emit(event, { sessionId: this.sessionId, ...data });
     }
 
     _log(message, level = 'info') {
-        const entry = { timestamp: new Date().toISOString(), message, category: 'WHATSAPP', level };
+        if (this.sessionId !== DEFAULT_SESSION_ID) {
+            message = `[${this.name || this.sessionId}] ${message}`;
+        }
+        const entry = { timestamp: new Date().toISOString(), message, category: 'WHATSAPP', level, sessionId: this.sessionId };
         console.log(`[WA] ${message}`);
         if (this.io) this.io.emit('log', entry);
     }
@@ -182,7 +498,8 @@ export class WhatsAppManager {
             .filter(c => c.isGroup)
             .map(c => ({
                 id: c.id._serialized,
-                name: c.name
+                name: c.name,
+                sessionId: this.sessionId,
             }));
     }
 }
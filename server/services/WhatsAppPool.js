@@ -0,0 +1,204 @@
+import { WhatsAppManager, DEFAULT_SESSION_ID } from './WhatsAppManager.js';
+
+/**
+ * WhatsAppPool — owns one WhatsAppManager per configured session
+ * (settings.sessions) and routes every call to the session that owns
+ * the target group (settings.groups[].sessionId).
+ *
+ * Exposes the same messaging surface as a single WhatsAppManager, keyed by
+ * group / message id, so the bridges don't need to know about sessions.
+ * Every outbound call (send / edit / delete) passes through the SendScheduler.
+ */
+export class WhatsAppPool {
+    /**
+     * @param {object} io
+     * @param {import('./SendScheduler.js').SendScheduler} [scheduler]  rate limiter for outbound calls
+     */
+    constructor(io, scheduler = null) {
+        /** @type {import('socket.io').Server} */
+        this.io = io;
+        this.scheduler = scheduler;
+        /** @type {Map<string, WhatsAppManager>} */
+        this.sessions = new Map();
+        /** Map<waGroupId, sessionId> — refreshed on every sync() */
+        this._groupSessions = new Map();
+        this._messageHandlers = [];
+        this._statusHandlers = [];
+        this._qrHandlers = [];
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Session management                                                */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Reconcile running managers with settings.sessions and refresh the
+     * group → session lookup. Sessions no longer configured are shut down
+     * (their login is kept on disk).
+     * @returns {WhatsAppManager[]} managers created by this call (not yet initialised)
+     */
+    sync(settings) {
+        const configured = settings.sessions?.length
+            ? settings.sessions
+            : [{ id: DEFAULT_SESSION_ID, name: '' }];
+
+        const created = [];
+        for (const { id, name } of configured) {
+            const existing = this.sessions.get(id);
+            if (existing) {
+                existing.name = name || '';
+                continue;
+            }
+            const manager = this._create(id, name);
+            this.sessions.set(id, manager);
+            created.push(manager);
+        }
+
+        const wanted = new Set(configured.map(s => s.id));
+        for (const id of [...this.sessions.keys()]) {
+            if (!wanted.has(id)) {
+                this.remove(id).catch(() => { /* already logged */ });
+            }
+        }
+
+        this._groupSessions = new Map(
+            (settings.groups || []).filter(g => g.id && g.sessionId).map(g => [g.id, g.sessionId]),
+        );
+        return created;
+    }
+
+    /**
+     * Stop and forget a session.
+     * @param {boolean} [removeAuth=false] also delete its stored login
+     */
+    async remove(id, removeAuth = false) {
+        const manager = this.sessions.get(id);
+        if (!manager) return false;
+        this.sessions.delete(id);
+        await manager.destroy(removeAuth);
+        return true;
+    }
+
+    /** Initialise every session that has no client yet (or the given ones). */
+    initAll(managers = [...this.sessions.values()]) {
+        return Promise.all(managers.map(m => m.init().catch(err => {
+            m._log(`❌ שגיאת אתחול WhatsApp: ${err.message}`, 'error');
+        })));
+    }
+
+    /** @returns {WhatsAppManager | undefined} */
+    get(id) {
+        return this.sessions.get(id);
+    }
+
+    /** Summary of all sessions for the API / dashboard. */
+    list() {
+        return [...this.sessions.values()].map(m => ({
+            id: m.sessionId,
+            name: m.name,
+            status: m.status,
+            qr: m.qrDataUrl,
+        }));
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Routing                                                           */
+    /* ------------------------------------------------------------------ */
+
+    /** Session id that sends to a group: its configured session, else default, else the first one. */
+    sessionIdForGroup(groupId) {
+        const mapped = this._groupSessions.get(groupId);
+        if (mapped && this.sessions.has(mapped)) return mapped;
+        if (this.sessions.has(DEFAULT_SESSION_ID)) return DEFAULT_SESSION_ID;
+        return this.sessions.keys().next().value;
+    }
+
+    /** @returns {WhatsAppManager | undefined} */
+    forGroup(groupId) {
+        return this.sessions.get(this.sessionIdForGroup(groupId));
+    }
+
+    /** Whether the session that owns `groupId` is ready to send. */
+    isReadyFor(groupId) {
+        return Boolean(this.forGroup(groupId)?.isReady);
+    }
+
+    /** Whether at least one session is ready. */
+    get isReady() {
+        return [...this.sessions.values()].some(m => m.isReady);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Messaging (same surface as WhatsAppManager)                       */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * @param {object | Function} [media]  media object, or an async fn returning one — called
+     *        only when the send's turn comes, so large files aren't held while waiting
+     * @param {object} [options]  WA send options, plus `batch` (album key for the scheduler)
+     */
+    async sendMessage(groupId, text, media = null, options = {}) {
+        const { batch, ...sendOptions } = options;
+        return this._schedule(groupId, async () => {
+            const resolved = typeof media === 'function' ? await media() : media;
+            return this._require(this.forGroup(groupId)).sendMessage(groupId, text, resolved, sendOptions);
+        }, batch);
+    }
+
+    async editMessage(messageId, text) {
+        return this._schedule(this._chatOf(messageId), () =>
+            this._require(this._forMessage(messageId)).editMessage(messageId, text));
+    }
+
+    async deleteMessage(messageId) {
+        return this._schedule(this._chatOf(messageId), () =>
+            this._require(this._forMessage(messageId)).deleteMessage(messageId));
+    }
+
+    /** Incoming messages from every session: handler(msg, manager). */
+    onMessage(handler) {
+        this._messageHandlers.push(handler);
+    }
+
+    /** Status transitions from every session: handler(status, manager). */
+    onStatusChange(handler) {
+        this._statusHandlers.push(handler);
+    }
+
+    /** Login QR codes from every session: handler(qrDataUrl, manager). */
+    onQr(handler) {
+        this._qrHandlers.push(handler);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /*  Internals                                                         */
+    /* ------------------------------------------------------------------ */
+
+    _create(id, name) {
+        const manager = new WhatsAppManager(this.io, id, name || '');
+        manager.onMessage((msg, m) => Promise.all(this._messageHandlers.map(h => h(msg, m))));
+        manager.onStatusChange((status, m) => {
+            for (const handler of this._statusHandlers) handler(status, m);
+        });
+        manager.onQr((qr, m) => Promise.all(this._qrHandlers.map(h => h(qr, m))));
+        return manager;
+    }
+
+    /** Serialized WA ids look like "<fromMe>_<chatId>_<id>[...]" — route by the chat part. */
+    _forMessage(messageId) {
+        return this.forGroup(this._chatOf(messageId));
+    }
+
+    _chatOf(messageId) {
+        return String(messageId).split('_')[1];
+    }
+
+    _schedule(chatId, task, batch = null) {
+        return this.scheduler ? this.scheduler.schedule(chatId, task, { batch }) : task();
+    }
+
+    _require(manager) {
+        if (!manager) throw new Error('לא הוגדר חיבור WhatsApp');
+        return manager;
+    }
+}